@@ -1,11 +1,9 @@
 require('dotenv').config();
-const axios = require('axios');
-const { getDiscogsClient } = require('./src/controllers/authController');
+const discogs = require('./src/lib/discogs');
 
 async function testDiscogsAPI() {
   try {
     console.log('Testing Discogs API with different status values...');
-    const discogsClient = await getDiscogsClient();
     const username = process.env.DISCOGS_USERNAME;
     
     console.log(`Using Discogs username: ${username}`);
@@ -22,21 +20,15 @@ async function testDiscogsAPI() {
     for (const status of statusValues) {
       console.log(`\n--- Trying with status: ${status || '(none)'} ---`);
       try {
-        const response = await discogsClient.get(`/users/${username}/inventory`, {
-          params: {
-            page: 1,
-            per_page: 10,
-            ...(status ? { status } : {}),
-          },
-        });
+        const inventory = await discogs.getInventory({ page: 1, perPage: 10, status });
         
-        console.log(`Got ${response.data.listings?.length || 0} listings`);
-        console.log(`Total items: ${response.data.pagination?.items || 'unknown'}`);
+        console.log(`Got ${inventory.listings?.length || 0} listings`);
+        console.log(`Total items: ${inventory.pagination?.items || 'unknown'}`);
         
         // Count and display status distribution
-        if (response.data.listings && response.data.listings.length > 0) {
+        if (inventory.listings && inventory.listings.length > 0) {
           const statusDist = {};
-          response.data.listings.forEach(listing => {
+          inventory.listings.forEach(listing => {
             statusDist[listing.status] = (statusDist[listing.status] || 0) + 1;
           });
           console.log(`Status distribution in response: ${JSON.stringify(statusDist)}`);
@@ -44,23 +36,15 @@ async function testDiscogsAPI() {
       } catch (err) {
         console.error(`Error with status "${status}":`, err.message);
       }
-      
-      // Wait to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 1000));
     }
     
     // Now try checking if there's a 'listed' field that might help us
     console.log("\n--- Checking for additional fields in listings... ---");
-    const response = await discogsClient.get(`/users/${username}/inventory`, {
-      params: {
-        page: 1,
-        per_page: 1,
-      },
-    });
+    const inventory = await discogs.getInventory({ page: 1, perPage: 1 });
       
     // Check listing fields
-    if (response.data.listings && response.data.listings.length > 0) {
-      const listing = response.data.listings[0];
+    if (inventory.listings && inventory.listings.length > 0) {
+      const listing = inventory.listings[0];
       console.log("Listing fields:", Object.keys(listing).join(", "));
       console.log("Sample listing:");
       console.log(JSON.stringify(listing, null, 2));
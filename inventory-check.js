@@ -6,6 +6,10 @@ async function checkInventory() {
   
   try {
     const stats = await getInventoryStats();
+    if (stats.error) {
+      console.error(`Could not get inventory statistics: ${stats.error}`);
+      return;
+    }
     console.log('\nInventory Statistics:');
     console.log('====================');
     
@@ -18,7 +22,7 @@ async function checkInventory() {
     console.log(`- Total items reported by API: ${stats.discogs.reported}`);
     console.log(`- Total pages: ${stats.discogs.pages}`);
     console.log(`- Status distribution in sample: ${JSON.stringify(stats.discogs.statusDistribution)}`);
-    console.log(`- Percentage of "Draft" (For Sale) items: ${stats.discogs.draftPercentage.toFixed(1)}%`);
+    console.log(`- Percentage of "For Sale" items in sample: ${stats.discogs.forSalePercentage.toFixed(1)}%`);
     console.log(`- Estimated actual "For Sale" items: ~${stats.discogs.estimatedForSale}`);
     
     console.log('\nANALYSIS:');
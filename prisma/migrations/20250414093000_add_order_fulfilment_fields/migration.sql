@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "cancelReason" TEXT,
+ADD COLUMN     "cancelledAt" TIMESTAMP(3),
+ADD COLUMN     "refundedAmount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "refundedAt" TIMESTAMP(3),
+ADD COLUMN     "shippedAt" TIMESTAMP(3),
+ADD COLUMN     "shippingCarrier" TEXT,
+ADD COLUMN     "trackingNumber" TEXT;
+
+-- AlterTable
+ALTER TABLE "OrderItem" ADD COLUMN     "restockedQuantity" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "ReservationStatus" AS ENUM ('ACTIVE', 'RELEASED', 'COMMITTED');
+
+-- CreateTable
+CREATE TABLE "StockReservation" (
+    "id" TEXT NOT NULL,
+    "recordId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "stripeCheckoutId" TEXT,
+    "quantity" INTEGER NOT NULL,
+    "status" "ReservationStatus" NOT NULL DEFAULT 'ACTIVE',
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "releasedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StockReservation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "StockReservation_recordId_status_expiresAt_idx" ON "StockReservation"("recordId", "status", "expiresAt");
+
+-- CreateIndex
+CREATE INDEX "StockReservation_stripeCheckoutId_idx" ON "StockReservation"("stripeCheckoutId");
+
+-- CreateIndex
+CREATE INDEX "StockReservation_userId_status_idx" ON "StockReservation"("userId", "status");
+
+-- AddForeignKey
+ALTER TABLE "StockReservation" ADD CONSTRAINT "StockReservation_recordId_fkey" FOREIGN KEY ("recordId") REFERENCES "Record"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "disputeReason" TEXT,
+ADD COLUMN     "disputeStatus" TEXT,
+ADD COLUMN     "disputedAt" TIMESTAMP(3),
+ADD COLUMN     "stripeDisputeId" TEXT;
@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "WebhookLog" ADD COLUMN     "attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "eventId" TEXT,
+ADD COLUMN     "lastAttemptAt" TIMESTAMP(3),
+ADD COLUMN     "nextRetryAt" TIMESTAMP(3),
+ADD COLUMN     "processedAt" TIMESTAMP(3);
+
+-- Backfill the Stripe event ID of rows logged before this migration
+UPDATE "WebhookLog" SET "eventId" = "payload"->>'id' WHERE "source" = 'stripe' AND "eventId" IS NULL;
+
+-- Keep only the first row per event ID so the unique index can be created
+UPDATE "WebhookLog" w SET "eventId" = NULL
+WHERE "eventId" IS NOT NULL AND EXISTS (
+    SELECT 1 FROM "WebhookLog" o
+    WHERE o."eventId" = w."eventId" AND (o."receivedAt", o."id") < (w."receivedAt", w."id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WebhookLog_eventId_key" ON "WebhookLog"("eventId");
+
+-- CreateIndex
+CREATE INDEX "WebhookLog_processingStatus_nextRetryAt_idx" ON "WebhookLog"("processingStatus", "nextRetryAt");
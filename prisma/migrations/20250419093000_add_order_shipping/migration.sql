@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "shippingAmount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "shippingMethod" TEXT;
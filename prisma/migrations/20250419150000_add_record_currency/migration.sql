@@ -0,0 +1,3 @@
+-- AlterTable
+-- Existing prices were synced without their currency; the next inventory sync fills in the listing currency
+ALTER TABLE "Record" ADD COLUMN     "currency" TEXT NOT NULL DEFAULT 'USD';
@@ -0,0 +1,10 @@
+-- Convert Record.price from a decimal in major units to an integer in the smallest currency unit.
+-- Zero-decimal currencies (same list as src/lib/currency.js) are already whole units.
+-- AlterTable
+ALTER TABLE "Record" ALTER COLUMN "price" SET DATA TYPE INTEGER USING (
+    CASE
+        WHEN "currency" IN ('BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF')
+            THEN ROUND("price"::numeric)
+        ELSE ROUND("price"::numeric * 100)
+    END
+)::INTEGER;
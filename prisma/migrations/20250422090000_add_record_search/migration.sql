@@ -0,0 +1,69 @@
+-- Trigram matching for typo-tolerant search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- AlterTable
+ALTER TABLE "Record" ADD COLUMN     "catalogNumberNormalized" TEXT,
+ADD COLUMN     "searchText" TEXT,
+ADD COLUMN     "searchVector" tsvector;
+
+-- Search document of a record. The 'simple' configuration is used because titles and names
+-- are in many languages and must not be stemmed or stop-worded ("The The", "Can").
+CREATE OR REPLACE FUNCTION record_search_vector(
+    p_record_id TEXT, p_title TEXT, p_artist TEXT, p_label TEXT, p_catalog_number TEXT, p_notes TEXT
+) RETURNS tsvector AS $$
+    SELECT
+        setweight(to_tsvector('simple', coalesce(p_title, '')), 'A') ||
+        setweight(to_tsvector('simple', coalesce(p_artist, '')), 'B') ||
+        setweight(to_tsvector('simple', coalesce(p_label, '')), 'C') ||
+        setweight(to_tsvector('simple', coalesce(p_catalog_number, '')), 'C') ||
+        setweight(to_tsvector('simple', lower(regexp_replace(coalesce(p_catalog_number, ''), '[^[:alnum:]]', '', 'g'))), 'C') ||
+        setweight(to_tsvector('simple', coalesce(p_notes, '')), 'D') ||
+        setweight(to_tsvector('simple', coalesce(
+            (SELECT string_agg(t."title", ' ') FROM "Track" t WHERE t."recordId" = p_record_id), ''
+        )), 'D');
+$$ LANGUAGE sql STABLE;
+
+-- Keep the search columns in step with the record
+CREATE OR REPLACE FUNCTION record_search_update() RETURNS trigger AS $$
+BEGIN
+    NEW."catalogNumberNormalized" := nullif(lower(regexp_replace(coalesce(NEW."catalogNumber", ''), '[^[:alnum:]]', '', 'g')), '');
+    NEW."searchText" := lower(concat_ws(' ', NEW."artist", NEW."title", NEW."label"));
+    NEW."searchVector" := record_search_vector(NEW."id", NEW."title", NEW."artist", NEW."label", NEW."catalogNumber", NEW."notes");
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Record_search_update"
+BEFORE INSERT OR UPDATE OF "title", "artist", "label", "catalogNumber", "notes" ON "Record"
+FOR EACH ROW EXECUTE FUNCTION record_search_update();
+
+-- Track titles are part of the record's search document
+CREATE OR REPLACE FUNCTION track_search_update() RETURNS trigger AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        UPDATE "Record" r SET "searchVector" = record_search_vector(r."id", r."title", r."artist", r."label", r."catalogNumber", r."notes")
+        WHERE r."id" = OLD."recordId";
+    END IF;
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        UPDATE "Record" r SET "searchVector" = record_search_vector(r."id", r."title", r."artist", r."label", r."catalogNumber", r."notes")
+        WHERE r."id" = NEW."recordId";
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Track_search_update"
+AFTER INSERT OR UPDATE OR DELETE ON "Track"
+FOR EACH ROW EXECUTE FUNCTION track_search_update();
+
+-- Backfill existing records (fires the Record trigger)
+UPDATE "Record" SET "title" = "title";
+
+-- CreateIndex
+CREATE INDEX "Record_searchVector_idx" ON "Record" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "Record_searchText_idx" ON "Record" USING GIN ("searchText" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "Record_catalogNumberNormalized_idx" ON "Record" USING GIN ("catalogNumberNormalized" gin_trgm_ops);
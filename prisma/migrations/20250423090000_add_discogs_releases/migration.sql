@@ -0,0 +1,36 @@
+-- AlterTable
+ALTER TABLE "Track" ADD COLUMN     "artist" TEXT,
+ADD COLUMN     "credits" JSONB,
+ADD COLUMN     "durationSeconds" INTEGER,
+ADD COLUMN     "sequence" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "type" TEXT NOT NULL DEFAULT 'track';
+
+-- CreateTable
+CREATE TABLE "DiscogsRelease" (
+    "id" BIGINT NOT NULL,
+    "title" TEXT,
+    "released" TEXT,
+    "releasedFormatted" TEXT,
+    "country" TEXT,
+    "notes" TEXT,
+    "genres" TEXT[],
+    "styles" TEXT[],
+    "tracklist" JSONB NOT NULL DEFAULT '[]',
+    "videos" JSONB NOT NULL DEFAULT '[]',
+    "credits" JSONB NOT NULL DEFAULT '[]',
+    "identifiers" JSONB NOT NULL DEFAULT '[]',
+    "images" JSONB NOT NULL DEFAULT '[]',
+    "fetchedAt" TIMESTAMP(3),
+    "lastError" TEXT,
+    "lastErrorAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DiscogsRelease_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Track_recordId_sequence_idx" ON "Track"("recordId", "sequence");
+
+-- CreateIndex
+CREATE INDEX "DiscogsRelease_fetchedAt_idx" ON "DiscogsRelease"("fetchedAt");
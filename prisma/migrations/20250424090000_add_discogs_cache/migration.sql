@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "DiscogsCacheEntry" (
+    "key" TEXT NOT NULL,
+    "tag" TEXT,
+    "endpointType" TEXT NOT NULL,
+    "status" INTEGER NOT NULL,
+    "contentType" TEXT,
+    "body" TEXT NOT NULL,
+    "freshUntil" TIMESTAMP(3) NOT NULL,
+    "staleUntil" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DiscogsCacheEntry_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateIndex
+CREATE INDEX "DiscogsCacheEntry_tag_idx" ON "DiscogsCacheEntry"("tag");
+
+-- CreateIndex
+CREATE INDEX "DiscogsCacheEntry_staleUntil_idx" ON "DiscogsCacheEntry"("staleUntil");
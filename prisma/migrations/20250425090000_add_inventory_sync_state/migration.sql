@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "InventorySyncState" (
+    "id" TEXT NOT NULL,
+    "lastListedAt" TIMESTAMP(3),
+    "lastIncrementalAt" TIMESTAMP(3),
+    "lastFullSyncAt" TIMESTAMP(3),
+    "fullSyncStartedAt" TIMESTAMP(3),
+    "fullSyncNextPage" INTEGER,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "InventorySyncState_pkey" PRIMARY KEY ("id")
+);
+
+-- Records touched by a full reconciliation are found by lastSyncedAt
+CREATE INDEX "Record_status_lastSyncedAt_idx" ON "Record"("status", "lastSyncedAt");
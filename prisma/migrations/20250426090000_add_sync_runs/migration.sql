@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "SyncRun" (
+    "id" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL,
+    "triggeredById" TEXT,
+    "requestedMode" TEXT NOT NULL,
+    "mode" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "heartbeatAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+    "resumedFromPage" INTEGER,
+    "currentPage" INTEGER,
+    "totalPages" INTEGER,
+    "pagesFetched" INTEGER NOT NULL DEFAULT 0,
+    "listingsFetched" INTEGER NOT NULL DEFAULT 0,
+    "created" INTEGER NOT NULL DEFAULT 0,
+    "updated" INTEGER NOT NULL DEFAULT 0,
+    "deleted" INTEGER NOT NULL DEFAULT 0,
+    "mappingErrors" INTEGER NOT NULL DEFAULT 0,
+    "failures" JSONB NOT NULL DEFAULT '[]',
+    "errorMessage" TEXT,
+
+    CONSTRAINT "SyncRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SyncRun_startedAt_idx" ON "SyncRun"("startedAt");
+
+-- CreateIndex
+CREATE INDEX "SyncRun_status_idx" ON "SyncRun"("status");
+
+-- The sync lock: a second run cannot be inserted while one is running (not expressible in the Prisma schema)
+CREATE UNIQUE INDEX "SyncRun_single_running_key" ON "SyncRun"("status") WHERE "status" = 'running';
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "SyncRun" ADD COLUMN     "diff" JSONB,
+ADD COLUMN     "dryRun" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "previewRunId" TEXT;
@@ -0,0 +1,10 @@
+-- AlterEnum
+ALTER TYPE "RecordStatus" ADD VALUE 'ARCHIVED';
+ALTER TYPE "RecordStatus" ADD VALUE 'SOLD_ELSEWHERE';
+
+-- AlterTable
+ALTER TABLE "Record" ADD COLUMN     "archivedAt" TIMESTAMP(3),
+ADD COLUMN     "archiveReason" TEXT;
+
+-- The sync archives records instead of deleting them
+ALTER TABLE "SyncRun" RENAME COLUMN "deleted" TO "archived";
@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "Record" ADD COLUMN     "lastPushedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "ListingPush" (
+    "id" TEXT NOT NULL,
+    "recordId" TEXT NOT NULL,
+    "discogsListingId" BIGINT NOT NULL,
+    "userId" TEXT,
+    "status" TEXT NOT NULL,
+    "changes" JSONB NOT NULL,
+    "discogsChanges" JSONB NOT NULL DEFAULT '[]',
+    "errorMessage" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ListingPush_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ListingPush_recordId_createdAt_idx" ON "ListingPush"("recordId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "ListingPush_status_idx" ON "ListingPush"("status");
+
+-- AddForeignKey
+ALTER TABLE "ListingPush" ADD CONSTRAINT "ListingPush_recordId_fkey" FOREIGN KEY ("recordId") REFERENCES "Record"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "confirmationEmailSentAt" TIMESTAMP(3);
+
+-- Orders confirmed before the outbox delivered confirmation emails already got theirs
+UPDATE "Order" SET "confirmationEmailSentAt" = "createdAt" WHERE "status" IN ('PAID', 'SHIPPED', 'REFUNDED');
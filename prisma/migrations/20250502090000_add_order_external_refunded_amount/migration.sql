@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "externalRefundedAmount" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,46 @@
+-- CreateEnum
+CREATE TYPE "PromotionRedemptionStatus" AS ENUM ('HELD', 'REDEEMED', 'RELEASED');
+
+-- CreateTable
+CREATE TABLE "PromotionRedemption" (
+    "id" TEXT NOT NULL,
+    "promotionId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "stripeCheckoutId" TEXT,
+    "orderId" TEXT,
+    "status" "PromotionRedemptionStatus" NOT NULL DEFAULT 'HELD',
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "releasedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PromotionRedemption_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PromotionRedemption_promotionId_userId_status_idx" ON "PromotionRedemption"("promotionId", "userId", "status");
+
+-- CreateIndex
+CREATE INDEX "PromotionRedemption_stripeCheckoutId_idx" ON "PromotionRedemption"("stripeCheckoutId");
+
+-- CreateIndex
+CREATE INDEX "PromotionRedemption_orderId_idx" ON "PromotionRedemption"("orderId");
+
+-- CreateIndex
+CREATE INDEX "PromotionRedemption_status_expiresAt_idx" ON "PromotionRedemption"("status", "expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "PromotionRedemption" ADD CONSTRAINT "PromotionRedemption_promotionId_fkey" FOREIGN KEY ("promotionId") REFERENCES "Promotion"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing orders keep counting towards the per-user limits
+INSERT INTO "PromotionRedemption" ("id", "promotionId", "userId", "stripeCheckoutId", "orderId", "status", "expiresAt", "releasedAt", "createdAt", "updatedAt")
+SELECT 'legacy_' || o."id", o."promotionId", o."userId", o."stripeCheckoutId", o."id",
+       CASE WHEN o."status" = 'CANCELLED' THEN 'RELEASED'::"PromotionRedemptionStatus" ELSE 'REDEEMED'::"PromotionRedemptionStatus" END,
+       o."createdAt", CASE WHEN o."status" = 'CANCELLED' THEN o."updatedAt" END, o."createdAt", CURRENT_TIMESTAMP
+FROM "Order" o
+WHERE o."promotionId" IS NOT NULL AND o."userId" IS NOT NULL;
+
+-- Cancelled orders used to keep their redemption
+UPDATE "Promotion" p SET "redemptionCount" = (
+    SELECT COUNT(*) FROM "PromotionRedemption" pr WHERE pr."promotionId" = p."id" AND pr."status" <> 'RELEASED'
+);
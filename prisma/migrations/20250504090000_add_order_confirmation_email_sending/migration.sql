@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "confirmationEmailSendingAt" TIMESTAMP(3);
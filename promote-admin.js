@@ -0,0 +1,53 @@
+require('dotenv').config();
+const prisma = require('./src/lib/prisma');
+
+// Usage: npm run promote-admin -- <email> [--role=ADMIN|STAFF] [--force]
+// Bootstraps the first admin. Once an admin exists, further promotions need --force
+// (or should be done by that admin).
+async function promoteAdmin() {
+  const args = process.argv.slice(2);
+  const email = args.find(arg => !arg.startsWith('--'));
+  const force = args.includes('--force');
+  const roleArg = args.find(arg => arg.startsWith('--role='));
+  const role = roleArg ? roleArg.split('=')[1].toUpperCase() : 'ADMIN';
+
+  if (!email) {
+    console.error('Usage: npm run promote-admin -- <email> [--role=ADMIN|STAFF] [--force]');
+    process.exitCode = 1;
+    return;
+  }
+  if (!['ADMIN', 'STAFF'].includes(role)) {
+    console.error(`Invalid role "${role}". Use ADMIN or STAFF.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const existingAdmins = await prisma.user.count({ where: { role: 'ADMIN' } });
+    if (existingAdmins > 0 && !force) {
+      console.error(`There are already ${existingAdmins} admin(s). Re-run with --force to promote another user.`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (!user) {
+      console.error(`No user found with email ${email}. Register the account first.`);
+      process.exitCode = 1;
+      return;
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { role },
+    });
+    console.log(`User ${email} (ID: ${user.id}) is now ${role} (was ${user.role}).`);
+  } catch (error) {
+    console.error('Error promoting user:', error);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+promoteAdmin();
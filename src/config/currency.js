@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+
+// The currency customers are charged in (ISO 4217 code).
+const storeCurrency = (process.env.STORE_CURRENCY || 'USD').trim().toUpperCase();
+
+/**
+ * Loads the exchange-rate table used for display prices and for converting listing prices
+ * into the store currency. Rates are units of the currency per 1 unit of the store currency,
+ * e.g. with STORE_CURRENCY=USD: { "EUR": 0.92, "GBP": 0.79 }.
+ * Set EXCHANGE_RATES_FILE to a JSON file, or EXCHANGE_RATES to inline JSON.
+ * @returns {Object<string, number>} Rates keyed by upper-case currency code.
+ */
+function loadExchangeRates() {
+  let rates = {};
+  try {
+    if (process.env.EXCHANGE_RATES_FILE) {
+      rates = JSON.parse(fs.readFileSync(path.resolve(process.env.EXCHANGE_RATES_FILE), 'utf8'));
+    } else if (process.env.EXCHANGE_RATES) {
+      rates = JSON.parse(process.env.EXCHANGE_RATES);
+    }
+  } catch (error) {
+    console.error(`ERROR: Could not load exchange rates: ${error.message}. Only ${storeCurrency} prices will be available.`);
+    rates = {};
+  }
+
+  const normalized = {};
+  Object.entries(rates).forEach(([code, rate]) => {
+    const value = Number(rate);
+    if (Number.isFinite(value) && value > 0) {
+      normalized[code.trim().toUpperCase()] = value;
+    } else {
+      console.warn(`WARNING: Ignoring invalid exchange rate for ${code}: ${rate}`);
+    }
+  });
+  normalized[storeCurrency] = 1;
+  return normalized;
+}
+
+const exchangeRates = loadExchangeRates();
+
+module.exports = {
+  storeCurrency,
+  exchangeRates,
+};
@@ -0,0 +1,29 @@
+// Discogs API credentials and identity: the single source for every Discogs call (see src/lib/discogs).
+// The application acts as the store's Discogs account, using that account's OAuth access token.
+const credentials = {
+  consumerKey: process.env.DISCOGS_CONSUMER_KEY,
+  consumerSecret: process.env.DISCOGS_CONSUMER_SECRET,
+  accessToken: process.env.DISCOGS_ACCESS_TOKEN,
+  accessSecret: process.env.DISCOGS_ACCESS_SECRET,
+};
+
+// The store's Discogs username (whose inventory is synced)
+const username = process.env.DISCOGS_USERNAME;
+
+// The currency of the store's Discogs seller account: Discogs prices every listing in it.
+// When unset, the currency of the listings already synced from Discogs is used.
+const sellerCurrency = process.env.DISCOGS_SELLER_CURRENCY ? process.env.DISCOGS_SELLER_CURRENCY.trim().toUpperCase() : null;
+
+// Discogs requires an identifying User-Agent on every request
+const userAgent = process.env.DISCOGS_USER_AGENT || 'PlastikApp/1.0';
+
+if (!credentials.accessToken || !credentials.accessSecret) {
+  console.warn('WARNING: DISCOGS_ACCESS_TOKEN or DISCOGS_ACCESS_SECRET is not defined in .env. Discogs API calls will fail.');
+}
+
+module.exports = {
+  credentials,
+  username,
+  sellerCurrency,
+  userAgent,
+};
@@ -0,0 +1,25 @@
+// Caching of Discogs API GET responses (see src/lib/discogs/cache.js).
+// DISCOGS_CACHE_STORE: 'memory' (default, per process), 'postgres' (shared, DiscogsCacheEntry table) or 'none'.
+const cacheStore = (process.env.DISCOGS_CACHE_STORE || 'memory').trim().toLowerCase();
+
+// Entries kept by the in-memory store before the least recently used are evicted
+const memoryMaxEntries = parseInt(process.env.DISCOGS_CACHE_MAX_ENTRIES || '5000', 10);
+
+// Cache lifetimes per endpoint type, in seconds. A response is fresh for `ttl`; after that it is
+// still served for up to `staleTtl` while it is refreshed in the background (stale-while-revalidate).
+// The first matching pattern wins; paths that match nothing (inventory, orders, listings) are never cached.
+// `tag` groups entries that belong to one release so they can be purged together.
+const endpointTypes = [
+  { type: 'release', pattern: /^\/releases\/(\d+)(\/rating)?$/, tag: 'release', ttl: 24 * 60 * 60, staleTtl: 7 * 24 * 60 * 60 },
+  { type: 'marketplaceStats', pattern: /^\/marketplace\/(stats|price_suggestions)\/(\d+)$/, tag: 'release', tagGroup: 2, ttl: 15 * 60, staleTtl: 60 * 60 },
+  { type: 'master', pattern: /^\/masters\/\d+(\/versions)?$/, ttl: 24 * 60 * 60, staleTtl: 7 * 24 * 60 * 60 },
+  { type: 'artist', pattern: /^\/artists\/\d+(\/releases)?$/, ttl: 24 * 60 * 60, staleTtl: 7 * 24 * 60 * 60 },
+  { type: 'label', pattern: /^\/labels\/\d+(\/releases)?$/, ttl: 24 * 60 * 60, staleTtl: 7 * 24 * 60 * 60 },
+  { type: 'search', pattern: /^\/database\/search$/, ttl: 60 * 60, staleTtl: 6 * 60 * 60 },
+];
+
+module.exports = {
+  cacheStore,
+  memoryMaxEntries,
+  endpointTypes,
+};
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+
+// Shipping zones and weight-based rate tables.
+// Override the defaults by pointing SHIPPING_RATES_FILE at a JSON file with the same shape.
+// Weights are in grams (same unit as Record.weight, which the sync takes from Discogs `estimated_weight`),
+// amounts are in the smallest unit of `currency` and converted to STORE_CURRENCY at checkout.
+const defaultShippingConfig = {
+  currency: 'usd',
+  // Added once per parcel for the mailer box and padding
+  packagingWeight: 200,
+  // Used for records without a weight (a typical 12" LP with sleeve)
+  defaultItemWeight: 230,
+  zones: [
+    {
+      id: 'domestic',
+      name: 'United States',
+      countries: ['US'],
+      rates: [
+        {
+          id: 'standard',
+          name: 'Media Mail',
+          deliveryDays: [3, 8],
+          brackets: [
+            { maxWeight: 500, amount: 500 },
+            { maxWeight: 1000, amount: 650 },
+            { maxWeight: 2000, amount: 900 },
+            { maxWeight: 5000, amount: 1400 },
+          ],
+        },
+        {
+          id: 'express',
+          name: 'Priority Mail',
+          deliveryDays: [1, 3],
+          brackets: [
+            { maxWeight: 500, amount: 1000 },
+            { maxWeight: 1000, amount: 1300 },
+            { maxWeight: 2000, amount: 1800 },
+            { maxWeight: 5000, amount: 2800 },
+          ],
+        },
+      ],
+    },
+    {
+      id: 'north-america',
+      name: 'Canada & Mexico',
+      countries: ['CA', 'MX'],
+      rates: [
+        {
+          id: 'standard',
+          name: 'International Standard',
+          deliveryDays: [6, 15],
+          brackets: [
+            { maxWeight: 500, amount: 1800 },
+            { maxWeight: 1000, amount: 2400 },
+            { maxWeight: 2000, amount: 3200 },
+            { maxWeight: 5000, amount: 5000 },
+          ],
+        },
+      ],
+    },
+    {
+      id: 'europe',
+      name: 'Europe',
+      countries: [
+        'AT', 'BE', 'CH', 'CZ', 'DE', 'DK', 'EE', 'ES', 'FI', 'FR', 'GB', 'GR', 'HU', 'IE',
+        'IT', 'LT', 'LU', 'LV', 'NL', 'NO', 'PL', 'PT', 'SE', 'SI', 'SK',
+      ],
+      rates: [
+        {
+          id: 'standard',
+          name: 'International Standard',
+          deliveryDays: [7, 20],
+          brackets: [
+            { maxWeight: 500, amount: 2200 },
+            { maxWeight: 1000, amount: 2900 },
+            { maxWeight: 2000, amount: 3900 },
+            { maxWeight: 5000, amount: 6000 },
+          ],
+        },
+      ],
+    },
+  ],
+};
+
+/**
+ * Loads the shipping configuration, from SHIPPING_RATES_FILE if set.
+ * @returns {object} The shipping configuration.
+ */
+function loadShippingConfig() {
+  const ratesFile = process.env.SHIPPING_RATES_FILE;
+  if (!ratesFile) {
+    return defaultShippingConfig;
+  }
+
+  try {
+    const config = JSON.parse(fs.readFileSync(path.resolve(ratesFile), 'utf8'));
+    console.log(`Loaded shipping rates from ${ratesFile} (${config.zones?.length || 0} zones).`);
+    return { ...defaultShippingConfig, ...config };
+  } catch (error) {
+    console.error(`ERROR: Could not load SHIPPING_RATES_FILE ${ratesFile}: ${error.message}. Using default shipping rates.`);
+    return defaultShippingConfig;
+  }
+}
+
+const shippingConfig = loadShippingConfig();
+
+// SHIPPING_ALLOWED_COUNTRIES can narrow the countries we ship to (comma-separated ISO codes);
+// by default every country that belongs to a zone is allowed.
+const zoneCountries = shippingConfig.zones.flatMap(zone => zone.countries);
+const allowedCountries = process.env.SHIPPING_ALLOWED_COUNTRIES
+  ? process.env.SHIPPING_ALLOWED_COUNTRIES.split(',').map(code => code.trim().toUpperCase()).filter(code => zoneCountries.includes(code))
+  : zoneCountries;
+
+// Checkout ships here when the client does not say where to (SHIPPING_DEFAULT_COUNTRY, else the first
+// allowed country). Stripe then only collects addresses in this country's zone.
+const configuredDefaultCountry = (process.env.SHIPPING_DEFAULT_COUNTRY || '').trim().toUpperCase();
+if (configuredDefaultCountry && !allowedCountries.includes(configuredDefaultCountry)) {
+  console.warn(`WARNING: SHIPPING_DEFAULT_COUNTRY '${configuredDefaultCountry}' is not an allowed shipping country. Using ${allowedCountries[0]}.`);
+}
+const defaultCountry = allowedCountries.includes(configuredDefaultCountry) ? configuredDefaultCountry : allowedCountries[0];
+
+module.exports = {
+  shippingConfig,
+  allowedCountries,
+  defaultCountry,
+};
@@ -0,0 +1,46 @@
+const discogsCache = require('../lib/discogs/cache');
+const { getDiscogsQueueStats } = require('../lib/discogs');
+
+// GET /api/admin/discogs/cache - Discogs response cache counters and size
+const getCacheStatsController = async (req, res) => {
+    try {
+        const cacheStats = await discogsCache.getCacheStats();
+        res.status(200).json(cacheStats);
+    } catch (error) {
+        console.error('Error fetching Discogs cache stats:', error);
+        res.status(500).json({ message: 'Failed to retrieve Discogs cache stats.', error: error.message });
+    }
+};
+
+// DELETE /api/admin/discogs/cache/releases/:releaseId - Drop everything cached for one release
+const purgeReleaseController = async (req, res) => {
+    const { releaseId } = req.params;
+    if (!/^\d+$/.test(releaseId)) {
+        return res.status(400).json({ message: 'Invalid release ID: must be a Discogs release number.' });
+    }
+
+    try {
+        const purged = await discogsCache.purgeRelease(releaseId);
+        console.log(`User ${req.session.userId} purged ${purged} cached Discogs response(s) for release ${releaseId}.`);
+        res.status(200).json({ releaseId, purged });
+    } catch (error) {
+        console.error(`Error purging Discogs cache for release ${releaseId}:`, error);
+        res.status(500).json({ message: 'Failed to purge the Discogs cache.', error: error.message });
+    }
+};
+
+// GET /api/admin/discogs/queue - Discogs request queue depth and rate-limit state
+const getQueueStatsController = (req, res) => {
+    const queueStats = getDiscogsQueueStats();
+    if (!queueStats) {
+        // The shared client is created on first use
+        return res.status(200).json({ queued: { total: 0 }, active: 0, rateLimit: null, pausedUntil: null });
+    }
+    res.status(200).json(queueStats);
+};
+
+module.exports = {
+    getCacheStatsController,
+    getQueueStatsController,
+    purgeReleaseController,
+};
@@ -0,0 +1,44 @@
+const discogsListingService = require('../services/discogsListingService');
+
+// Maps service errors to HTTP responses
+const sendListingError = (res, error, fallbackMessage) => {
+    if (error.message.includes('not found')) {
+        res.status(404).json({ message: error.message });
+    } else if (error.message.includes('already exists') || error.message.startsWith('Cannot')) {
+        res.status(409).json({ message: error.message });
+    } else if (error.message.includes('Invalid') || error.message.includes('Missing required')) {
+        res.status(400).json({ message: error.message });
+    } else if (error.message.startsWith('Failed to create')) {
+        res.status(502).json({ message: error.message });
+    } else {
+        res.status(500).json({ message: fallbackMessage, error: error.message });
+    }
+};
+
+// POST /api/admin/listings - Create a record from a Discogs release and list it
+// ({ releaseId, price, condition, sleeveCondition?, notes?, location?, weight?, quantity?, draft? })
+const createListingController = async (req, res) => {
+    try {
+        const record = await discogsListingService.createRecordListing(req.body || {}, { userId: req.session.userId });
+        res.status(201).json(record);
+    } catch (error) {
+        console.error('Error creating listing:', error);
+        sendListingError(res, error, 'Failed to create listing.');
+    }
+};
+
+// POST /api/admin/listings/:recordId/publish - List a draft record on Discogs
+const publishListingController = async (req, res) => {
+    try {
+        const record = await discogsListingService.publishDraftRecord(req.params.recordId, { userId: req.session.userId });
+        res.status(200).json(record);
+    } catch (error) {
+        console.error(`Error publishing record ${req.params.recordId}:`, error);
+        sendListingError(res, error, 'Failed to publish listing.');
+    }
+};
+
+module.exports = {
+    createListingController,
+    publishListingController,
+};
@@ -0,0 +1,89 @@
+const orderService = require('../services/orderService');
+
+// Maps service errors to HTTP responses
+const sendOrderError = (res, error, fallbackMessage) => {
+    if (error.message.includes('not found')) {
+        res.status(404).json({ message: error.message });
+    } else if (error.message.includes('Invalid status transition')) {
+        res.status(409).json({ message: error.message });
+    } else if (error.message.includes('Invalid') || error.message.includes('Missing required') || error.message.includes('no Stripe payment')) {
+        res.status(400).json({ message: error.message });
+    } else if (error.message.includes('Stripe refund failed')) {
+        res.status(502).json({ message: error.message });
+    } else {
+        res.status(500).json({ message: fallbackMessage, error: error.message });
+    }
+};
+
+// GET /api/admin/orders - List all orders (?page, ?perPage, ?status, ?email)
+const listOrdersController = async (req, res) => {
+    try {
+        const { page, perPage, status, email } = req.query;
+        const result = await orderService.listAllOrders({ page, perPage, status, email });
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('Error listing orders (admin):', error);
+        sendOrderError(res, error, 'Failed to retrieve orders.');
+    }
+};
+
+// GET /api/admin/orders/:id - Get any order
+const getOrderController = async (req, res) => {
+    try {
+        const order = await orderService.getOrder(req.params.id);
+        res.status(200).json(order);
+    } catch (error) {
+        console.error('Error fetching order (admin):', error);
+        sendOrderError(res, error, 'Failed to retrieve order.');
+    }
+};
+
+// POST /api/admin/orders/:id/ship - Mark an order as shipped
+const shipOrderController = async (req, res) => {
+    try {
+        const { carrier, trackingNumber } = req.body;
+        console.log(`User ${req.session.userId} marking order ${req.params.id} as shipped.`);
+        const order = await orderService.markOrderShipped(req.params.id, { carrier, trackingNumber });
+        res.status(200).json(order);
+    } catch (error) {
+        console.error('Error marking order as shipped:', error);
+        sendOrderError(res, error, 'Failed to mark order as shipped.');
+    }
+};
+
+// POST /api/admin/orders/:id/cancel - Cancel an order (refunds and restocks paid orders)
+const cancelOrderController = async (req, res) => {
+    try {
+        const { reason } = req.body;
+        console.log(`User ${req.session.userId} cancelling order ${req.params.id}.`);
+        const order = await orderService.cancelOrder(req.params.id, { reason });
+        res.status(200).json(order);
+    } catch (error) {
+        console.error('Error cancelling order:', error);
+        sendOrderError(res, error, 'Failed to cancel order.');
+    }
+};
+
+// POST /api/admin/orders/:id/refund - Issue a full or partial refund
+const refundOrderController = async (req, res) => {
+    try {
+        const { amount, reason, restock } = req.body;
+        if (amount !== undefined && typeof amount !== 'number') {
+            return res.status(400).json({ message: 'Invalid refund amount: must be a number in the smallest currency unit.' });
+        }
+        console.log(`User ${req.session.userId} refunding order ${req.params.id} (amount: ${amount ?? 'remaining'}).`);
+        const order = await orderService.refundOrder(req.params.id, { amount, reason, restock });
+        res.status(200).json(order);
+    } catch (error) {
+        console.error('Error refunding order:', error);
+        sendOrderError(res, error, 'Failed to refund order.');
+    }
+};
+
+module.exports = {
+    listOrdersController,
+    getOrderController,
+    shipOrderController,
+    cancelOrderController,
+    refundOrderController,
+};
@@ -0,0 +1,68 @@
+const outboxService = require('../services/outboxService');
+
+// GET /api/admin/outbox - List outbox events (?status=pending,dead, ?type, ?aggregateId, ?page, ?perPage)
+const listOutboxEventsController = async (req, res) => {
+    try {
+        const { status, type, aggregateId, page, perPage } = req.query;
+        const result = await outboxService.listOutboxEvents({ status, type, aggregateId, page, perPage });
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('Error listing outbox events:', error);
+        if (error.message.includes('Invalid')) {
+            res.status(400).json({ message: error.message });
+        } else {
+            res.status(500).json({ message: 'Failed to retrieve outbox events.', error: error.message });
+        }
+    }
+};
+
+// GET /api/admin/outbox/stats - Event counts per type and status
+const getOutboxStatsController = async (req, res) => {
+    try {
+        const stats = await outboxService.getOutboxStats();
+        res.status(200).json(stats);
+    } catch (error) {
+        console.error('Error fetching outbox stats:', error);
+        res.status(500).json({ message: 'Failed to retrieve outbox stats.', error: error.message });
+    }
+};
+
+// GET /api/admin/outbox/:id - Get one outbox event
+const getOutboxEventController = async (req, res) => {
+    try {
+        const event = await outboxService.getOutboxEvent(req.params.id);
+        res.status(200).json(event);
+    } catch (error) {
+        console.error('Error fetching outbox event:', error);
+        if (error.message.includes('not found')) {
+            res.status(404).json({ message: error.message });
+        } else {
+            res.status(500).json({ message: 'Failed to retrieve outbox event.', error: error.message });
+        }
+    }
+};
+
+// POST /api/admin/outbox/:id/retry - Retry a pending or dead event now
+const retryOutboxEventController = async (req, res) => {
+    try {
+        console.log(`User ${req.session.userId} retrying outbox event ${req.params.id}.`);
+        const event = await outboxService.retryOutboxEvent(req.params.id);
+        res.status(200).json(event);
+    } catch (error) {
+        console.error('Error retrying outbox event:', error);
+        if (error.message.includes('not found')) {
+            res.status(404).json({ message: error.message });
+        } else if (error.message.includes('Cannot retry')) {
+            res.status(409).json({ message: error.message });
+        } else {
+            res.status(500).json({ message: 'Failed to retry outbox event.', error: error.message });
+        }
+    }
+};
+
+module.exports = {
+    listOutboxEventsController,
+    getOutboxStatsController,
+    getOutboxEventController,
+    retryOutboxEventController,
+};
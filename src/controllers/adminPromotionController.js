@@ -0,0 +1,55 @@
+const promotionService = require('../services/promotionService');
+
+// Maps service errors to HTTP responses
+const sendPromotionError = (res, error, fallbackMessage) => {
+    if (error.message.includes('not found')) {
+        res.status(404).json({ message: error.message });
+    } else if (error.message.includes('already exists')) {
+        res.status(409).json({ message: error.message });
+    } else if (error.message.includes('Invalid') || error.message.includes('Missing required')) {
+        res.status(400).json({ message: error.message });
+    } else {
+        res.status(500).json({ message: fallbackMessage, error: error.message });
+    }
+};
+
+// GET /api/admin/promotions - List promotions (?active=true|false)
+const listPromotionsController = async (req, res) => {
+    try {
+        const promotions = await promotionService.listPromotions({ active: req.query.active });
+        res.status(200).json(promotions);
+    } catch (error) {
+        console.error('Error listing promotions:', error);
+        sendPromotionError(res, error, 'Failed to retrieve promotions.');
+    }
+};
+
+// POST /api/admin/promotions - Create a promotion
+const createPromotionController = async (req, res) => {
+    try {
+        console.log(`User ${req.session.userId} creating promotion ${req.body.code}.`);
+        const promotion = await promotionService.createPromotion(req.body);
+        res.status(201).json(promotion);
+    } catch (error) {
+        console.error('Error creating promotion:', error);
+        sendPromotionError(res, error, 'Failed to create promotion.');
+    }
+};
+
+// PATCH /api/admin/promotions/:id - Update a promotion (e.g. { active: false } to end it)
+const updatePromotionController = async (req, res) => {
+    try {
+        console.log(`User ${req.session.userId} updating promotion ${req.params.id}.`);
+        const promotion = await promotionService.updatePromotion(req.params.id, req.body);
+        res.status(200).json(promotion);
+    } catch (error) {
+        console.error('Error updating promotion:', error);
+        sendPromotionError(res, error, 'Failed to update promotion.');
+    }
+};
+
+module.exports = {
+    listPromotionsController,
+    createPromotionController,
+    updatePromotionController,
+};
@@ -0,0 +1,57 @@
+const webhookEventService = require('../services/webhookEventService');
+
+// GET /api/admin/webhooks - List stored webhook events (?status=error,failed, ?eventType, ?page, ?perPage)
+const listWebhookEventsController = async (req, res) => {
+    try {
+        const { status, eventType, page, perPage } = req.query;
+        const result = await webhookEventService.listWebhookEvents({ status, eventType, page, perPage });
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('Error listing webhook events:', error);
+        if (error.message.includes('Invalid')) {
+            res.status(400).json({ message: error.message });
+        } else {
+            res.status(500).json({ message: 'Failed to retrieve webhook events.', error: error.message });
+        }
+    }
+};
+
+// GET /api/admin/webhooks/:id - Get one stored webhook event with its payload
+const getWebhookEventController = async (req, res) => {
+    try {
+        const event = await webhookEventService.getWebhookEvent(req.params.id);
+        res.status(200).json(event);
+    } catch (error) {
+        console.error('Error fetching webhook event:', error);
+        if (error.message.includes('not found')) {
+            res.status(404).json({ message: error.message });
+        } else {
+            res.status(500).json({ message: 'Failed to retrieve webhook event.', error: error.message });
+        }
+    }
+};
+
+// POST /api/admin/webhooks/:id/replay - Re-run a stored event ({ force? } to replay a processed event)
+const replayWebhookEventController = async (req, res) => {
+    try {
+        const force = req.body?.force === true;
+        console.log(`User ${req.session.userId} replaying webhook event ${req.params.id}${force ? ' (forced)' : ''}.`);
+        const event = await webhookEventService.replayWebhookEvent(req.params.id, { force });
+        res.status(200).json(event);
+    } catch (error) {
+        console.error('Error replaying webhook event:', error);
+        if (error.message.includes('not found')) {
+            res.status(404).json({ message: error.message });
+        } else if (error.message.includes('already processed') || error.message.includes('currently being processed') || error.message.includes('Cannot replay')) {
+            res.status(409).json({ message: error.message });
+        } else {
+            res.status(500).json({ message: 'Failed to replay webhook event.', error: error.message });
+        }
+    }
+};
+
+module.exports = {
+    listWebhookEventsController,
+    getWebhookEventController,
+    replayWebhookEventController,
+};
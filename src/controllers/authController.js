@@ -1,95 +1,7 @@
-const OAuth = require('oauth-1.0a');
-const crypto = require('crypto');
-const axios = require('axios'); // Using axios for HTTP requests
 const prisma = require('../lib/prisma');
 const bcrypt = require('bcrypt'); // Import bcrypt
 
-// --- Discogs OAuth Configuration ---
-const consumerKey = process.env.DISCOGS_CONSUMER_KEY;
-const consumerSecret = process.env.DISCOGS_CONSUMER_SECRET;
-const requestTokenURL = 'https://api.discogs.com/oauth/request_token';
-const authorizeURL = 'https://www.discogs.com/oauth/authorize';
-const accessTokenURL = 'https://api.discogs.com/oauth/access_token';
-// Crucial: This callback URL MUST match the one registered in your Discogs app settings
-const callbackURL = `${process.env.API_BASE_URL || 'http://localhost:3001'}/api/auth/discogs/callback`;
-
-// --- Application's Discogs Credentials (read from environment) ---
-const appDiscogsAccessToken = process.env.DISCOGS_ACCESS_TOKEN;
-const appDiscogsAccessSecret = process.env.DISCOGS_ACCESS_SECRET;
-
-if (!consumerKey || !consumerSecret) {
-  console.warn(
-    'WARNING: DISCOGS_CONSUMER_KEY or DISCOGS_CONSUMER_SECRET is not defined in .env. Discogs API calls will fail.'
-  );
-}
-if (!appDiscogsAccessToken || !appDiscogsAccessSecret) {
-  console.warn(
-    'WARNING: DISCOGS_ACCESS_TOKEN or DISCOGS_ACCESS_SECRET is not defined in .env. Discogs API calls will fail.'
-  );
-}
-
-const oauth = new OAuth({
-  consumer: {
-    key: consumerKey,
-    secret: consumerSecret,
-  },
-  signature_method: 'HMAC-SHA1',
-  hash_function(base_string, key) {
-    return crypto.createHmac('sha1', key).update(base_string).digest('base64');
-  },
-});
-// --- End Discogs OAuth Configuration ---
-
-// Helper to get Discogs API client using application credentials
-// No longer needs userId
-exports.getDiscogsClient = async () => {
-  if (!appDiscogsAccessToken || !appDiscogsAccessSecret) {
-    throw new Error('Application Discogs Access Token/Secret not configured in .env');
-  }
-
-  const appToken = {
-    key: appDiscogsAccessToken,
-    secret: appDiscogsAccessSecret,
-  };
-
-  // Return an axios instance or functions pre-configured with auth headers
-  const discogsApi = axios.create({
-    baseURL: 'https://api.discogs.com',
-  });
-
-  discogsApi.interceptors.request.use(config => {
-    const requestData = {
-        url: `${config.baseURL}${config.url}`,
-        method: config.method.toUpperCase(),
-        data: config.data,
-    };
-    // Remove baseURL from the final URL sent in the Authorization header
-    requestData.url = requestData.url.replace(config.baseURL, '');
-
-    config.headers = {
-        ...config.headers,
-        ...oauth.toHeader(oauth.authorize(requestData, appToken)), // Use appToken
-        'User-Agent': 'PlastikApp/1.0', // TODO: Maybe make User-Agent configurable?
-    };
-    // Axios sends params for GET requests, Discogs OAuth needs them in the base string
-    if(config.params) {
-        const paramsString = new URLSearchParams(config.params).toString();
-        if (paramsString) { // Only add '?' if there are params
-             requestData.url = `${requestData.url}?${paramsString}`;
-        }
-        // Clear params so axios doesn't append them again
-        config.params = undefined;
-    }
-
-    console.log(`Discogs Request: ${requestData.method} ${requestData.url}`);
-    // Avoid logging the full Authorization header in production if possible
-    // console.log('Discogs Auth Header:', config.headers['Authorization']);
-
-    return config;
-  });
-
-  return discogsApi;
-};
+// Discogs API access (credentials, client) lives in src/lib/discogs
 
 // POST /api/auth/register
 exports.registerUser = async (req, res, next) => {
@@ -216,6 +128,7 @@ exports.loginUser = async (req, res, next) => {
             id: user.id,
             name: user.name,
             email: user.email,
+            role: user.role,
             // Add any other non-sensitive fields you want to return
           },
           shouldMergeCart: true // Flag to trigger cart merge in frontend
@@ -338,6 +251,7 @@ exports.getSession = async (req, res, next) => {
         id: true,
         name: true,
         email: true,
+        role: true,
       }
     });
     
@@ -353,7 +267,8 @@ exports.getSession = async (req, res, next) => {
       user: {
         id: user.id,
         name: user.name,
-        email: user.email
+        email: user.email,
+        role: user.role
       },
       expires: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString() // 30 days
     });
@@ -382,6 +297,7 @@ exports.nextauthCallback = async (req, res, next) => {
         id: true,
         name: true,
         email: true,
+        role: true,
         passwordHash: true,
       }
     });
@@ -420,6 +336,7 @@ exports.nextauthCallback = async (req, res, next) => {
           id: user.id,
           name: user.name || email.split('@')[0],
           email: user.email,
+          role: user.role,
           shouldMergeCart: true // Flag to trigger cart merge in frontend
         });
       });
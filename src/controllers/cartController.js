@@ -128,10 +128,47 @@ const mergeCartController = async (req, res) => {
     }
 };
 
+// POST /api/cart/promotion - Apply a promotion code ({ code })
+const applyPromotionController = async (req, res) => {
+    try {
+        const userId = req.session.userId;
+        const { code } = req.body;
+
+        if (!code || typeof code !== 'string') {
+            return res.status(400).json({ message: 'Missing required field: code.' });
+        }
+
+        const cart = await cartService.applyPromotionToCart(userId, code);
+        res.status(200).json(cart);
+    } catch (error) {
+        console.error('Error applying promotion code:', error);
+        if (error.message.includes('not found')) {
+            res.status(404).json({ message: error.message });
+        } else if (error.message.includes('Promotion code') || error.message.includes('Cart is empty') || error.message.includes('Invalid')) {
+            res.status(400).json({ message: error.message });
+        } else {
+            res.status(500).json({ message: 'Failed to apply promotion code.', error: error.message });
+        }
+    }
+};
+
+// DELETE /api/cart/promotion - Remove the applied promotion code
+const removePromotionController = async (req, res) => {
+    try {
+        const cart = await cartService.removePromotionFromCart(req.session.userId);
+        res.status(200).json(cart);
+    } catch (error) {
+        console.error('Error removing promotion code:', error);
+        res.status(500).json({ message: 'Failed to remove promotion code.', error: error.message });
+    }
+};
+
 module.exports = {
     getCartController,
     addItemController,
     updateItemController,
     removeItemController,
     mergeCartController,
+    applyPromotionController,
+    removePromotionController,
 }; 
\ No newline at end of file
@@ -1,6 +1,7 @@
 const checkoutService = require('../services/checkoutService');
 
 // POST /api/checkout/session - Create a Stripe Checkout session for the user's cart
+// Body: { shippingCountry?: 'XX' }
 const createCheckoutSessionController = async (req, res) => {
     try {
         const userId = req.session.userId;
@@ -8,8 +9,11 @@ const createCheckoutSessionController = async (req, res) => {
             return res.status(401).json({ message: 'Authentication required to proceed to checkout.' });
         }
 
+        // Optional; without it the checkout ships to the configured default country
+        const shippingCountry = (req.body && req.body.shippingCountry) || undefined;
+
         // Call the service to create the Stripe session
-        const session = await checkoutService.createCheckoutSession(userId);
+        const session = await checkoutService.createCheckoutSession(userId, { shippingCountry });
 
         // Respond with the session ID (or the full session URL)
         // The frontend will use this ID to redirect the user to Stripe
@@ -18,7 +22,7 @@ const createCheckoutSessionController = async (req, res) => {
     } catch (error) {
         console.error('Error creating checkout session:', error);
         // Provide specific feedback if possible (e.g., cart empty, item unavailable)
-        if (error.message.includes('Cart is empty') || error.message.includes('not available') || error.message.includes('Insufficient stock')) {
+        if (error.message.includes('Cart is empty') || error.message.includes('not available') || error.message.includes('Insufficient stock') || error.message.includes('shipping option') || error.message.includes('Promotion code')) {
             res.status(400).json({ message: error.message });
         } else if (error.message.includes('not configured')) {
              res.status(500).json({ message: 'Server configuration error. Please contact support.' });
@@ -28,6 +32,49 @@ const createCheckoutSessionController = async (req, res) => {
     }
 };
 
+// GET /api/checkout/shipping-options?country=XX - Quote shipping for the user's cart
+// Without a country, lists the countries we ship to.
+const getShippingOptionsController = async (req, res) => {
+    try {
+        const userId = req.session.userId;
+        const { country } = req.query;
+
+        if (!country) {
+            return res.status(200).json({ countries: checkoutService.getShippingCountries() });
+        }
+
+        const quote = await checkoutService.getShippingQuote(userId, country);
+        res.status(200).json(quote);
+    } catch (error) {
+        console.error('Error quoting shipping:', error);
+        if (error.message.includes('Cart is empty') || error.message.includes('not available') || error.message.includes('shipping option')) {
+            res.status(400).json({ message: error.message });
+        } else {
+            res.status(500).json({ message: 'Failed to calculate shipping.', error: error.message });
+        }
+    }
+};
+
+// POST /api/checkout/session/:sessionId/cancel - Abandon a checkout and release its stock holds
+const cancelCheckoutSessionController = async (req, res) => {
+    try {
+        const userId = req.session.userId;
+        const { sessionId } = req.params;
+
+        const result = await checkoutService.cancelCheckoutSession(userId, sessionId);
+        res.status(200).json({ message: 'Checkout cancelled.', releasedReservations: result.released });
+    } catch (error) {
+        console.error('Error cancelling checkout session:', error);
+        if (error.message.includes('not found')) {
+            res.status(404).json({ message: error.message });
+        } else {
+            res.status(500).json({ message: 'Failed to cancel checkout.', error: error.message });
+        }
+    }
+};
+
 module.exports = {
     createCheckoutSessionController,
+    getShippingOptionsController,
+    cancelCheckoutSessionController,
 }; 
\ No newline at end of file
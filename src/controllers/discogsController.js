@@ -1,4 +1,4 @@
-const { getDiscogsClient } = require('./authController'); // Import the client setup
+const discogs = require('../lib/discogs');
 
 /**
  * Fetches release details from the Discogs API.
@@ -14,14 +14,13 @@ exports.getReleaseDetails = async (req, res, next) => {
   }
 
   try {
-    const discogsApi = await getDiscogsClient(); // Get the pre-configured axios instance
     console.log(`Fetching details for Discogs release ID: ${releaseId}`);
 
-    // Make the GET request to the Discogs API releases endpoint
-    const response = await discogsApi.get(`/releases/${releaseId}`);
+    // Served from the Discogs response cache when fresh
+    const release = await discogs.getRelease(releaseId);
 
     console.log(`Successfully fetched details for Discogs release ID: ${releaseId}`);
-    res.status(200).json(response.data); // Send the Discogs data back to the client
+    res.status(200).json(release); // Send the Discogs data back to the client
 
   } catch (error) {
     console.error(`Error fetching Discogs release ${releaseId}:`, error.response?.data || error.message);
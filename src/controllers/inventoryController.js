@@ -1,6 +1,7 @@
 const inventoryService = require('../services/inventoryService');
+const syncRunService = require('../services/syncRunService');
 
-// POST /api/inventory/refresh
+// POST /api/inventory/refresh?mode=auto|incremental|full&dryRun=true
 exports.refreshInventory = async (req, res, next) => {
   // userId is no longer needed for the sync function itself,
   // but we keep ensureAuthenticated on the route to restrict access.
@@ -9,26 +10,89 @@ exports.refreshInventory = async (req, res, next) => {
   // Removed userId check
   // if (!userId) { ... }
 
+  const mode = req.query.mode || req.body?.mode || 'auto';
+  if (!inventoryService.SYNC_MODES.includes(mode)) {
+    return res.status(400).json({ message: `Invalid sync mode. Use one of: ${inventoryService.SYNC_MODES.join(', ')}.` });
+  }
+  // A dry run only computes the diff; it is stored on the sync run for review
+  const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+
   try {
     console.log(`Manual inventory refresh requested by user ${req.session.userId || '(unknown, check middleware)'}`);
-    // Trigger the sync process (don't wait for it to complete here)
-    // Run it in the background - fire and forget for the HTTP request
-    inventoryService.syncDiscogsInventory() // Call without userId
+    // Take the sync lock first, so a sync that is already running is reported to the caller
+    const run = await syncRunService.startSyncRun({ trigger: 'manual', requestedMode: mode, triggeredById: req.session.userId, dryRun });
+
+    // Run it in the background; the outcome and live progress are on the sync run
+    inventoryService.syncDiscogsInventory({ mode, run })
       .then(result => {
-        console.log(`Background manual inventory sync finished:`, result);
-        // TODO: Optionally notify user via WebSocket or other means upon completion/error
+        console.log(`Background manual inventory sync ${run.id} finished: ${result.success ? 'succeeded' : `failed (${result.message})`}`);
       })
       .catch(error => {
-        console.error(`Background manual inventory sync failed:`, error);
-        // TODO: Log error more permanently
+        console.error(`Background manual inventory sync ${run.id} failed:`, error);
       });
 
     // Respond immediately to the client
-    res.status(202).json({ message: 'Inventory sync initiated successfully. It will run in the background.' });
+    res.status(202).json({
+      message: `Inventory ${dryRun ? 'dry run' : 'sync'} initiated successfully. It will run in the background.`,
+      mode,
+      dryRun,
+      runId: run.id,
+      statusUrl: `/api/inventory/sync-runs/${run.id}`,
+    });
 
   } catch (error) {
     console.error(`Error initiating manual inventory refresh:`, error);
+    if (error.message.includes('already running')) {
+      return res.status(409).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Failed to start inventory sync' });
     // next(error);
   }
 };
+
+// GET /api/inventory/sync-runs - List inventory sync runs, newest first (?status=running,failed, ?trigger, ?page, ?perPage)
+exports.listSyncRuns = async (req, res) => {
+  try {
+    const { status, trigger, page, perPage } = req.query;
+    const result = await syncRunService.listSyncRuns({ status, trigger, page, perPage });
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error listing sync runs:', error);
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to retrieve sync runs.', error: error.message });
+  }
+};
+
+// GET /api/inventory/sync-runs/:id - One sync run with its progress and per-listing failures
+exports.getSyncRun = async (req, res) => {
+  try {
+    const run = await syncRunService.getSyncRun(req.params.id);
+    res.status(200).json(run);
+  } catch (error) {
+    console.error('Error fetching sync run:', error);
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to retrieve sync run.', error: error.message });
+  }
+};
+
+// POST /api/inventory/sync-runs/:id/apply - Apply a dry run's diff, or the archiving a sync held back for confirmation
+exports.applySyncRun = async (req, res) => {
+  try {
+    console.log(`User ${req.session.userId} applying the diff of sync run ${req.params.id}.`);
+    const result = await inventoryService.applySyncDiff(req.params.id, { userId: req.session.userId });
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error applying sync run:', error);
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message.includes('Cannot apply') || error.message.includes('already running')) {
+      return res.status(409).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to apply sync run.', error: error.message });
+  }
+};
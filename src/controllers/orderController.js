@@ -0,0 +1,71 @@
+const orderService = require('../services/orderService');
+
+// GET /api/orders - List the current user's orders
+const listOrdersController = async (req, res) => {
+    try {
+        const userId = req.session.userId;
+        const { page, perPage, status } = req.query;
+
+        const result = await orderService.listOrdersForUser(userId, { page, perPage, status });
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('Error listing orders:', error);
+        if (error.message.includes('Invalid')) {
+            res.status(400).json({ message: error.message });
+        } else {
+            res.status(500).json({ message: 'Failed to retrieve orders.', error: error.message });
+        }
+    }
+};
+
+// GET /api/orders/by-session/:sessionId - Look up an order by its Stripe Checkout Session ID
+const getOrderBySessionController = async (req, res) => {
+    try {
+        const userId = req.session.userId;
+        const { sessionId } = req.params;
+
+        const { order, checkoutSession } = await orderService.getOrderByCheckoutSession(userId, sessionId);
+
+        if (!order) {
+            // Payment went through Stripe but the webhook hasn't created the order yet
+            return res.status(202).json({
+                message: 'Your order is still being processed.',
+                order: null,
+                checkoutSession,
+            });
+        }
+
+        res.status(200).json({ order });
+    } catch (error) {
+        console.error('Error fetching order by checkout session:', error);
+        if (error.message.includes('not found')) {
+            res.status(404).json({ message: error.message });
+        } else {
+            res.status(500).json({ message: 'Failed to retrieve order.', error: error.message });
+        }
+    }
+};
+
+// GET /api/orders/:id - Get a single order of the current user
+const getOrderController = async (req, res) => {
+    try {
+        const userId = req.session.userId;
+        const { id } = req.params;
+
+        const order = await orderService.getOrderForUser(userId, id);
+        res.status(200).json(order);
+    } catch (error) {
+        console.error('Error fetching order:', error);
+        if (error.message.includes('not found')) {
+            res.status(404).json({ message: error.message });
+        } else {
+            res.status(500).json({ message: 'Failed to retrieve order.', error: error.message });
+        }
+    }
+};
+
+module.exports = {
+    listOrdersController,
+    getOrderBySessionController,
+    getOrderController,
+};
@@ -1,139 +1,125 @@
 const prisma = require('../lib/prisma');
-const { getDiscogsClient } = require('./authController'); // To potentially fetch more data
+const { withAvailableQuantity } = require('../services/reservationService');
+const { STORE_CURRENCY, isSupportedCurrency, withDisplayPrice, getSupportedCurrencies } = require('../lib/currency');
+const { listRecordPage, getRecordFacets, findSimilarRecordIds } = require('../services/searchService');
+const { parseRecordFilters, parseRecordSort, formatSort } = require('../services/recordFilterService');
+const { encodeCursor, decodeCursor } = require('../lib/cursor');
+const { parsePagination } = require('../lib/pagination');
+const { pushRecordEdits, listListingPushes } = require('../services/listingPushService');
+
+// Statuses of records whose listing is gone from Discogs; their page answers 410 Gone with similar records
+const ARCHIVED_STATUSES = ['ARCHIVED', 'SOLD_ELSEWHERE'];
+
+// Catalog page size: default and maximum for `perPage`
+const DEFAULT_RECORDS_PER_PAGE = 18;
+const MAX_RECORDS_PER_PAGE = 100;
+
+/**
+ * Validates the `currency` query parameter (defaults to the store currency).
+ * @returns {string|null} The upper-case currency code, or null if it has no exchange rate configured.
+ */
+function parseDisplayCurrency(currency) {
+  const code = String(currency || STORE_CURRENCY).trim().toUpperCase();
+  return isSupportedCurrency(code) ? code : null;
+}
 
 // GET /api/records
+// Filters (multi-select, repeat the parameter for several values): genre, style, format, label,
+// condition, sleeveCondition, decade; ranges: yearMin, yearMax, priceMin, priceMax (store currency, smallest unit).
+// Sort: up to three comma-separated keys, e.g. sort=artist:asc,year:desc (ties are broken by record ID).
+// Pagination: pass `cursor` (the `nextCursor` of the previous page) to page through the results; it stays
+// stable while the catalog changes. `page` still works for page-number navigation. perPage is capped at 100.
+// Facet counts for the filter sidebar are returned under `facets` (pass facets=false to skip them).
 exports.listRecords = async (req, res, next) => {
   const {
     q,
     category = 'everything', // Default to 'everything' if not provided
-    genre,
     sort,
-    page = 1,
-    perPage = 18,
-    include_catalog, // No default, check for 'true' string
-    include_release, // No default, check for 'true' string
-    include_all_fields, // No default, check for 'true' string
+    page,
+    perPage,
+    cursor,
+    // include_catalog / include_release / include_all_fields are still accepted but no longer needed:
+    // search always covers catalog numbers, notes and track titles
+    currency, // Currency for displayPrice (defaults to the store currency)
+    facets: includeFacets, // 'false' to leave out facet counts
     // refresh parameter is extracted but not used yet
     refresh
   } = req.query;
 
-  // Parse boolean flags (query params are strings)
-  const includeCatalog = include_catalog === 'true';
-  const includeRelease = include_release === 'true'; // Currently overlaps with category='releases'
-  const includeAllFields = include_all_fields === 'true';
-
-  const pageNum = parseInt(page, 10);
-  const perPageNum = parseInt(perPage, 10);
-  const skip = (pageNum - 1) * perPageNum;
-
-  // --- Build Prisma Query Conditions ---
-  const where = {
-    status: 'FOR_SALE', // Default to only showing items for sale
-    // Add other conditions based on query params
-  };
-
-  // Search query (dynamic text search based on category and flags)
-  if (q) {
-    let searchFields = [];
-
-    // Determine which fields to search based on flags and category
-    if (includeAllFields) {
-      // Search across a wider set of fields (adjust as needed)
-      searchFields = ['title', 'artist', 'label', 'catalogNumber', 'format', 'notes'];
-    } else if (includeCatalog) {
-      // Prioritize catalog number search, but include basics
-      searchFields = ['title', 'artist', 'label', 'catalogNumber'];
-    } else {
-      // Category-specific search (defaulting to 'everything')
-      switch (category.toLowerCase()) {
-        case 'releases':
-          searchFields = ['title']; // Maybe add tracklist if relevant later
-          break;
-        case 'artists':
-          searchFields = ['artist'];
-          break;
-        case 'labels':
-          searchFields = ['label'];
-          break;
-        case 'everything':
-        default:
-          searchFields = ['title', 'artist', 'label'];
-          break;
-      }
-    }
-
-    // Build the OR query dynamically
-    // Ensure these fields exist in your Prisma schema!
-    where.OR = searchFields
-      .filter(field => field) // Ensure no undefined fields slip in
-      .map(field => ({
-        [field]: { contains: q, mode: 'insensitive' }
-      }));
-
-    // Handle potential empty OR array if no valid fields are found
-    if (where.OR.length === 0) {
-        // If no valid search fields are identified, maybe return no results
-        // or default to a basic search? For now, let Prisma handle empty OR.
-        // An empty OR in Prisma might behave differently depending on version.
-        // Let's ensure it doesn't crash - add a default search if empty.
-        console.warn(`Search query "${q}" with category "${category}" and flags resulted in no valid search fields.`);
-        where.OR = [ // Fallback to basic search
-           { title: { contains: q, mode: 'insensitive' } },
-           { artist: { contains: q, mode: 'insensitive' } },
-           { label: { contains: q, mode: 'insensitive' } },
-        ]
-    }
-  }
-
-  // Genre filter (Prisma needs `has` for array contains)
-  if (genre) {
-    where.genre = {
-      has: genre, // Case-sensitive match in array
-      // For case-insensitive, you might need a different approach or db function
-    };
+  const displayCurrency = parseDisplayCurrency(currency);
+  if (!displayCurrency) {
+    return res.status(400).json({
+      message: `Unsupported currency '${currency}'. Supported currencies: ${getSupportedCurrencies().join(', ')}.`,
+    });
   }
 
-  // TODO: Add filtering for style if needed (requires adding style to model or different logic)
-
-  // --- Build Prisma OrderBy ---
-  let orderBy = { createdAt: 'desc' }; // Default sort
-  if (sort) {
-    const [field, direction = 'asc'] = sort.split(':');
-    if (['title', 'artist', 'year', 'price', 'createdAt'].includes(field)) {
-      orderBy = { [field]: direction.toLowerCase() };
+  // --- Validate Query Parameters ---
+  const searchText = q && String(q).trim() ? String(q) : null;
+  let filters;
+  let sortKeys;
+  let pageNum;
+  let perPageNum;
+  let after = null;
+  try {
+    filters = parseRecordFilters(req.query);
+    sortKeys = parseRecordSort(sort, { searching: Boolean(searchText) });
+    // An empty parameter counts as absent
+    ({ pageNum, take: perPageNum } = parsePagination(page || 1, perPage || DEFAULT_RECORDS_PER_PAGE, MAX_RECORDS_PER_PAGE));
+    if (cursor !== undefined && page !== undefined) {
+      throw new Error('Invalid pagination: pass either cursor or page, not both.');
+    }
+    if (cursor !== undefined) {
+      const payload = decodeCursor(cursor);
+      // A cursor only makes sense for the sort and search it was issued for
+      if (payload.sort !== formatSort(sortKeys) || payload.q !== searchText || payload.category !== category
+          || !Array.isArray(payload.after)) {
+        throw new Error('Invalid cursor: it does not match the current sort or search.');
+      }
+      after = payload.after;
     }
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
   }
+  const loadFacets = () => (includeFacets === 'false' ? undefined : getRecordFacets(filters, { q: searchText, category }));
 
   try {
-    // Execute parallel queries for records and total count
-    const [records, totalRecords] = await prisma.$transaction([
-      prisma.record.findMany({
-        where,
-        orderBy,
-        skip,
-        take: perPageNum,
-        // Select specific fields if needed for performance
-        // select: { id: true, title: true, artist: true, ... }
-        include: {
-            // Optionally include related data, e.g., track count?
-            // _count: { select: { tracks: true } }
-        }
-      }),
-      prisma.record.count({ where }),
-    ]);
+    const { total, results, next: nextKeys } = await listRecordPage({
+      q: searchText,
+      category,
+      filters,
+      sort: sortKeys,
+      after,
+      offset: (pageNum - 1) * perPageNum,
+      take: perPageNum,
+    });
 
-    const totalPages = Math.ceil(totalRecords / perPageNum);
+    const records = await prisma.record.findMany({ where: { id: { in: results.map(result => result.id) } } });
+    const recordMap = new Map(records.map(record => [record.id, record]));
+    const orderedRecords = results
+      .filter(result => recordMap.has(result.id))
+      .map(result => {
+        const record = recordMap.get(result.id);
+        return searchText ? { ...record, searchMatch: { rank: result.rank, snippet: result.snippet } } : record;
+      });
 
     res.status(200).json({
-      data: records,
+      data: withDisplayPrice(await withAvailableQuantity(orderedRecords), displayCurrency), // Stock minus active checkout holds
       pagination: {
-        totalRecords,
-        totalPages,
-        currentPage: pageNum,
+        totalRecords: total,
         perPage: perPageNum,
+        hasMore: nextKeys !== null,
+        nextCursor: nextKeys
+          ? encodeCursor({ sort: formatSort(sortKeys), q: searchText, category, after: nextKeys })
+          : null,
+        // Page numbers only apply when paging by number
+        ...(after ? {} : { currentPage: pageNum, totalPages: Math.ceil(total / perPageNum) }),
       },
+      facets: await loadFacets(),
     });
   } catch (error) {
+    if (error.message.startsWith('Invalid cursor')) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error listing records:', error);
     res.status(500).json({ message: 'Error fetching records' });
     // next(error);
@@ -143,34 +129,57 @@ exports.listRecords = async (req, res, next) => {
 // GET /api/records/:id
 exports.getRecordById = async (req, res, next) => {
   const { id } = req.params;
+  const displayCurrency = parseDisplayCurrency(req.query.currency);
+  if (!displayCurrency) {
+    return res.status(400).json({
+      message: `Unsupported currency '${req.query.currency}'. Supported currencies: ${getSupportedCurrencies().join(', ')}.`,
+    });
+  }
 
   try {
     const record = await prisma.record.findUnique({
       where: { id: id },
       include: {
-        tracks: true, // Include associated tracks
+        tracks: { orderBy: { sequence: 'asc' } }, // Include associated tracks, in release order
         // user: { select: { name: true, id: true } } // <-- REMOVED: User relation no longer exists
       },
     });
 
-    if (!record) {
+    if (!record || record.status === 'DRAFT') { // Drafts are not public until published
       return res.status(404).json({ message: 'Record not found' });
     }
 
     // Removed check involving req.session.userId and record.userId
     // if (record.status !== 'FOR_SALE' && ...) { ... }
 
-    // TODO: Potentially fetch more details from Discogs API if needed
-    // Example: If tracks are missing or more detailed info is required
-    // try {
-    //   const discogsClient = await getDiscogsClient(record.userId);
-    //   const releaseDetails = await discogsClient.get(`/releases/${record.discogsReleaseId}`);
-    //   // Merge details or update record if necessary
-    // } catch (discogsError) {
-    //   console.warn(`Could not fetch extra Discogs details for record ${id}:`, discogsError.message);
-    // }
+    if (ARCHIVED_STATUSES.includes(record.status)) {
+      // Shared and bookmarked links keep working: say what it was and suggest alternatives
+      const similarIds = await findSimilarRecordIds(record);
+      const similarRecords = await prisma.record.findMany({ where: { id: { in: similarIds } } });
+      const similarById = new Map(similarRecords.map(similar => [similar.id, similar]));
+      const similarItems = similarIds.filter(similarId => similarById.has(similarId)).map(similarId => similarById.get(similarId));
+
+      return res.status(410).json({
+        message: record.status === 'SOLD_ELSEWHERE' ? 'This record has been sold.' : 'This record is no longer available.',
+        record: {
+          id: record.id,
+          title: record.title,
+          artist: record.artist,
+          label: record.label,
+          year: record.year,
+          format: record.format,
+          coverImage: record.coverImage,
+          status: record.status,
+          archivedAt: record.archivedAt,
+          archiveReason: record.archiveReason,
+        },
+        similarItems: withDisplayPrice(await withAvailableQuantity(similarItems), displayCurrency),
+      });
+    }
+
+    const [recordWithAvailability] = withDisplayPrice(await withAvailableQuantity([record]), displayCurrency);
 
-    res.status(200).json(record);
+    res.status(200).json(recordWithAvailability);
   } catch (error) {
     console.error(`Error fetching record ${id}:`, error);
     // Handle potential Prisma errors (e.g., invalid ID format)
@@ -182,7 +191,54 @@ exports.getRecordById = async (req, res, next) => {
   }
 };
 
-// GET /api/records/:id/details - Fetch record from DB and merge with Discogs data
+// PATCH /api/records/:id - Edit price, condition, sleeve condition, notes or location (staff only).
+// The edit is pushed to the Discogs listing and only saved if Discogs accepts it. Send the record's
+// `lastSyncedAt` as loaded, so edits based on outdated data are refused.
+exports.updateRecord = async (req, res) => {
+  const { id } = req.params;
+  const { lastSyncedAt, ...edits } = req.body || {};
+
+  try {
+    const { record, push } = await pushRecordEdits(id, edits, { userId: req.session.userId, lastSyncedAt });
+    if (push?.status === 'conflict') {
+      return res.status(409).json({ message: `The edit was not pushed: ${push.errorMessage}`, record, push });
+    }
+    res.status(200).json({ record, push });
+  } catch (error) {
+    console.error(`Error updating record ${id}:`, error);
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.message.startsWith('Cannot')) {
+      return res.status(409).json({ message: error.message });
+    }
+    if (error.message.startsWith('Failed to push')) {
+      return res.status(502).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error updating record' });
+  }
+};
+
+// GET /api/records/:id/pushes - Edits pushed to Discogs (or refused) for a record, newest first (?page, ?perPage)
+exports.listRecordPushes = async (req, res) => {
+  try {
+    const { page, perPage } = req.query;
+    const result = await listListingPushes(req.params.id, { page, perPage });
+    res.status(200).json(result);
+  } catch (error) {
+    console.error(`Error listing pushes of record ${req.params.id}:`, error);
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error fetching record pushes' });
+  }
+};
+
+// GET /api/records/:id/details - Record with its stored Discogs release data
+// (tracklist, videos, credits, identifiers, images), kept up to date by the release enrichment job
 exports.getRecordWithDiscogsDetails = async (req, res, next) => {
   const { id } = req.params;
 
@@ -191,61 +247,35 @@ exports.getRecordWithDiscogsDetails = async (req, res, next) => {
     const record = await prisma.record.findUnique({
       where: { id: id },
       include: {
-        tracks: true, // Include associated tracks from DB
+        tracks: { orderBy: { sequence: 'asc' } }, // Filled from the stored release
       },
     });
 
-    if (!record) {
+    if (!record || record.status === 'DRAFT') {
       return res.status(404).json({ message: 'Record not found in local database' });
     }
 
-    let discogsData = null;
-    // 2. Check if we have a discogsReleaseId and fetch from Discogs
-    if (record.discogsReleaseId) {
-      try {
-        console.log(`Fetching Discogs details for release ID: ${record.discogsReleaseId}`);
-        const discogsClient = await getDiscogsClient(); // Get authenticated client
-        const discogsResponse = await discogsClient.get(`/releases/${record.discogsReleaseId}`);
-        discogsData = discogsResponse.data;
-        console.log(`Successfully fetched Discogs details for release ID: ${record.discogsReleaseId}`);
-      } catch (discogsError) {
-        console.warn(
-          `Could not fetch Discogs details for release ${record.discogsReleaseId} (Record ID: ${id}):`,
-          discogsError.response?.data || discogsError.message
-        );
-        // Decide how to handle Discogs error: continue without Discogs data, or return an error?
-        // For now, we'll log a warning and continue, returning the DB data + a note about the error.
-        discogsData = {
-          error: 'Failed to fetch additional details from Discogs.',
-          message: discogsError.response?.data?.message || discogsError.message
-        };
-      }
-    } else {
-      console.log(`Record ID ${id} does not have a discogsReleaseId. Skipping Discogs fetch.`);
-    }
+    // 2. Stored release data; missing until the enrichment job has fetched the release
+    const release = record.discogsReleaseId
+      ? await prisma.discogsRelease.findUnique({ where: { id: record.discogsReleaseId } })
+      : null;
+    const details = release && release.fetchedAt ? release : null;
 
     // 3. Prepare the final response object based on the local record data
-    const responseData = { ...record };
-
-    // 4. Selectively add fields from Discogs data if available
-    if (discogsData && !discogsData.error) {
-      // Add videos if it's an array
-      responseData.videos = Array.isArray(discogsData.videos) ? discogsData.videos : null;
-      // Add styles if it's an array
-      responseData.styles = Array.isArray(discogsData.styles) ? discogsData.styles : null;
-      // Add released_formatted if it exists and is a string
-      responseData.released_formatted = typeof discogsData.released_formatted === 'string' ? discogsData.released_formatted : null;
-    } else {
-      // If Discogs fetch failed or discogsReleaseId was missing, set all to null
-      responseData.videos = null;
-      responseData.styles = null;
-      responseData.released_formatted = null;
-    }
-
-    // Optionally add Discogs error message if the fetch failed
-    // if (discogsData && discogsData.error) {
-    //   responseData.discogsError = discogsData.message;
-    // }
+    const [recordWithAvailability] = await withAvailableQuantity([record]);
+    const responseData = {
+      ...recordWithAvailability,
+      videos: details ? details.videos : null,
+      styles: details ? details.styles : null,
+      released_formatted: details ? details.releasedFormatted : null,
+      released: details ? details.released : null,
+      country: details ? details.country : null,
+      credits: details ? details.credits : null,
+      identifiers: details ? details.identifiers : null,
+      images: details ? details.images : null,
+      releaseNotes: details ? details.notes : null,
+      detailsFetchedAt: details ? details.fetchedAt : null,
+    };
 
     res.status(200).json(responseData);
 
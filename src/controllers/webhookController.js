@@ -1,5 +1,5 @@
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const webhookService = require('../services/webhookService');
+const webhookEventService = require('../services/webhookEventService');
 
 const handleStripeWebhook = async (req, res) => {
     const sig = req.headers['stripe-signature'];
@@ -13,53 +13,50 @@ const handleStripeWebhook = async (req, res) => {
     let event;
 
     try {
-        // IMPORTANT: req.rawBody needs to be populated by a middleware BEFORE this controller.
-        // We will configure this in index.js
-        if (!req.rawBody) {
+        // index.js mounts express.raw() for this route, so req.body is the raw Buffer
+        // Stripe needs for signature verification (express.json() would have parsed it).
+        if (!Buffer.isBuffer(req.body)) {
              console.error('Webhook Error: Raw body not available for signature verification.');
              return res.status(400).send('Webhook error: Raw body missing.');
         }
-        
-        event = stripe.webhooks.constructEvent(req.rawBody, sig, endpointSecret);
+
+        event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
         console.log('Stripe Event Received:', event.type, event.id);
     } catch (err) {
         console.error(`Webhook signature verification failed: ${err.message}`);
         return res.status(400).send(`Webhook Error: ${err.message}`);
     }
 
-    // Log the received event (optional, but helpful for debugging)
-    // Consider logging to your DB WebhookLog model
-     try {
-         await prisma.webhookLog.create({
-             data: {
-                 source: 'stripe',
-                 eventType: event.type,
-                 payload: event, // Store the whole event
-                 processingStatus: 'received',
-             },
-         });
-     } catch (logError) {
-         console.error('Failed to log webhook event to database:', logError);
-     }
+    // Store the event before handling it, keyed by Stripe event ID
+    let log;
+    try {
+        const result = await webhookEventService.recordStripeEvent(event);
+        log = result.log;
+
+        if (result.duplicate && ['processed', 'processing', 'failed'].includes(log.processingStatus)) {
+            // Already handled (or in progress / dead-lettered for an admin to replay): acknowledge without reprocessing
+            console.log(`Webhook Info: Duplicate delivery of event ${event.id} (status: ${log.processingStatus}). Ignoring.`);
+            return res.status(200).json({ received: true, duplicate: true });
+        }
+    } catch (logError) {
+        // Without a stored event there is no retry or replay, so let Stripe redeliver it
+        console.error('Failed to log webhook event to database:', logError);
+        return res.status(500).json({ error: 'Failed to store webhook event.' });
+    }
 
     // Handle the event
-    try {
-        await webhookService.handleStripeEvent(event);
-        // Return a 200 response to acknowledge receipt of the event
-        res.status(200).json({ received: true });
-    } catch (err) {
-        // If the service throws an error (e.g., transaction failed),
-        // log it and return an error status so Stripe retries.
-        console.error(`Error handling Stripe event ${event.id} (${event.type}):`, err);
-        // Update webhook log status
-        // await prisma.webhookLog.updateMany({ where: { id_from_previous_create }, data: { processingStatus: 'error', errorMessage: err.message } });
-        res.status(500).json({ error: 'Failed to process webhook event.', message: err.message });
+    const result = await webhookEventService.processWebhookLog(log.id);
+
+    if (result.status === 'error' || result.status === 'failed') {
+        // Return an error status so Stripe retries as well; our retry job also picks the event up
+        console.error(`Error handling Stripe event ${event.id} (${event.type}):`, result.error);
+        return res.status(500).json({ error: 'Failed to process webhook event.', message: result.error });
     }
-};
 
-// Need prisma instance if logging directly here (better to pass eventId to service)
-const prisma = require('../lib/prisma');
+    // Return a 200 response to acknowledge receipt of the event
+    res.status(200).json({ received: true });
+};
 
 module.exports = {
     handleStripeWebhook,
-}; 
\ No newline at end of file
+};
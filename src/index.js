@@ -8,6 +8,10 @@ const path = require('path'); // Add path module
 const cors = require('cors'); // Import cors middleware
 const { syncDiscogsInventory, getInventoryStats } = require('./services/inventoryService'); // Import sync function
 const { startInventorySyncJob } = require('./jobs/inventorySyncJob'); // Import job starter
+const { startReservationCleanupJob } = require('./jobs/reservationCleanupJob');
+const { startWebhookRetryJob } = require('./jobs/webhookRetryJob');
+const { startReleaseEnrichmentJob } = require('./jobs/releaseEnrichmentJob');
+const { startOutboxJob } = require('./jobs/outboxJob');
 const { PrismaSessionStore } = require('@quixo3/prisma-session-store');
 const schedule = require('node-schedule');
 const discogsRoutes = require('./routes/discogsRoutes'); // Import the new Discogs routes
@@ -91,7 +95,7 @@ const corsOptions = {
     }
   },
   credentials: true, // Critical for cookies/auth
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 };
 
@@ -100,7 +104,7 @@ console.log(`CORS configured with allowed origins: ${process.env.NODE_ENV === 'p
 // --- End CORS Configuration ---
 
 // --- Webhook Route (BEFORE express.json()) ---
-// Stripe requires the raw body for signature verification
+// Stripe requires the raw body for signature verification; express.raw() leaves it as a Buffer in req.body
 const webhookRoutes = require('./routes/webhookRoutes');
 app.use('/api/webhooks', express.raw({type: 'application/json'}), webhookRoutes);
 // --- End Webhook Route ---
@@ -156,6 +160,10 @@ const cartRoutes = require('./routes/cartRoutes'); // Import cart routes
 app.use('/api/cart', cartRoutes); // Mount cart routes
 const checkoutRoutes = require('./routes/checkoutRoutes'); // Import checkout routes
 app.use('/api/checkout', checkoutRoutes); // Mount checkout routes
+const orderRoutes = require('./routes/orderRoutes'); // Import order routes
+app.use('/api/orders', orderRoutes); // Mount order routes
+const adminRoutes = require('./routes/adminRoutes'); // Import admin routes
+app.use('/api/admin', adminRoutes); // Mount admin routes
 app.use('/api/discogs', discogsRoutes); // Mount the new Discogs routes
 
 // --- End API Routes ---
@@ -177,7 +185,7 @@ app.listen(port, async () => { // Make the callback async
     if (recordCount === 0) {
       console.log('[Startup Check] Database appears empty. Triggering initial Discogs inventory sync in the background...');
       // Call sync without userId
-      syncDiscogsInventory() // No argument needed
+      syncDiscogsInventory({ trigger: 'startup' })
         .then(result => console.log('[Startup Check] Initial background inventory sync finished:', result))
         .catch(error => console.error('[Startup Check] Initial background inventory sync failed:', error));
     }
@@ -190,4 +198,8 @@ app.listen(port, async () => { // Make the callback async
   // The startInventorySyncJob function will be updated separately to remove its OWNER_USER_ID dependency.
   console.log('Starting scheduled background jobs...');
   startInventorySyncJob(); 
+  startReservationCleanupJob();
+  startWebhookRetryJob();
+  startReleaseEnrichmentJob();
+  startOutboxJob();
 });
@@ -12,18 +12,21 @@ const startInventorySyncJob = () => {
 
   console.log(`Scheduling inventory sync job.`);
 
-  // Schedule to run daily at 3:00 AM (adjust cron string as needed)
+  // Hourly: incremental syncs pick up new listings, and a full reconciliation runs once it is due
+  // (INVENTORY_FULL_SYNC_INTERVAL_HOURS) or resumes if the last one was interrupted
   // See https://crontab.guru/ for help with cron strings
-  cron.schedule('0 3 * * *', async () => {
+  cron.schedule('0 * * * *', async () => {
     console.log('[Cron Job] Running scheduled Discogs inventory sync...');
     try {
       // Remove owner user verification logic
       // const ownerExists = await prisma.user.findUnique(...);
 
       // Call sync without userId
-      const result = await syncDiscogsInventory(); // No argument
-      if (result.success) {
-        console.log(`[Cron Job] Inventory sync completed successfully. Synced: ${result.synced}, Errors: ${result.errors}`);
+      const result = await syncDiscogsInventory({ trigger: 'cron' }); // 'auto' mode
+      if (result.skipped) {
+        console.log(`[Cron Job] Inventory sync skipped: ${result.message}`);
+      } else if (result.success) {
+        console.log(`[Cron Job] Inventory sync run ${result.runId} (${result.mode}) completed successfully. Created: ${result.created}, Updated: ${result.updated}, Archived: ${result.archived}, Mapping errors: ${result.mappingErrors}`);
       } else {
         console.error(`[Cron Job] Inventory sync failed: ${result.message}`);
       }
@@ -35,7 +38,7 @@ const startInventorySyncJob = () => {
     timezone: "Etc/UTC" // Set to your server's timezone or keep UTC
   });
 
-  console.log('Inventory sync job scheduled to run daily at 3:00 AM UTC.');
+  console.log('Inventory sync job scheduled to run hourly.');
 };
 
 module.exports = { startInventorySyncJob }; 
\ No newline at end of file
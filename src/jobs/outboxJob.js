@@ -0,0 +1,27 @@
+const cron = require('node-cron');
+const { processDueOutboxEvents } = require('../services/outboxService');
+
+// Function to start the scheduled job
+const startOutboxJob = () => {
+  console.log(`Scheduling outbox job.`);
+
+  // Runs every minute; events are usually processed right after their transaction commits,
+  // so this picks up retries (each event carries its own nextAttemptAt) and anything missed.
+  cron.schedule('* * * * *', async () => {
+    try {
+      const result = await processDueOutboxEvents();
+      if (result.processed > 0) {
+        console.log(`[Cron Job] Processed ${result.processed} outbox event(s): ${result.done} done, ${result.retrying} to retry, ${result.dead} dead-lettered.`);
+      }
+    } catch (error) {
+      console.error('[Cron Job] An unexpected error occurred while processing outbox events:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "Etc/UTC"
+  });
+
+  console.log('Outbox job scheduled to run every minute.');
+};
+
+module.exports = { startOutboxJob };
@@ -0,0 +1,27 @@
+const cron = require('node-cron');
+const { enrichPendingReleases } = require('../services/releaseEnrichmentService');
+
+// Function to start the scheduled job
+const startReleaseEnrichmentJob = () => {
+  console.log(`Scheduling release enrichment job.`);
+
+  // Runs hourly (after the nightly inventory sync this picks up new releases within the hour).
+  // Each run fetches a limited batch, so a large backlog is worked through over several runs.
+  cron.schedule('30 * * * *', async () => {
+    try {
+      const result = await enrichPendingReleases();
+      if (result.fetched > 0 || result.failed > 0 || result.tracksFilled > 0) {
+        console.log(`[Cron Job] Release enrichment: fetched ${result.fetched}, failed ${result.failed}, tracklists filled from stored releases ${result.tracksFilled}.`);
+      }
+    } catch (error) {
+      console.error('[Cron Job] An unexpected error occurred during release enrichment:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "Etc/UTC"
+  });
+
+  console.log('Release enrichment job scheduled to run hourly at minute 30.');
+};
+
+module.exports = { startReleaseEnrichmentJob };
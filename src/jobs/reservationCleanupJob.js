@@ -0,0 +1,33 @@
+const cron = require('node-cron');
+const { releaseExpiredReservations } = require('../services/reservationService');
+const { releaseExpiredRedemptions } = require('../services/promotionService');
+
+// Function to start the scheduled job
+const startReservationCleanupJob = () => {
+  console.log(`Scheduling reservation cleanup job.`);
+
+  // Runs every minute. Stripe also sends checkout.session.expired, but stock
+  // must free up on time even if that webhook is late or never arrives.
+  cron.schedule('* * * * *', async () => {
+    try {
+      const released = await releaseExpiredReservations();
+      if (released > 0) {
+        console.log(`[Cron Job] Released ${released} expired stock reservation(s).`);
+      }
+      // Promotion code uses claimed by the same checkouts lapse with them
+      const releasedClaims = await releaseExpiredRedemptions();
+      if (releasedClaims > 0) {
+        console.log(`[Cron Job] Released ${releasedClaims} expired promotion claim(s).`);
+      }
+    } catch (error) {
+      console.error('[Cron Job] Failed to release expired stock reservations:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "Etc/UTC"
+  });
+
+  console.log('Reservation cleanup job scheduled to run every minute.');
+};
+
+module.exports = { startReservationCleanupJob };
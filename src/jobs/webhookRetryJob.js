@@ -0,0 +1,27 @@
+const cron = require('node-cron');
+const { retryFailedEvents } = require('../services/webhookEventService');
+
+// Function to start the scheduled job
+const startWebhookRetryJob = () => {
+  console.log(`Scheduling webhook retry job.`);
+
+  // Runs every minute; each failed event carries its own nextRetryAt (exponential backoff),
+  // so only events that are due get retried.
+  cron.schedule('* * * * *', async () => {
+    try {
+      const result = await retryFailedEvents();
+      if (result.retried > 0) {
+        console.log(`[Cron Job] Retried ${result.retried} webhook event(s), ${result.processed} succeeded.`);
+      }
+    } catch (error) {
+      console.error('[Cron Job] An unexpected error occurred while retrying webhook events:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "Etc/UTC"
+  });
+
+  console.log('Webhook retry job scheduled to run every minute.');
+};
+
+module.exports = { startWebhookRetryJob };
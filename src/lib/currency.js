@@ -0,0 +1,97 @@
+const { storeCurrency, exchangeRates } = require('../config/currency');
+
+// Currencies Stripe charges without a minor unit (amounts are whole units, e.g. 1500 JPY)
+const ZERO_DECIMAL_CURRENCIES = new Set([
+  'BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF',
+]);
+
+/**
+ * Normalizes a currency code to upper case.
+ * @param {string} currency - ISO 4217 code in any case.
+ * @returns {string}
+ */
+function normalizeCurrency(currency) {
+  return String(currency || '').trim().toUpperCase();
+}
+
+/**
+ * Returns the number of decimal places of a currency's minor unit.
+ * @param {string} currency - ISO 4217 code.
+ * @returns {number} 0 for zero-decimal currencies, otherwise 2.
+ */
+function getCurrencyDecimals(currency) {
+  return ZERO_DECIMAL_CURRENCIES.has(normalizeCurrency(currency)) ? 0 : 2;
+}
+
+/**
+ * Whether an amount can be converted between the currency and the store currency.
+ * @param {string} currency - ISO 4217 code.
+ * @returns {boolean}
+ */
+function isSupportedCurrency(currency) {
+  return Object.prototype.hasOwnProperty.call(exchangeRates, normalizeCurrency(currency));
+}
+
+/**
+ * Converts an amount between currencies using the configured exchange-rate table.
+ * Amounts are integers in the smallest unit of their currency; the result is rounded to a whole unit.
+ * @param {number} amount - Amount in the smallest unit of `from`.
+ * @param {string} from - ISO 4217 code of the amount.
+ * @param {string} to - ISO 4217 code to convert to.
+ * @returns {number} Integer amount in the smallest unit of `to`.
+ * @throws {Error} If either currency has no exchange rate configured.
+ */
+function convertAmount(amount, from, to) {
+  const fromCode = normalizeCurrency(from);
+  const toCode = normalizeCurrency(to);
+  if (fromCode === toCode) {
+    return amount;
+  }
+  if (!isSupportedCurrency(fromCode) || !isSupportedCurrency(toCode)) {
+    const missing = [fromCode, toCode].filter(code => !isSupportedCurrency(code));
+    throw new Error(`Unsupported currency: no exchange rate configured for ${missing.join(', ')}.`);
+  }
+  // Rates are relative to the store currency, per major unit
+  const major = amount / 10 ** getCurrencyDecimals(fromCode);
+  const converted = (major / exchangeRates[fromCode]) * exchangeRates[toCode];
+  return Math.round(converted * 10 ** getCurrencyDecimals(toCode));
+}
+
+/**
+ * Adds `displayPrice` ({amount, currency}) to each record: its listing price converted to `currency`,
+ * in the smallest unit of that currency.
+ * `displayPrice` is null when the record's own currency has no exchange rate configured.
+ * @param {object[]} records - Record objects with `price` and `currency`.
+ * @param {string} currency - ISO 4217 code to show prices in.
+ * @returns {object[]}
+ */
+function withDisplayPrice(records, currency) {
+  const code = normalizeCurrency(currency);
+  return records.map(record => {
+    let displayPrice = null;
+    try {
+      displayPrice = { amount: convertAmount(record.price, record.currency, code), currency: code };
+    } catch (error) {
+      // Leave displayPrice null; the listing price and currency are still returned
+    }
+    return { ...record, displayPrice };
+  });
+}
+
+/**
+ * Returns the currencies prices can be shown in.
+ * @returns {string[]} ISO 4217 codes, store currency first.
+ */
+function getSupportedCurrencies() {
+  return [storeCurrency, ...Object.keys(exchangeRates).filter(code => code !== storeCurrency).sort()];
+}
+
+module.exports = {
+  STORE_CURRENCY: storeCurrency,
+  normalizeCurrency,
+  getCurrencyDecimals,
+  isSupportedCurrency,
+  convertAmount,
+  withDisplayPrice,
+  getSupportedCurrencies,
+};
@@ -0,0 +1,33 @@
+// Opaque pagination cursors: base64url-encoded JSON. Clients must treat them as opaque strings.
+
+/**
+ * Encodes a cursor payload.
+ * @param {object} payload
+ * @returns {string}
+ */
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+}
+
+/**
+ * Decodes a cursor created by encodeCursor.
+ * @param {string} cursor
+ * @returns {object} The payload.
+ * @throws {Error} If the cursor is malformed.
+ */
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || typeof payload !== 'object') {
+      throw new Error('not an object');
+    }
+    return payload;
+  } catch (error) {
+    throw new Error('Invalid cursor.');
+  }
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+};
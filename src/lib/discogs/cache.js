@@ -0,0 +1,322 @@
+const axios = require('axios');
+const { AxiosHeaders } = require('axios');
+const prisma = require('../prisma');
+const { cacheStore, memoryMaxEntries, endpointTypes } = require('../../config/discogsCache');
+
+// OAuth parameters that change on every request; everything else in the signed request identifies it
+const VOLATILE_OAUTH_PARAMS = ['oauth_nonce', 'oauth_timestamp', 'oauth_signature'];
+// The Postgres store deletes expired rows on roughly one in this many writes
+const PRUNE_EVERY_WRITES = 100;
+
+const stats = {
+  hits: 0, // Fresh entry served
+  staleHits: 0, // Stale entry served while it is refreshed in the background
+  misses: 0, // Fetched from Discogs and stored
+  bypassed: 0, // Requested with `cache: false`
+  revalidations: 0, // Background refreshes of stale entries
+  errors: 0, // Store or background refresh failures (the request itself still succeeds if it can)
+};
+
+/**
+ * In-memory store (per process), evicting the least recently used entries beyond `maxEntries`.
+ * @param {object} [options]
+ * @param {number} [options.maxEntries]
+ * @returns {object} Store with get, set, purgeTag and size.
+ */
+function createMemoryStore({ maxEntries = memoryMaxEntries } = {}) {
+  const entries = new Map(); // Insertion order doubles as recency order
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return null;
+      }
+      entries.delete(key);
+      if (entry.staleUntil <= Date.now()) {
+        return null;
+      }
+      entries.set(key, entry);
+      return entry;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async purgeTag(tag) {
+      let purged = 0;
+      for (const [key, entry] of entries) {
+        if (entry.tag === tag) {
+          entries.delete(key);
+          purged++;
+        }
+      }
+      return purged;
+    },
+    async size() {
+      return entries.size;
+    },
+  };
+}
+
+/**
+ * Postgres store (DiscogsCacheEntry table), shared by all processes and kept across restarts.
+ * @param {object} [client] - Prisma client.
+ * @returns {object} Store with get, set, purgeTag and size.
+ */
+function createPostgresStore(client = prisma) {
+  let writes = 0;
+
+  return {
+    name: 'postgres',
+    async get(key) {
+      const row = await client.discogsCacheEntry.findUnique({ where: { key } });
+      if (!row) {
+        return null;
+      }
+      if (row.staleUntil.getTime() <= Date.now()) {
+        await client.discogsCacheEntry.deleteMany({ where: { key } });
+        return null;
+      }
+      return {
+        tag: row.tag,
+        type: row.endpointType,
+        status: row.status,
+        contentType: row.contentType,
+        body: row.body,
+        freshUntil: row.freshUntil.getTime(),
+        staleUntil: row.staleUntil.getTime(),
+      };
+    },
+    async set(key, entry) {
+      const data = {
+        tag: entry.tag,
+        endpointType: entry.type,
+        status: entry.status,
+        contentType: entry.contentType,
+        body: entry.body,
+        freshUntil: new Date(entry.freshUntil),
+        staleUntil: new Date(entry.staleUntil),
+      };
+      await client.discogsCacheEntry.upsert({ where: { key }, create: { key, ...data }, update: data });
+
+      writes++;
+      if (writes % PRUNE_EVERY_WRITES === 0) {
+        await client.discogsCacheEntry.deleteMany({ where: { staleUntil: { lte: new Date() } } });
+      }
+    },
+    async purgeTag(tag) {
+      const { count } = await client.discogsCacheEntry.deleteMany({ where: { tag } });
+      return count;
+    },
+    async size() {
+      return client.discogsCacheEntry.count();
+    },
+  };
+}
+
+/**
+ * Finds the cache settings for a request path.
+ * @param {string} pathname - e.g. "/releases/249504".
+ * @returns {{type: string, tag: string|null, ttl: number, staleTtl: number}|null} Null if the path is not cached.
+ */
+function matchEndpoint(pathname) {
+  for (const endpoint of endpointTypes) {
+    const match = endpoint.pattern.exec(pathname);
+    if (match) {
+      return {
+        type: endpoint.type,
+        tag: endpoint.tag ? `${endpoint.tag}:${match[endpoint.tagGroup || 1]}` : null,
+        ttl: endpoint.ttl,
+        staleTtl: endpoint.staleTtl,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds the cache key of a signed request: method, path, sorted query parameters and the OAuth
+ * parameters without the nonce, timestamp and signature (so the consumer and token still count).
+ * @param {object} config - Axios request config, after the OAuth interceptor ran.
+ * @returns {string}
+ */
+function buildCacheKey(config) {
+  const url = new URL(config.url, config.baseURL);
+  const query = [...url.searchParams.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+  const headers = AxiosHeaders.from(config.headers);
+  const oauth = [...String(headers.get('Authorization') || '').matchAll(/(oauth_\w+)="([^"]*)"/g)]
+    .filter(([, name]) => !VOLATILE_OAUTH_PARAMS.includes(name))
+    .map(([, name, value]) => `${name}=${value}`)
+    .sort()
+    .join('&');
+
+  return `${(config.method || 'get').toUpperCase()} ${url.pathname}?${query}|${oauth}`;
+}
+
+/**
+ * Builds an axios response from a cache entry. The body is the raw response text; axios parses it as usual.
+ */
+function toResponse(entry, config, cacheStatus) {
+  return {
+    data: entry.body,
+    status: entry.status,
+    statusText: 'OK',
+    headers: new AxiosHeaders({ 'content-type': entry.contentType, 'x-discogs-cache': cacheStatus }),
+    config,
+    request: null,
+  };
+}
+
+/**
+ * Creates an axios adapter that serves cacheable Discogs GET requests from `store`.
+ * Fresh entries are served directly; stale entries are served and refreshed in the background.
+ * Pass `cache: false` in the request config to skip the cached copy (the fresh response is still stored).
+ * Responses carry an `x-discogs-cache` header: HIT, STALE, MISS or BYPASS.
+ * @param {object} store - From createMemoryStore or createPostgresStore.
+ * @param {function} [httpAdapter] - Adapter that sends requests the cache cannot answer (default: axios' own).
+ * @returns {function} Axios adapter.
+ */
+function createCachingAdapter(store, httpAdapter = axios.getAdapter(axios.defaults.adapter)) {
+  const revalidating = new Set(); // Keys being refreshed, so a stale entry is only refreshed once
+
+  const fetchAndStore = async (config, key, endpoint) => {
+    const response = await httpAdapter(config);
+    if (response.status === 200 && typeof response.data === 'string') {
+      const now = Date.now();
+      try {
+        await store.set(key, {
+          tag: endpoint.tag,
+          type: endpoint.type,
+          status: response.status,
+          contentType: response.headers['content-type'] || 'application/json',
+          body: response.data,
+          freshUntil: now + endpoint.ttl * 1000,
+          staleUntil: now + (endpoint.ttl + endpoint.staleTtl) * 1000,
+        });
+      } catch (error) {
+        stats.errors++;
+        console.error(`Discogs Cache Error: Could not store ${key}:`, error.message);
+      }
+    }
+    return response;
+  };
+
+  const revalidate = (config, key, endpoint) => {
+    if (revalidating.has(key)) {
+      return;
+    }
+    revalidating.add(key);
+    stats.revalidations++;
+    fetchAndStore({ ...config, priority: 'low' }, key, endpoint) // The caller already has its response
+      .catch(error => {
+        stats.errors++;
+        console.warn(`Discogs Cache Warning: Background refresh of ${config.url} failed:`, error.message);
+      })
+      .finally(() => revalidating.delete(key));
+  };
+
+  return async function cachingAdapter(config) {
+    const method = (config.method || 'get').toLowerCase();
+    const endpoint = method === 'get' ? matchEndpoint(new URL(config.url, config.baseURL).pathname) : null;
+    if (!endpoint) {
+      return httpAdapter(config);
+    }
+
+    const key = buildCacheKey(config);
+    let cacheStatus = 'BYPASS';
+    if (config.cache !== false) {
+      let entry = null;
+      try {
+        entry = await store.get(key);
+      } catch (error) {
+        stats.errors++;
+        console.error(`Discogs Cache Error: Could not read ${key}:`, error.message);
+      }
+
+      if (entry && entry.freshUntil > Date.now()) {
+        stats.hits++;
+        return toResponse(entry, config, 'HIT');
+      }
+      if (entry) {
+        stats.staleHits++;
+        revalidate(config, key, endpoint);
+        return toResponse(entry, config, 'STALE');
+      }
+      stats.misses++;
+      cacheStatus = 'MISS';
+    } else {
+      stats.bypassed++;
+    }
+
+    const response = await fetchAndStore(config, key, endpoint);
+    response.headers = AxiosHeaders.from(response.headers).set('x-discogs-cache', cacheStatus);
+    return response;
+  };
+}
+
+// --- Configured store (DISCOGS_CACHE_STORE) ---
+let configuredStore;
+
+/**
+ * Returns the configured cache store, or null if caching is disabled.
+ * @returns {object|null}
+ */
+function getCacheStore() {
+  if (configuredStore === undefined) {
+    if (cacheStore === 'none') {
+      configuredStore = null;
+    } else if (cacheStore === 'postgres') {
+      configuredStore = createPostgresStore();
+    } else {
+      if (cacheStore !== 'memory') {
+        console.warn(`WARNING: Unknown DISCOGS_CACHE_STORE '${cacheStore}'. Using the in-memory cache.`);
+      }
+      configuredStore = createMemoryStore();
+    }
+  }
+  return configuredStore;
+}
+
+/**
+ * Cache counters since the process started, plus the number of stored entries.
+ * @returns {Promise<object>}
+ */
+async function getCacheStats() {
+  const store = getCacheStore();
+  const lookups = stats.hits + stats.staleHits + stats.misses;
+  return {
+    store: store ? store.name : 'none',
+    entries: store ? await store.size() : 0,
+    ...stats,
+    hitRate: lookups > 0 ? (stats.hits + stats.staleHits) / lookups : null,
+  };
+}
+
+/**
+ * Removes all cached responses for a release (release data, marketplace stats and price suggestions).
+ * @param {number|string|BigInt} releaseId - The Discogs release ID.
+ * @returns {Promise<number>} The number of entries removed.
+ */
+async function purgeRelease(releaseId) {
+  const store = getCacheStore();
+  return store ? store.purgeTag(`release:${releaseId}`) : 0;
+}
+
+module.exports = {
+  createMemoryStore,
+  createPostgresStore,
+  buildCacheKey,
+  createCachingAdapter,
+  getCacheStore,
+  getCacheStats,
+  purgeRelease,
+};
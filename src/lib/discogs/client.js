@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { AxiosHeaders } = require('axios');
+const OAuth = require('oauth-1.0a');
+const { getCacheStore, createCachingAdapter } = require('./cache');
+const { credentials, userAgent } = require('../../config/discogs');
+
+// Request priorities, highest first. Pass `priority` in the axios request config (default 'normal'):
+// 'high' for checkout-driven listing updates, 'normal' for user-facing requests, 'low' for background work.
+const PRIORITIES = ['high', 'normal', 'low'];
+// Requests left in the rate-limit window that a priority will not use, so background work
+// can never use up the allowance that checkout needs
+const RESERVED_REQUESTS = { high: 0, normal: 2, low: 10 };
+
+// Discogs allows 60 authenticated requests per minute in a moving window; the actual limit is read
+// from the X-Discogs-Ratelimit headers
+const RATE_WINDOW_MS = 60 * 1000;
+const DEFAULT_RATE_LIMIT = 60;
+const MAX_CONCURRENT_REQUESTS = 2;
+
+// Retries of 429, 5xx and network errors: exponential backoff with full jitter (or Retry-After)
+const MAX_RETRIES = parseInt(process.env.DISCOGS_MAX_RETRIES || '4', 10);
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30 * 1000;
+// 5xx and network errors are only retried for methods that are safe to repeat
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+/**
+ * Decides whether a failed request is retried.
+ * @param {Error} error - Axios error.
+ * @param {string} method - Lower-case HTTP method.
+ * @returns {boolean}
+ */
+function isRetryable(error, method) {
+  const status = error.response?.status;
+  if (status === 429) {
+    return true; // Rejected before it was processed, so safe for every method
+  }
+  if (!IDEMPOTENT_METHODS.includes(method) || axios.isCancel(error)) {
+    return false;
+  }
+  return status === undefined || status >= 500; // No response (network error, timeout) or server error
+}
+
+/**
+ * Returns how long to wait before retry number `attempt` (1-based).
+ * @param {number} attempt
+ * @param {Error} error - Axios error; a Retry-After header sets the minimum wait.
+ * @returns {number} Milliseconds.
+ */
+function getRetryDelay(attempt, error) {
+  const backoff = Math.random() * Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+  const retryAfter = parseInt(error.response?.headers?.['retry-after'], 10);
+  return Math.max(backoff, Number.isFinite(retryAfter) ? retryAfter * 1000 : 0);
+}
+
+/**
+ * Creates the request queue that sends Discogs requests in priority order within the rate limit.
+ * @param {object} options
+ * @param {function} options.send - Axios adapter that performs the HTTP request.
+ * @param {function} [options.sign] - Re-signs a request config before each attempt (fresh OAuth nonce and timestamp).
+ * @returns {{schedule: function(object): Promise<object>, getStats: function(): object}}
+ */
+function createRequestScheduler({ send, sign = config => config }) {
+  const queues = Object.fromEntries(PRIORITIES.map(priority => [priority, []]));
+  const rate = { limit: DEFAULT_RATE_LIMIT, remaining: null, updatedAt: 0 };
+  const counters = { sent: 0, retried: 0, rateLimited: 0, failed: 0 };
+  let active = 0;
+  let pausedUntil = 0;
+  let timer = null;
+
+  // Remaining requests now: the last reported value plus what the moving window has freed since
+  const estimateRemaining = () => {
+    if (rate.remaining === null) {
+      return Infinity;
+    }
+    const recovered = Math.floor((Date.now() - rate.updatedAt) * rate.limit / RATE_WINDOW_MS);
+    return Math.min(rate.limit, rate.remaining + recovered);
+  };
+
+  const updateRate = (headers) => {
+    const limit = parseInt(headers?.['x-discogs-ratelimit'], 10);
+    const remaining = parseInt(headers?.['x-discogs-ratelimit-remaining'], 10);
+    if (Number.isFinite(limit) && limit > 0) {
+      rate.limit = limit;
+    }
+    if (Number.isFinite(remaining)) {
+      rate.remaining = remaining;
+      rate.updatedAt = Date.now();
+    }
+  };
+
+  const wakeUpIn = (ms) => {
+    timer = setTimeout(() => {
+      timer = null;
+      pump();
+    }, ms);
+  };
+
+  const enqueue = (job, { front = false } = {}) => {
+    queues[job.priority][front ? 'unshift' : 'push'](job);
+    if (timer) {
+      // A higher-priority request may be allowed to go now
+      clearTimeout(timer);
+      timer = null;
+    }
+    pump();
+  };
+
+  const run = (job) => {
+    active++;
+    counters.sent++;
+    if (rate.remaining !== null) {
+      rate.remaining = Math.max(estimateRemaining() - 1, 0); // Until the response reports the real value
+      rate.updatedAt = Date.now();
+    }
+
+    Promise.resolve()
+      .then(() => send(sign(job.config)))
+      .then(response => {
+        updateRate(response.headers);
+        job.resolve(response);
+      })
+      .catch(error => {
+        updateRate(error.response?.headers);
+        const status = error.response?.status;
+        if (status === 429) {
+          counters.rateLimited++;
+        }
+
+        if (job.attempt < MAX_RETRIES && isRetryable(error, job.method)) {
+          job.attempt++;
+          counters.retried++;
+          const retryDelay = getRetryDelay(job.attempt, error);
+          if (status === 429) {
+            // Everyone waits: the window is used up
+            pausedUntil = Math.max(pausedUntil, Date.now() + retryDelay);
+          }
+          console.warn(`Discogs Client Warning: ${job.method.toUpperCase()} ${job.config.url} failed (${status || error.code || error.message}). Retrying in ${Math.round(retryDelay)}ms (attempt ${job.attempt}/${MAX_RETRIES}).`);
+          setTimeout(() => enqueue(job, { front: true }), retryDelay);
+          return;
+        }
+
+        counters.failed++;
+        if (status === 429) {
+          console.error(`Discogs Client Error: Rate limit hit for ${job.method.toUpperCase()} ${job.config.url}; giving up after ${job.attempt + 1} attempts.`);
+        }
+        job.reject(error);
+      })
+      .finally(() => {
+        active--;
+        pump();
+      });
+  };
+
+  function pump() {
+    if (timer) {
+      return; // Already waiting for the rate limit
+    }
+    while (active < MAX_CONCURRENT_REQUESTS) {
+      const priority = PRIORITIES.find(name => queues[name].length > 0);
+      if (!priority) {
+        return;
+      }
+
+      const now = Date.now();
+      if (pausedUntil > now) {
+        wakeUpIn(pausedUntil - now);
+        return;
+      }
+      if (estimateRemaining() <= RESERVED_REQUESTS[priority]) {
+        // Wait for the moving window to free up one request
+        wakeUpIn(Math.ceil(RATE_WINDOW_MS / rate.limit));
+        return;
+      }
+
+      run(queues[priority].shift());
+    }
+  }
+
+  return {
+    /**
+     * Queues a request and resolves with its response once it has been sent (and retried if needed).
+     * @param {object} config - Axios request config; `priority` selects the queue.
+     * @returns {Promise<object>} Axios response.
+     */
+    schedule(config) {
+      const priority = PRIORITIES.includes(config.priority) ? config.priority : 'normal';
+      return new Promise((resolve, reject) => {
+        enqueue({ config, priority, method: (config.method || 'get').toLowerCase(), attempt: 0, resolve, reject });
+      });
+    },
+
+    /**
+     * Queue depth, rate-limit state and counters since the process started.
+     * @returns {object}
+     */
+    getStats() {
+      const queued = Object.fromEntries(PRIORITIES.map(priority => [priority, queues[priority].length]));
+      const remaining = estimateRemaining();
+      return {
+        queued: { ...queued, total: PRIORITIES.reduce((total, priority) => total + queued[priority], 0) },
+        active,
+        rateLimit: { limit: rate.limit, remaining: remaining === Infinity ? null : remaining },
+        pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null,
+        ...counters,
+      };
+    },
+  };
+}
+
+/**
+ * Creates an axios instance for the Discogs API, signed with the application's OAuth credentials.
+ * Requests go through the priority queue; cacheable GET responses are served from the response cache.
+ * @returns {object} Axios instance with an extra `getQueueStats()` method.
+ * @throws {Error} If the credentials are not configured.
+ */
+function createDiscogsClient() {
+  const { consumerKey, consumerSecret, accessToken, accessSecret } = credentials;
+  if (!consumerKey || !consumerSecret) {
+    throw new Error('Discogs consumer key/secret not configured in .env');
+  }
+  if (!accessToken || !accessSecret) {
+    throw new Error('Application Discogs Access Token/Secret not configured in .env');
+  }
+
+  const oauth = new OAuth({
+    consumer: { key: consumerKey, secret: consumerSecret },
+    signature_method: 'HMAC-SHA1',
+    hash_function(baseString, key) {
+      return crypto.createHmac('sha1', key).update(baseString).digest('base64');
+    },
+  });
+  const token = { key: accessToken, secret: accessSecret };
+
+  const sign = (config) => {
+    const requestData = {
+      url: config.url, // Relative to baseURL, with the query string
+      method: config.method.toUpperCase(),
+      // By the time the queue re-signs, axios has serialized `data` to a JSON string, which
+      // oauth-1.0a would split into character params; always sign the body the interceptor saw
+      data: config.signedData,
+    };
+    config.headers = AxiosHeaders.from(config.headers).set(oauth.toHeader(oauth.authorize(requestData, token)));
+    return config;
+  };
+
+  const scheduler = createRequestScheduler({ send: axios.getAdapter(axios.defaults.adapter), sign });
+  const scheduledAdapter = config => scheduler.schedule(config);
+  const cacheStore = getCacheStore();
+
+  const client = axios.create({
+    baseURL: 'https://api.discogs.com',
+    adapter: cacheStore ? createCachingAdapter(cacheStore, scheduledAdapter) : scheduledAdapter,
+    headers: { 'User-Agent': userAgent },
+  });
+
+  client.interceptors.request.use(config => {
+    // Discogs OAuth needs the query parameters in the signature base string: move them into the URL
+    if (config.params) {
+      const paramsString = new URLSearchParams(config.params).toString();
+      if (paramsString) {
+        config.url = `${config.url}${config.url.includes('?') ? '&' : '?'}${paramsString}`;
+      }
+      config.params = undefined; // So axios doesn't append them again
+    }
+    // Signed here so the response cache can key on the request; the queue signs again before sending
+    config.signedData = config.data;
+    sign(config);
+    console.log(`Discogs Request: ${config.method.toUpperCase()} ${config.url}`);
+    return config;
+  });
+
+  client.getQueueStats = scheduler.getStats;
+  return client;
+}
+
+let sharedClient;
+
+/**
+ * Returns the shared Discogs client. All Discogs API calls should use it, so that they share
+ * one rate limit, one queue and one response cache.
+ * @returns {object} Axios instance (see createDiscogsClient).
+ * @throws {Error} If the credentials are not configured.
+ */
+function getDiscogsClient() {
+  if (!sharedClient) {
+    sharedClient = createDiscogsClient();
+  }
+  return sharedClient;
+}
+
+/**
+ * Queue depth and rate-limit state of the shared client, for monitoring.
+ * @returns {object|null} Null if the client has not been created yet.
+ */
+function getDiscogsQueueStats() {
+  return sharedClient ? sharedClient.getQueueStats() : null;
+}
+
+module.exports = {
+  PRIORITIES,
+  createRequestScheduler,
+  getDiscogsClient,
+  getDiscogsQueueStats,
+};
@@ -0,0 +1,166 @@
+// The Discogs API module: every Discogs call in the app goes through these methods, which share one
+// client (credentials from src/config/discogs.js, rate-limit aware queue, retries and response cache).
+// Each method resolves with the response body and rejects with the axios error
+// (`error.response.status` / `error.response.data.message` hold the Discogs error).
+// `options.priority` ('high', 'normal' or 'low') picks the request queue; see ./client.js.
+const { getDiscogsClient, getDiscogsQueueStats } = require('./client');
+const { username: storeUsername } = require('../../config/discogs');
+
+/**
+ * Sends a request through the shared client and returns the response body.
+ * @param {string} method
+ * @param {string} url - Path relative to the API base URL.
+ * @param {object} [options] - Axios request config (`params`, `data`, `priority`, `cache`).
+ * @returns {Promise<any>}
+ */
+async function request(method, url, options = {}) {
+  const response = await getDiscogsClient().request({ method, url, ...options });
+  return response.data;
+}
+
+// --- Inventory ---
+
+/**
+ * Fetches one page of a user's marketplace inventory.
+ * @param {object} [query]
+ * @param {string} [query.username] - Defaults to the store's account (DISCOGS_USERNAME).
+ * @param {string} [query.status] - e.g. 'For Sale'.
+ * @param {number} [query.page=1]
+ * @param {number} [query.perPage=100] - At most 100.
+ * @param {string} [query.sort] - e.g. 'artist', 'listed'.
+ * @param {string} [query.sortOrder] - 'asc' or 'desc'.
+ * @param {object} [options] - Request options (`priority`).
+ * @returns {Promise<{listings: object[], pagination: object}>}
+ */
+async function getInventory({ username = storeUsername, status, page = 1, perPage = 100, sort, sortOrder } = {}, options = {}) {
+  if (!username) {
+    throw new Error('Discogs username not configured (DISCOGS_USERNAME).');
+  }
+  const params = { page, per_page: perPage };
+  if (status) {
+    params.status = status;
+  }
+  if (sort) {
+    params.sort = sort;
+  }
+  if (sortOrder) {
+    params.sort_order = sortOrder;
+  }
+  return request('get', `/users/${encodeURIComponent(username)}/inventory`, { ...options, params });
+}
+
+// --- Marketplace listings ---
+
+/**
+ * @param {number|string|BigInt} listingId
+ * @param {object} [options]
+ * @returns {Promise<object>} The listing.
+ */
+async function getListing(listingId, options = {}) {
+  return request('get', `/marketplace/listings/${listingId}`, options);
+}
+
+/**
+ * Creates a listing.
+ * @param {object} payload - `release_id`, `condition`, `price` etc. (see discogsListingService.buildListingPayload).
+ * @param {object} [options]
+ * @returns {Promise<{listing_id: number, resource_url: string}>}
+ */
+async function createListing(payload, options = {}) {
+  return request('post', '/marketplace/listings', { ...options, data: payload });
+}
+
+/**
+ * Updates a listing (Discogs expects the full listing payload, including `release_id`, `condition` and `price`).
+ * @param {number|string|BigInt} listingId
+ * @param {object} payload
+ * @param {object} [options]
+ * @returns {Promise<void>}
+ */
+async function updateListing(listingId, payload, options = {}) {
+  return request('post', `/marketplace/listings/${listingId}`, { ...options, data: payload });
+}
+
+/**
+ * @param {number|string|BigInt} listingId
+ * @param {object} [options]
+ * @returns {Promise<void>}
+ */
+async function deleteListing(listingId, options = {}) {
+  return request('delete', `/marketplace/listings/${listingId}`, options);
+}
+
+// --- Database ---
+
+/**
+ * Fetches a release (tracklist, videos, credits, identifiers, images). Served from the response cache when fresh.
+ * @param {number|string|BigInt} releaseId
+ * @param {object} [options] - `cache: false` to skip the cached copy.
+ * @returns {Promise<object>}
+ */
+async function getRelease(releaseId, options = {}) {
+  return request('get', `/releases/${releaseId}`, options);
+}
+
+// --- Marketplace orders ---
+
+/**
+ * Lists the store's marketplace orders.
+ * @param {object} [query]
+ * @param {string} [query.status] - e.g. 'Payment Received'.
+ * @param {number} [query.page=1]
+ * @param {number} [query.perPage=50]
+ * @param {object} [options]
+ * @returns {Promise<{orders: object[], pagination: object}>}
+ */
+async function listOrders({ status, page = 1, perPage = 50 } = {}, options = {}) {
+  const params = { page, per_page: perPage };
+  if (status) {
+    params.status = status;
+  }
+  return request('get', '/marketplace/orders', { ...options, params });
+}
+
+/**
+ * @param {string} orderId - Discogs order ID, e.g. "1234567-1".
+ * @param {object} [options]
+ * @returns {Promise<object>}
+ */
+async function getOrder(orderId, options = {}) {
+  return request('get', `/marketplace/orders/${encodeURIComponent(orderId)}`, options);
+}
+
+// --- Users ---
+
+/**
+ * Returns the account the access token belongs to.
+ * @param {object} [options]
+ * @returns {Promise<{id: number, username: string, resource_url: string, consumer_name: string}>}
+ */
+async function getIdentity(options = {}) {
+  return request('get', '/oauth/identity', options);
+}
+
+/**
+ * @param {string} [username] - Defaults to the store's account.
+ * @param {object} [options]
+ * @returns {Promise<object>} The user's profile.
+ */
+async function getUser(username = storeUsername, options = {}) {
+  return request('get', `/users/${encodeURIComponent(username)}`, options);
+}
+
+module.exports = {
+  getDiscogsClient,
+  getDiscogsQueueStats,
+  getInventory,
+  getListing,
+  createListing,
+  updateListing,
+  deleteListing,
+  getRelease,
+  listOrders,
+  getOrder,
+  getIdentity,
+  getUser,
+};
@@ -0,0 +1,81 @@
+const { getCurrencyDecimals, normalizeCurrency } = require('./currency');
+
+// Amounts are integers in the smallest unit of their currency (cents, or whole yen for JPY).
+// Prices are only turned into decimals at the edges: parsing Discogs values, sending them back
+// to Discogs, and formatting for people.
+
+/**
+ * Parses a decimal price (e.g. Discogs `price.value`: 12.5 or "12.50") into the smallest currency unit
+ * without going through float multiplication. Extra decimals are rounded half up.
+ * @param {number|string} value - Price in major units.
+ * @param {string} currency - ISO 4217 code.
+ * @returns {number} Integer amount in the smallest currency unit.
+ * @throws {Error} If the value is not a non-negative decimal number.
+ */
+function parseMoney(value, currency) {
+  const text = typeof value === 'number' ? value.toFixed(10) : String(value ?? '').trim();
+  const match = /^(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (match[1] === '' && !match[2])) {
+    throw new Error(`Invalid price value: ${value}`);
+  }
+
+  const decimals = getCurrencyDecimals(currency);
+  const [, whole, fraction = ''] = match;
+  const padded = fraction.padEnd(decimals + 1, '0');
+  let amount = parseInt(whole || '0', 10) * 10 ** decimals + (decimals > 0 ? parseInt(padded.slice(0, decimals), 10) : 0);
+  if (parseInt(padded[decimals], 10) >= 5) {
+    amount += 1;
+  }
+  return amount;
+}
+
+/**
+ * Converts an amount in the smallest currency unit to major units, for APIs that take decimals (Discogs).
+ * @param {number} amount - Integer amount in the smallest currency unit.
+ * @param {string} currency - ISO 4217 code.
+ * @returns {number}
+ */
+function toMajorUnits(amount, currency) {
+  const decimals = getCurrencyDecimals(currency);
+  return Number((amount / 10 ** decimals).toFixed(decimals));
+}
+
+/**
+ * Formats an amount for display, e.g. "USD 12.50" or "JPY 1500".
+ * @param {number} amount - Integer amount in the smallest currency unit.
+ * @param {string} currency - ISO 4217 code.
+ * @returns {string}
+ */
+function formatMoney(amount, currency) {
+  const code = normalizeCurrency(currency);
+  const decimals = getCurrencyDecimals(code);
+  const sign = amount < 0 ? '-' : '';
+  const absolute = Math.abs(amount);
+  const whole = Math.floor(absolute / 10 ** decimals);
+  const fraction = decimals > 0 ? `.${String(absolute % 10 ** decimals).padStart(decimals, '0')}` : '';
+  return `${code} ${sign}${whole}${fraction}`;
+}
+
+/**
+ * Sums line amounts (unit amount x quantity). All amounts must be integers in the same currency,
+ * so the total is exact.
+ * @param {Array<{amount: number, quantity?: number}>} lines - Lines to add up (quantity defaults to 1).
+ * @returns {number} Integer total in the smallest currency unit.
+ * @throws {Error} If a line amount or quantity is not an integer.
+ */
+function sumMoney(lines) {
+  return lines.reduce((total, line) => {
+    const quantity = line.quantity ?? 1;
+    if (!Number.isInteger(line.amount) || !Number.isInteger(quantity)) {
+      throw new Error(`Cannot sum non-integer money amount: ${line.amount} x ${quantity}`);
+    }
+    return total + line.amount * quantity;
+  }, 0);
+}
+
+module.exports = {
+  parseMoney,
+  toMajorUnits,
+  formatMoney,
+  sumMoney,
+};
@@ -0,0 +1,23 @@
+// Page-number pagination for the list endpoints (`page` and `perPage` query parameters).
+
+/**
+ * Parses page/perPage query values. Values must be whole numbers ("2", not "2.5" or "2abc").
+ * @param {number|string} page - 1-based page number.
+ * @param {number|string} perPage - Page size.
+ * @param {number} maxPerPage - Page sizes above this are capped to it.
+ * @returns {{pageNum: number, take: number}}
+ * @throws {Error} If either value is not a positive integer.
+ */
+function parsePagination(page, perPage, maxPerPage) {
+  const pageNum = Number(page);
+  const perPageNum = Number(perPage);
+
+  if (!Number.isInteger(pageNum) || pageNum < 1 || !Number.isInteger(perPageNum) || perPageNum < 1) {
+    throw new Error('Invalid pagination parameters: page and perPage must be positive integers.');
+  }
+  return { pageNum, take: Math.min(perPageNum, maxPerPage) };
+}
+
+module.exports = {
+  parsePagination,
+};
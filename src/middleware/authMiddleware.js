@@ -1,4 +1,5 @@
 // src/middleware/authMiddleware.js
+const prisma = require('../lib/prisma');
 
 const requireAuth = (req, res, next) => {
     console.log('Auth check - session:', req.session ? {
@@ -11,16 +12,46 @@ const requireAuth = (req, res, next) => {
             sameSite: req.session.cookie.sameSite
         } : 'no cookie'
     } : 'no session');
-    
+
     if (!req.session || !req.session.userId) {
         console.log('Auth failed - no valid session or userId');
         return res.status(401).json({ message: 'Authentication required. Please log in.' });
     }
-    
+
     // If authenticated, attach userId to req for downstream use (convenient for controllers)
     req.userId = req.session.userId;
     console.log(`Auth successful for user ${req.session.userId}`);
     next(); // User is authenticated, proceed to the next middleware or route handler
 };
 
-module.exports = { requireAuth }; 
\ No newline at end of file
+// Use after requireAuth: only lets through users whose role is one of `roles`.
+// The role is read from the database on every request, so promotions and demotions apply immediately.
+const requireRole = (...roles) => async (req, res, next) => {
+    if (!req.session || !req.session.userId) {
+        return res.status(401).json({ message: 'Authentication required. Please log in.' });
+    }
+
+    try {
+        const user = await prisma.user.findUnique({
+            where: { id: req.session.userId },
+            select: { id: true, role: true },
+        });
+
+        if (!user || !roles.includes(user.role)) {
+            console.log(`Role check failed for user ${req.session.userId}: has ${user ? user.role : 'no user'}, needs one of ${roles.join(', ')}`);
+            return res.status(403).json({ message: 'You do not have permission to perform this action.' });
+        }
+
+        req.userRole = user.role;
+        next();
+    } catch (error) {
+        console.error('Error checking user role:', error);
+        res.status(500).json({ message: 'Failed to verify permissions.' });
+    }
+};
+
+// Common role combinations
+const requireStaff = requireRole('STAFF', 'ADMIN');
+const requireAdmin = requireRole('ADMIN');
+
+module.exports = { requireAuth, requireRole, requireStaff, requireAdmin };
@@ -0,0 +1,81 @@
+const express = require('express');
+const adminOrderController = require('../controllers/adminOrderController');
+const adminWebhookController = require('../controllers/adminWebhookController');
+const adminPromotionController = require('../controllers/adminPromotionController');
+const adminDiscogsController = require('../controllers/adminDiscogsController');
+const adminListingController = require('../controllers/adminListingController');
+const adminOutboxController = require('../controllers/adminOutboxController');
+const { requireAuth, requireStaff, requireAdmin } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All admin routes require a logged-in staff member; money-moving routes additionally require ADMIN
+router.use(requireAuth, requireStaff);
+
+// --- Order management ---
+// GET /api/admin/orders - List all orders (?page, ?perPage, ?status, ?email)
+router.get('/orders', adminOrderController.listOrdersController);
+
+// GET /api/admin/orders/:id - Get any order
+router.get('/orders/:id', adminOrderController.getOrderController);
+
+// POST /api/admin/orders/:id/ship - Mark as shipped ({ carrier, trackingNumber })
+router.post('/orders/:id/ship', adminOrderController.shipOrderController);
+
+// POST /api/admin/orders/:id/cancel - Cancel ({ reason }), refunding and restocking paid orders
+router.post('/orders/:id/cancel', requireAdmin, adminOrderController.cancelOrderController);
+
+// POST /api/admin/orders/:id/refund - Full or partial refund ({ amount?, reason?, restock? })
+router.post('/orders/:id/refund', requireAdmin, adminOrderController.refundOrderController);
+
+// --- Webhook events ---
+// GET /api/admin/webhooks - List stored webhook events (?status=error,failed, ?eventType, ?page, ?perPage)
+router.get('/webhooks', adminWebhookController.listWebhookEventsController);
+
+// GET /api/admin/webhooks/:id - Get a stored event with its payload
+router.get('/webhooks/:id', adminWebhookController.getWebhookEventController);
+
+// POST /api/admin/webhooks/:id/replay - Re-run an event through the Stripe event handler ({ force? })
+router.post('/webhooks/:id/replay', requireAdmin, adminWebhookController.replayWebhookEventController);
+
+// --- Outbox ---
+// GET /api/admin/outbox - List outbox events (?status=pending,dead, ?type, ?aggregateId, ?page, ?perPage)
+router.get('/outbox', adminOutboxController.listOutboxEventsController);
+
+// GET /api/admin/outbox/stats - Event counts per type and status (before /outbox/:id)
+router.get('/outbox/stats', adminOutboxController.getOutboxStatsController);
+
+// GET /api/admin/outbox/:id - Get one outbox event with its payload and last error
+router.get('/outbox/:id', adminOutboxController.getOutboxEventController);
+
+// POST /api/admin/outbox/:id/retry - Retry a pending or dead event now (dead events get a fresh set of attempts)
+router.post('/outbox/:id/retry', requireAdmin, adminOutboxController.retryOutboxEventController);
+
+// --- Promotions ---
+// GET /api/admin/promotions - List promotions (?active=true|false)
+router.get('/promotions', adminPromotionController.listPromotionsController);
+
+// POST /api/admin/promotions - Create a promotion code
+router.post('/promotions', requireAdmin, adminPromotionController.createPromotionController);
+
+// PATCH /api/admin/promotions/:id - Update or deactivate a promotion
+router.patch('/promotions/:id', requireAdmin, adminPromotionController.updatePromotionController);
+
+// --- Discogs listings ---
+// POST /api/admin/listings - Create a record from a Discogs release and list it (or keep it as a draft with { draft: true })
+router.post('/listings', requireAdmin, adminListingController.createListingController);
+
+// POST /api/admin/listings/:recordId/publish - List a draft record on Discogs and put it on sale
+router.post('/listings/:recordId/publish', requireAdmin, adminListingController.publishListingController);
+
+// --- Discogs client ---
+// GET /api/admin/discogs/cache - Hit/miss counters and number of cached responses
+router.get('/discogs/cache', adminDiscogsController.getCacheStatsController);
+
+// GET /api/admin/discogs/queue - Request queue depth per priority and rate-limit state
+router.get('/discogs/queue', adminDiscogsController.getQueueStatsController);
+
+// DELETE /api/admin/discogs/cache/releases/:releaseId - Purge cached responses for one release
+router.delete('/discogs/cache/releases/:releaseId', requireAdmin, adminDiscogsController.purgeReleaseController);
+
+module.exports = router;
@@ -19,6 +19,12 @@ router.put('/items/:itemId', cartController.updateItemController);
 // DELETE /api/cart/items/:itemId - Remove item from cart
 router.delete('/items/:itemId', cartController.removeItemController);
 
+// POST /api/cart/promotion - Apply a promotion code ({ code })
+router.post('/promotion', cartController.applyPromotionController);
+
+// DELETE /api/cart/promotion - Remove the applied promotion code
+router.delete('/promotion', cartController.removePromotionController);
+
 // POST /api/cart/merge - Merge guest cart items into user's cart
 router.post('/merge', cartController.mergeCartController);
 
@@ -10,4 +10,10 @@ router.use(requireAuth);
 // POST /api/checkout/session - Create Stripe Checkout Session
 router.post('/session', checkoutController.createCheckoutSessionController);
 
+// GET /api/checkout/shipping-options - Shipping countries, or shipping rates for the cart (?country=XX)
+router.get('/shipping-options', checkoutController.getShippingOptionsController);
+
+// POST /api/checkout/session/:sessionId/cancel - Cancel a checkout and release the reserved stock
+router.post('/session/:sessionId/cancel', checkoutController.cancelCheckoutSessionController);
+
 module.exports = router; 
\ No newline at end of file
@@ -1,16 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const inventoryController = require('../controllers/inventoryController');
+const { requireAuth, requireStaff, requireAdmin } = require('../middleware/authMiddleware');
 
-// Middleware to ensure user is logged in
-const ensureAuthenticated = (req, res, next) => {
-    if (req.session && req.session.userId) {
-        return next();
-    }
-    res.status(401).json({ message: 'Unauthorized' });
-};
+// POST /api/inventory/refresh - Trigger inventory sync (?mode, ?dryRun=true) (staff and admins only)
+router.post('/refresh', requireAuth, requireStaff, inventoryController.refreshInventory);
 
-// POST /api/inventory/refresh - Trigger inventory sync
-router.post('/refresh', ensureAuthenticated, inventoryController.refreshInventory);
+// GET /api/inventory/sync-runs - Sync history (?status, ?trigger, ?page, ?perPage)
+router.get('/sync-runs', requireAuth, requireStaff, inventoryController.listSyncRuns);
+
+// GET /api/inventory/sync-runs/:id - Live progress and failures of one sync run
+router.get('/sync-runs/:id', requireAuth, requireStaff, inventoryController.getSyncRun);
+
+// POST /api/inventory/sync-runs/:id/apply - Apply a previewed diff or held-back archiving (admins only)
+router.post('/sync-runs/:id/apply', requireAuth, requireAdmin, inventoryController.applySyncRun);
 
 module.exports = router;
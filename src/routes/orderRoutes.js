@@ -0,0 +1,19 @@
+const express = require('express');
+const orderController = require('../controllers/orderController');
+const { requireAuth } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Apply requireAuth middleware - customers can only see their own orders
+router.use(requireAuth);
+
+// GET /api/orders - List the user's orders (?page, ?perPage, ?status=PAID,SHIPPED)
+router.get('/', orderController.listOrdersController);
+
+// GET /api/orders/by-session/:sessionId - Order for a Stripe Checkout Session (checkout success page)
+router.get('/by-session/:sessionId', orderController.getOrderBySessionController);
+
+// GET /api/orders/:id - Get a single order with its items
+router.get('/:id', orderController.getOrderController);
+
+module.exports = router;
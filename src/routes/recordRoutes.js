@@ -1,15 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const recordController = require('../controllers/recordController');
+const { requireAuth, requireStaff } = require('../middleware/authMiddleware');
 
-// Re-use or import authentication middleware
-// TODO: Decide which routes *really* need authentication
-const ensureAuthenticated = (req, res, next) => {
-    if (req.session && req.session.userId) {
-        return next();
-    }
-    res.status(401).json({ message: 'Unauthorized' });
-};
+// Catalog browsing is public. Catalog-editing routes must use
+// requireAuth + requireStaff from '../middleware/authMiddleware'.
 
 // GET /api/records - List records with filtering, sorting, pagination
 router.get('/', recordController.listRecords);
@@ -20,8 +15,10 @@ router.get('/:id', recordController.getRecordById);
 // GET /api/records/:id/details - Get a specific record merged with Discogs details
 router.get('/:id/details', recordController.getRecordWithDiscogsDetails);
 
-// POST /api/inventory/refresh - (Protected/Internal) Trigger inventory sync
-// We'll add this route later, likely under a different path like /api/inventory
-// router.post('/inventory/refresh', ensureAuthenticated, recordController.refreshInventory);
+// PATCH /api/records/:id - Edit listing fields and push them to Discogs (staff only)
+router.patch('/:id', requireAuth, requireStaff, recordController.updateRecord);
+
+// GET /api/records/:id/pushes - History of edits pushed to Discogs (staff only)
+router.get('/:id/pushes', requireAuth, requireStaff, recordController.listRecordPushes);
 
 module.exports = router;
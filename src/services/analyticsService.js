@@ -0,0 +1,39 @@
+const axios = require('axios');
+
+// Analytics events are posted as JSON to this URL (e.g. the HTTP source of an analytics pipeline).
+// Without it, events are only logged.
+const ANALYTICS_WEBHOOK_URL = process.env.ANALYTICS_WEBHOOK_URL;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Sends an analytics event. Delivered by the outbox, which retries failures: the receiver should drop
+ * events whose `messageId` it has already seen.
+ * @param {string} name - e.g. 'order_paid'.
+ * @param {object} properties
+ * @param {object} options
+ * @param {string} options.messageId - Unique per event (the outbox event ID).
+ * @param {Date} [options.timestamp] - When it happened (defaults to now).
+ * @returns {Promise<void>}
+ * @throws {Error} If the endpoint cannot be reached or rejects the event.
+ */
+async function trackEvent(name, properties, { messageId, timestamp = new Date() }) {
+    if (!ANALYTICS_WEBHOOK_URL) {
+        console.log(`Analytics event ${name} (${messageId}) not sent: ANALYTICS_WEBHOOK_URL is not set.`);
+        return;
+    }
+
+    try {
+        await axios.post(
+            ANALYTICS_WEBHOOK_URL,
+            { event: name, messageId, timestamp: new Date(timestamp).toISOString(), properties },
+            { timeout: REQUEST_TIMEOUT_MS }
+        );
+    } catch (error) {
+        const status = error.response?.status;
+        throw new Error(`Failed to send analytics event ${name} (${messageId})${status ? `: HTTP ${status}` : `: ${error.message}`}`);
+    }
+}
+
+module.exports = {
+    trackEvent,
+};
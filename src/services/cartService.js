@@ -1,8 +1,75 @@
 const prisma = require('../lib/prisma');
+const { getHeldQuantities } = require('./reservationService');
+const { STORE_CURRENCY, convertAmount } = require('../lib/currency');
+const { sumMoney } = require('../lib/money');
+const promotionService = require('./promotionService');
+
+/**
+ * Prices the cart items in the store currency (the currency checkout charges in).
+ * @param {object[]} items - Cart items including `record`.
+ * @returns {{lines: Array<{amount: number, quantity: number, record: object}>, unpricedItems: number}}
+ *          Items whose price cannot be converted are left out and counted in `unpricedItems`.
+ */
+function getCartLines(items) {
+    const lines = [];
+    let unpricedItems = 0;
+    for (const item of items) {
+        if (!item.record) {
+            continue;
+        }
+        try {
+            lines.push({
+                amount: convertAmount(item.record.price, item.record.currency, STORE_CURRENCY),
+                quantity: item.quantity,
+                record: item.record,
+            });
+        } catch (error) {
+            unpricedItems++;
+        }
+    }
+    return { lines, unpricedItems };
+}
+
+/**
+ * Totals the cart in the store currency, applying the cart's promotion if it is still valid.
+ * Amounts are in the smallest unit of the store currency; shipping is added at checkout.
+ * @param {object[]} items - Cart items including `record`.
+ * @param {object|null} promotion - The promotion applied to the cart.
+ * @param {string} userId - The ID of the cart's user (for per-customer usage limits).
+ * @returns {Promise<object>} `{currency, subtotal, discount, total, itemCount, unpricedItems, promotion, promotionError}`.
+ *          `promotionError` explains why an applied code currently gives no discount.
+ */
+async function getCartTotals(items, promotion, userId) {
+    const { lines, unpricedItems } = getCartLines(items);
+    const subtotal = sumMoney(lines);
+
+    let discount = 0;
+    let promotionError = null;
+    if (promotion) {
+        try {
+            ({ discountAmount: discount } = await promotionService.evaluatePromotion(promotion, lines, userId));
+        } catch (error) {
+            promotionError = error.message;
+        }
+    }
+
+    return {
+        currency: STORE_CURRENCY,
+        subtotal,
+        discount,
+        total: subtotal - discount,
+        itemCount: items.reduce((count, item) => count + item.quantity, 0),
+        unpricedItems,
+        promotion: promotion ? { code: promotion.code, description: promotion.description, type: promotion.type, value: promotion.value } : null,
+        promotionError,
+    };
+}
 
 /**
  * Retrieves the user's cart, creating one if it doesn't exist.
- * Includes cart items and associated record details.
+ * Includes cart items and associated record details. Each item's record carries
+ * `availableQuantity`: its stock minus what other shoppers currently hold in checkout.
+ * The cart carries `totals` (see getCartTotals).
  * @param {string} userId - The ID of the user.
  * @returns {Promise<object>} The user's cart object.
  */
@@ -18,6 +85,7 @@ async function getCart(userId) {
                     createdAt: 'asc', // Optional: order items by when they were added
                 },
             },
+            promotion: true,
         },
     });
 
@@ -29,11 +97,40 @@ async function getCart(userId) {
                 items: true, // Include empty items array for consistency
             },
         });
+        cart.totals = await getCartTotals(cart.items, null, userId);
+        return cart;
     }
 
+    // The user's own holds don't count: starting a new checkout releases them
+    const heldByRecord = await getHeldQuantities(
+        cart.items.map(item => item.recordId),
+        { excludeUserId: userId }
+    );
+    cart.items = cart.items.map(item => ({
+        ...item,
+        record: item.record && {
+            ...item.record,
+            availableQuantity: Math.max(0, item.record.quantity - (heldByRecord.get(item.recordId) || 0)),
+        },
+    }));
+    cart.totals = await getCartTotals(cart.items, cart.promotion, userId);
+    delete cart.promotion; // Summarized in totals.promotion
+
     return cart;
 }
 
+/**
+ * Returns how many units of a record a user can still put in their cart.
+ * @param {object} tx - Prisma transaction client.
+ * @param {object} record - Record object from Prisma.
+ * @param {string} userId - The ID of the user (their own checkout holds are not subtracted).
+ * @returns {Promise<number>} Stock minus other shoppers' active holds.
+ */
+async function getAvailableQuantity(tx, record, userId) {
+    const heldByRecord = await getHeldQuantities([record.id], { excludeUserId: userId, client: tx });
+    return Math.max(0, record.quantity - (heldByRecord.get(record.id) || 0));
+}
+
 /**
  * Adds a record to the user's cart or increases its quantity.
  * @param {string} userId - The ID of the user.
@@ -79,9 +176,10 @@ async function addItemToCart(userId, recordId, quantity) {
             finalQuantity = quantity;
         }
 
-        // 3. Check available quantity
-        if (record.quantity < finalQuantity) {
-            throw new Error(`Insufficient quantity available for record ${record.title}. Only ${record.quantity} left.`);
+        // 3. Check available quantity (stock minus other shoppers' checkout holds)
+        const availableQuantity = await getAvailableQuantity(tx, record, userId);
+        if (availableQuantity < finalQuantity) {
+            throw new Error(`Insufficient quantity available for record ${record.title}. Only ${availableQuantity} left.`);
         }
 
         // 4. Upsert the cart item
@@ -146,9 +244,10 @@ async function updateCartItemQuantity(userId, cartItemId, quantity) {
             throw new Error(`Record '${cartItem.record.title}' is no longer available in the requested quantity.`);
         }
 
-        // 4. Check available quantity
-        if (cartItem.record.quantity < quantity) {
-            throw new Error(`Insufficient quantity available for record ${cartItem.record.title}. Only ${cartItem.record.quantity} left.`);
+        // 4. Check available quantity (stock minus other shoppers' checkout holds)
+        const availableQuantity = await getAvailableQuantity(tx, cartItem.record, userId);
+        if (availableQuantity < quantity) {
+            throw new Error(`Insufficient quantity available for record ${cartItem.record.title}. Only ${availableQuantity} left.`);
         }
 
         // 5. Update the quantity
@@ -196,6 +295,42 @@ async function removeItemFromCart(userId, cartItemId) {
     return getCart(userId);
 }
 
+/**
+ * Takes records that are no longer for sale out of every cart, and reports whose carts held them
+ * so the shoppers can be told.
+ * @param {object} tx - Prisma client or transaction client.
+ * @param {string[]} recordIds
+ * @returns {Promise<Array<{user: {id: string, email: string|null, name: string|null}, records: Array<{id: string, title: string, artist: string}>}>>}
+ *          One entry per affected shopper.
+ */
+async function removeRecordsFromCarts(tx, recordIds) {
+    if (recordIds.length === 0) {
+        return [];
+    }
+    const items = await tx.cartItem.findMany({
+        where: { recordId: { in: recordIds } },
+        select: {
+            id: true,
+            cart: { select: { user: { select: { id: true, email: true, name: true } } } },
+            record: { select: { id: true, title: true, artist: true } },
+        },
+    });
+    if (items.length === 0) {
+        return [];
+    }
+    await tx.cartItem.deleteMany({ where: { id: { in: items.map(item => item.id) } } });
+
+    const byUser = new Map();
+    for (const item of items) {
+        const { user } = item.cart;
+        if (!byUser.has(user.id)) {
+            byUser.set(user.id, { user, records: [] });
+        }
+        byUser.get(user.id).records.push(item.record);
+    }
+    return [...byUser.values()];
+}
+
 /**
  * Merges guest cart items (from localStorage) into the user's persistent cart.
  * @param {string} userId - The ID of the user.
@@ -252,12 +387,13 @@ async function mergeCart(userId, guestCartItems) {
             }
 
             // 3. Check available quantity against the final desired quantity
-            if (record.quantity < quantityToSet) {
-                console.warn(`Insufficient quantity for record ID ${recordId} (${record.title}). Available: ${record.quantity}, Requested total: ${quantityToSet}. Adjusting quantity.`);
+            const availableQuantity = await getAvailableQuantity(tx, record, userId);
+            if (availableQuantity < quantityToSet) {
+                console.warn(`Insufficient quantity for record ID ${recordId} (${record.title}). Available: ${availableQuantity}, Requested total: ${quantityToSet}. Adjusting quantity.`);
                 // Adjust quantity to max available, only if adding *new* quantity would exceed stock
                 // If it already existed, we might just leave it as is, or cap it.
                 // Capping at available quantity seems safest.
-                quantityToSet = record.quantity;
+                quantityToSet = availableQuantity;
                  if (quantityToSet <= 0) { // If capping makes it zero or less, skip adding/updating
                     console.warn(`Record ID ${recordId} (${record.title}) is out of stock. Skipping merge for this item.`);
                     continue;
@@ -286,10 +422,55 @@ async function mergeCart(userId, guestCartItems) {
     return getCart(userId);
 }
 
+/**
+ * Applies a promotion code to the user's cart. The code must currently give a discount on the cart.
+ * @param {string} userId - The ID of the user.
+ * @param {string} code - The code the customer entered.
+ * @returns {Promise<object>} The updated cart object.
+ * @throws {Error} If the code doesn't exist or can't be redeemed on this cart.
+ */
+async function applyPromotionToCart(userId, code) {
+    if (!code || typeof code !== 'string') {
+        throw new Error('Invalid promotion code.');
+    }
+    const promotion = await promotionService.getPromotionByCode(code);
+    const cart = await getCart(userId);
+    if (!cart.items || cart.items.length === 0) {
+        throw new Error('Cannot apply a promotion code: Cart is empty.');
+    }
+
+    // Throws with the reason the code can't be used
+    await promotionService.evaluatePromotion(promotion, getCartLines(cart.items).lines, userId);
+
+    await prisma.cart.update({
+        where: { id: cart.id },
+        data: { promotionId: promotion.id },
+    });
+    return getCart(userId);
+}
+
+/**
+ * Removes the promotion code from the user's cart.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object>} The updated cart object.
+ */
+async function removePromotionFromCart(userId) {
+    const cart = await getCart(userId);
+    await prisma.cart.update({
+        where: { id: cart.id },
+        data: { promotionId: null },
+    });
+    return getCart(userId);
+}
+
 module.exports = {
     getCart,
+    getCartLines,
     addItemToCart,
     updateCartItemQuantity,
     removeItemFromCart,
     mergeCart, // Export the new function
+    removeRecordsFromCarts,
+    applyPromotionToCart,
+    removePromotionFromCart,
 }; 
\ No newline at end of file
@@ -1,5 +1,10 @@
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const cartService = require('./cartService');
+const reservationService = require('./reservationService');
+const shippingService = require('./shippingService');
+const promotionService = require('./promotionService');
+const { allowedCountries, defaultCountry } = require('../config/shipping');
+const { STORE_CURRENCY, convertAmount } = require('../lib/currency');
 const prisma = require('../lib/prisma'); // Needed for deeper item validation if required
 
 const FRONTEND_CHECKOUT_SUCCESS_URL = `${process.env.FRONTEND_URL}/checkout/success?session_id={CHECKOUT_SESSION_ID}`;
@@ -7,15 +12,27 @@ const FRONTEND_CHECKOUT_CANCEL_URL = `${process.env.FRONTEND_URL}/cart`;
 
 /**
  * Creates a Stripe Checkout Session for the user's current cart.
+ * Stripe collects a shipping address in the zone of `shippingCountry` and offers the zone's
+ * shipping rates for the weight of the cart. A promotion code applied to the cart is re-validated
+ * and sent to Stripe as a one-off coupon for the discount amount.
  * @param {string} userId - The ID of the user initiating checkout.
+ * @param {object} [options]
+ * @param {string} [options.shippingCountry] - Two-letter ISO code of the destination country. Defaults to
+ *        the configured default shipping country.
  * @returns {Promise<Stripe.Checkout.Session>} The created Stripe Checkout Session object.
- * @throws {Error} If cart is empty, items are invalid, or Stripe API call fails.
+ * @throws {Error} If cart is empty, items are invalid, we don't ship to the country, the promotion code
+ *         can no longer be used, or Stripe API call fails.
  */
-async function createCheckoutSession(userId) {
+async function createCheckoutSession(userId, { shippingCountry = defaultCountry } = {}) {
     if (!process.env.STRIPE_SECRET_KEY) {
         throw new Error('Stripe secret key is not configured.');
     }
 
+    const shippingZone = shippingService.getZoneForCountry(shippingCountry);
+    if (!shippingZone) {
+        throw new Error(`Shipping to '${shippingCountry || ''}' is not available. Supported countries: ${allowedCountries.join(', ')}.`);
+    }
+
     // 1. Get the user's cart with items and record details
     const cart = await cartService.getCart(userId);
 
@@ -23,34 +40,40 @@ async function createCheckoutSession(userId) {
         throw new Error('Cannot create checkout session: Cart is empty.');
     }
 
-    // 2. Validate cart items and format for Stripe
+    // 2. Validate cart items, reserve stock and format for Stripe
     const line_items = [];
     let totalCartQuantity = 0;
+    const expiresAt = reservationService.getReservationExpiry();
+    let reservations = [];
+    let replacedCheckoutIds = [];
+    let shipping;
+    let promotion = null;
+    let discountAmount = 0;
+    let redemption = null;
 
-    // Use Prisma transaction for consistent read of record data
+    // Use Prisma transaction so the stock check and the holds are atomic
     await prisma.$transaction(async (tx) => {
+        const itemsToReserve = [];
+        const itemsToShip = [];
+        const pricedLines = [];
+
         for (const item of cart.items) {
             if (!item.record) {
                  // This should ideally not happen due to foreign keys
                 throw new Error(`Cart item ${item.id} is missing record data. Please refresh your cart.`);
             }
 
-            // Re-validate record status and quantity at checkout time
             const record = await tx.record.findUnique({
                 where: { id: item.recordId },
-                select: { title: true, quantity: true, status: true, price: true, coverImage: true, artist: true }
+                select: { title: true, price: true, currency: true, coverImage: true, artist: true, weight: true, genre: true, style: true, label: true }
             });
-
-            if (!record || record.status !== 'FOR_SALE') {
+            if (!record) {
                 throw new Error(`Item '${item.record.title}' is no longer available for sale. Please remove it from your cart.`);
             }
-            if (record.quantity < item.quantity) {
-                throw new Error(`Insufficient stock for '${item.record.title}'. Only ${record.quantity} available. Please update your cart.`);
-            }
 
-             // Stripe requires price in the smallest currency unit (e.g., cents)
-             // Assuming item.record.price is stored as a float representing the main unit (e.g., dollars)
-            const unitAmount = Math.round(record.price * 100); // Convert to cents
+            // Charge in the store currency. Prices are already in the smallest currency unit Stripe
+            // expects (cents, or whole units for zero-decimal currencies)
+            const unitAmount = convertAmount(record.price, record.currency, STORE_CURRENCY);
             if (unitAmount <= 0) {
                  // Stripe requires positive amount
                  console.warn(`Record ${record.title} has zero or negative price. Skipping.`);
@@ -59,7 +82,7 @@ async function createCheckoutSession(userId) {
 
             line_items.push({
                 price_data: {
-                    currency: 'usd', // Or use a configurable currency
+                    currency: STORE_CURRENCY.toLowerCase(),
                     product_data: {
                         name: `${record.artist} - ${record.title}`,
                         // description: `Format: ${record.format}, Condition: ${item.record.condition}`, // Add more details if needed
@@ -74,20 +97,72 @@ async function createCheckoutSession(userId) {
                 },
                 quantity: item.quantity,
             });
+            itemsToReserve.push({ recordId: item.recordId, quantity: item.quantity });
+            itemsToShip.push({ record, quantity: item.quantity });
+            pricedLines.push({ amount: unitAmount, quantity: item.quantity, record });
             totalCartQuantity += item.quantity;
         }
+
+        if (itemsToReserve.length === 0) {
+            throw new Error('No valid items found in the cart for checkout.');
+        }
+
+        // Price shipping before holding any stock; throws if no rate covers the parcel
+        shipping = shippingService.getShippingOptions(shippingCountry, itemsToShip);
+
+        // An earlier checkout's promotion claim is replaced together with its holds. Give it back before
+        // the limits are checked, so the shopper's own earlier claim does not count against them.
+        await promotionService.releaseRedemptions({ userId, status: 'HELD' }, tx);
+
+        // Re-check the promotion code against the prices being charged; throws if it can no longer be used
+        if (cart.promotionId) {
+            promotion = await tx.promotion.findUnique({ where: { id: cart.promotionId } });
+            ({ discountAmount } = await promotionService.evaluatePromotion(promotion, pricedLines, userId, tx));
+        }
+
+        // Re-validate record status and hold the quantities at checkout time.
+        // Throws if an item is no longer for sale or other shoppers hold the remaining stock.
+        ({ reservations, replacedCheckoutIds } = await reservationService.reserveItems(tx, userId, itemsToReserve, expiresAt));
+
+        // Claim this checkout's use of the code; throws if a concurrent checkout took the last one
+        if (discountAmount > 0) {
+            redemption = await promotionService.claimRedemption(tx, promotion.id, userId, expiresAt);
+        }
     });
 
-    if (line_items.length === 0) {
-        throw new Error('No valid items found in the cart for checkout.');
-    }
+    const reservationIds = reservations.map(reservation => reservation.id);
 
     // 3. Create Stripe Checkout Session
+    let session;
+    let coupon;
     try {
-        const session = await stripe.checkout.sessions.create({
+        // Stripe applies the discount across the line items (not shipping). The coupon is single-use:
+        // scoping and limits were already checked above.
+        let discounts;
+        if (discountAmount > 0) {
+            coupon = await stripe.coupons.create({
+                amount_off: discountAmount,
+                currency: STORE_CURRENCY.toLowerCase(),
+                duration: 'once',
+                max_redemptions: 1,
+                name: promotion.code,
+                metadata: { promotionId: promotion.id },
+            });
+            discounts = [{ coupon: coupon.id }];
+        }
+
+        session = await stripe.checkout.sessions.create({
             payment_method_types: ['card'],
             line_items: line_items,
             mode: 'payment',
+            // The session expires together with the stock holds
+            expires_at: Math.floor(expiresAt.getTime() / 1000),
+            // Limit the address to the zone the shipping rates were priced for
+            shipping_address_collection: {
+                allowed_countries: shippingZone.countries.filter(code => allowedCountries.includes(code)),
+            },
+            shipping_options: shippingService.toStripeShippingOptions(shipping.options),
+            discounts,
             success_url: FRONTEND_CHECKOUT_SUCCESS_URL,
             cancel_url: FRONTEND_CHECKOUT_CANCEL_URL,
             // Metadata is crucial for linking the session back to your system in the webhook
@@ -96,24 +171,117 @@ async function createCheckoutSession(userId) {
                 cartId: cart.id, // Store cart ID
                 itemCount: cart.items.length,
                 totalQuantity: totalCartQuantity,
+                shippingZone: shipping.zone.id,
+                parcelWeight: shipping.weight,
+                ...(discountAmount > 0 ? { promotionId: promotion.id, promotionCode: promotion.code } : {}),
                 // Avoid storing sensitive or overly large data here.
                 // Consider storing IDs and re-fetching details in the webhook if needed.
             },
             // Optionally collect customer email or prefill if known
             // customer_email: userEmail, // Fetch user email if available
-            // Optionally collect shipping address
-            // shipping_address_collection: {
-            //   allowed_countries: ['US', 'CA'], // Specify allowed countries
-            // },
         });
         console.log(`Stripe Checkout Session created for user ${userId}, cart ${cart.id}. Session ID: ${session.id}`);
-        return session;
     } catch (error) {
         console.error('Stripe Checkout Session creation failed:', error);
+        await reservationService.releaseReservations(reservationIds);
+        if (redemption) {
+            await promotionService.releaseRedemptions({ id: redemption.id });
+        }
+        if (coupon) {
+            await deleteStripeCoupon(coupon.id);
+        }
         throw new Error(`Failed to create Stripe session: ${error.message}`);
     }
+
+    await reservationService.attachCheckoutSession(reservationIds, session.id);
+    if (redemption) {
+        await promotionService.attachRedemptionToSession(redemption.id, session.id);
+    }
+    console.log(`Reserved stock for ${reservationIds.length} item(s) until ${expiresAt.toISOString()} (session ${session.id}).`);
+
+    // The holds of any earlier checkout were released, so its session must not be payable any more
+    for (const checkoutId of replacedCheckoutIds) {
+        await expireStripeSession(checkoutId);
+    }
+
+    return session;
+}
+
+/**
+ * Quotes the shipping options for the user's current cart, so the cart page can show them
+ * before checkout.
+ * @param {string} userId - The ID of the user.
+ * @param {string} country - Two-letter ISO code of the destination country.
+ * @returns {Promise<object>} The result of shippingService.getShippingOptions.
+ * @throws {Error} If the cart is empty, we don't ship to the country, or no rate covers the parcel.
+ */
+async function getShippingQuote(userId, country) {
+    const cart = await cartService.getCart(userId);
+    if (!cart || !cart.items || cart.items.length === 0) {
+        throw new Error('Cannot quote shipping: Cart is empty.');
+    }
+    return shippingService.getShippingOptions(country, cart.items);
+}
+
+/**
+ * Returns the countries we ship to.
+ * @returns {string[]} Two-letter ISO country codes.
+ */
+function getShippingCountries() {
+    return allowedCountries;
+}
+
+/**
+ * Expires an open Stripe Checkout Session. Failures are logged, not thrown
+ * (the session may already be complete or expired).
+ * @param {string} checkoutId - Stripe Checkout Session ID.
+ */
+async function expireStripeSession(checkoutId) {
+    try {
+        await stripe.checkout.sessions.expire(checkoutId);
+        console.log(`Expired Stripe Checkout Session ${checkoutId}.`);
+    } catch (error) {
+        console.warn(`Could not expire Stripe Checkout Session ${checkoutId}: ${error.message}`);
+    }
+}
+
+/**
+ * Deletes the one-off coupon of a checkout whose session could not be created. Failures are logged,
+ * not thrown (the checkout error is the one to report).
+ * @param {string} couponId - Stripe coupon ID.
+ */
+async function deleteStripeCoupon(couponId) {
+    try {
+        await stripe.coupons.del(couponId);
+        console.log(`Deleted unused Stripe coupon ${couponId}.`);
+    } catch (error) {
+        console.warn(`Could not delete Stripe coupon ${couponId}: ${error.message}`);
+    }
+}
+
+/**
+ * Cancels a checkout the customer abandoned: expires the Stripe session and releases its stock holds
+ * and promotion claim.
+ * @param {string} userId - The ID of the user who started the checkout.
+ * @param {string} checkoutId - Stripe Checkout Session ID.
+ * @returns {Promise<{released: number}>} Number of holds released.
+ * @throws {Error} If the session has no reservations owned by the user.
+ */
+async function cancelCheckoutSession(userId, checkoutId) {
+    const ownerId = await reservationService.getReservationOwner(checkoutId);
+    if (!ownerId || ownerId !== userId) {
+        throw new Error('Checkout session not found.');
+    }
+
+    await expireStripeSession(checkoutId);
+    const released = await reservationService.releaseReservationsForSession(checkoutId);
+    await promotionService.releaseRedemptionsForSession(checkoutId);
+    return { released };
 }
 
 module.exports = {
     createCheckoutSession,
+    getShippingQuote,
+    getShippingCountries,
+    cancelCheckoutSession,
 }; 
\ No newline at end of file
@@ -0,0 +1,372 @@
+const prisma = require('../lib/prisma');
+const discogs = require('../lib/discogs');
+const { toMajorUnits } = require('../lib/money');
+const { normalizeCurrency } = require('../lib/currency');
+const { sellerCurrency } = require('../config/discogs');
+const { formatArtists, mapRelease, storeRelease } = require('./releaseEnrichmentService');
+
+// Media conditions accepted by the Discogs marketplace
+const LISTING_CONDITIONS = [
+    'Mint (M)',
+    'Near Mint (NM or M-)',
+    'Very Good Plus (VG+)',
+    'Very Good (VG)',
+    'Good Plus (G+)',
+    'Good (G)',
+    'Fair (F)',
+    'Poor (P)',
+];
+// Sleeve conditions: the media conditions plus a few sleeve-only values
+const SLEEVE_CONDITIONS = [...LISTING_CONDITIONS, 'Generic', 'Not Graded', 'No Cover'];
+// Records already listed (or about to be); a release's record in any other status can be listed again
+const LISTED_STATUSES = ['FOR_SALE', 'DRAFT'];
+
+/**
+ * Validates the listing fields present in `input`; absent fields are left out of the result.
+ * @param {object} input - Any of `price` (integer, minor units), `condition`, `sleeveCondition`, `notes`
+ *   (the Discogs comments), `location`, `weight` (grams) and `quantity`.
+ * @returns {object} The fields, with empty texts as null.
+ * @throws {Error} If a field is invalid.
+ */
+function validateListingFields(input) {
+    const fields = {};
+    if (input.price !== undefined) {
+        if (!Number.isInteger(input.price) || input.price <= 0) {
+            throw new Error('Invalid price: must be a positive integer in the smallest currency unit (e.g. cents).');
+        }
+        fields.price = input.price;
+    }
+    if (input.condition !== undefined) {
+        if (!LISTING_CONDITIONS.includes(input.condition)) {
+            throw new Error(`Invalid condition. Allowed values: ${LISTING_CONDITIONS.join(', ')}.`);
+        }
+        fields.condition = input.condition;
+    }
+    if (input.sleeveCondition !== undefined) {
+        if (input.sleeveCondition !== null && !SLEEVE_CONDITIONS.includes(input.sleeveCondition)) {
+            throw new Error(`Invalid sleeveCondition. Allowed values: ${SLEEVE_CONDITIONS.join(', ')}, or null.`);
+        }
+        fields.sleeveCondition = input.sleeveCondition;
+    }
+    for (const field of ['notes', 'location']) {
+        if (input[field] !== undefined) {
+            if (input[field] !== null && typeof input[field] !== 'string') {
+                throw new Error(`Invalid ${field}: must be a string or null.`);
+            }
+            fields[field] = input[field]?.trim() || null;
+        }
+    }
+    if (input.weight !== undefined) {
+        if (input.weight !== null && (!Number.isInteger(input.weight) || input.weight <= 0)) {
+            throw new Error('Invalid weight: must be a positive integer (grams) or null.');
+        }
+        fields.weight = input.weight;
+    }
+    if (input.quantity !== undefined) {
+        if (!Number.isInteger(input.quantity) || input.quantity < 1) {
+            throw new Error('Invalid quantity: must be a positive integer.');
+        }
+        fields.quantity = input.quantity;
+    }
+    return fields;
+}
+
+/**
+ * Builds the Discogs listing payload for a local record.
+ * @param {object} record - Record object from Prisma.
+ * @returns {object} Payload for the Discogs `/marketplace/listings` endpoints.
+ */
+function buildListingPayload(record) {
+    return {
+        release_id: record.discogsReleaseId,
+        condition: record.condition,
+        sleeve_condition: record.sleeveCondition,
+        price: toMajorUnits(record.price, record.currency), // Discogs takes a decimal price
+        status: 'For Sale',
+        comments: record.notes,
+        location: record.location,
+        ...(record.weight ? { weight: record.weight } : {}), // Otherwise Discogs estimates it
+    };
+}
+
+/**
+ * Maps a Discogs `/releases/:id` response to the Record columns describing the release.
+ * @param {object} release - The Discogs release.
+ * @returns {object}
+ */
+function mapReleaseToRecord(release) {
+    const label = release.labels?.[0];
+    const primaryImage = release.images?.find(image => image.type === 'primary') || release.images?.[0];
+    return {
+        title: release.title,
+        artist: release.artists_sort || formatArtists(release.artists) || 'Unknown Artist',
+        label: label?.name || 'Unknown Label',
+        catalogNumber: label?.catno || null,
+        year: release.year || null, // Discogs uses 0 for unknown
+        // e.g. "Vinyl, LP, Album" ("+" between formats of a multi-format release)
+        format: (release.formats || []).map(format => [format.name, ...(format.descriptions || [])].join(', ')).join(' + ') || null,
+        genre: release.genres || [],
+        style: release.styles || [],
+        coverImage: primaryImage?.uri || release.thumb || null,
+    };
+}
+
+/**
+ * Returns the currency Discogs prices the store's listings in: DISCOGS_SELLER_CURRENCY, or else the
+ * currency of the listings synced from Discogs.
+ * @returns {Promise<string>} ISO 4217 code.
+ * @throws {Error} If neither is available.
+ */
+async function getSellerCurrency() {
+    if (sellerCurrency) {
+        return sellerCurrency;
+    }
+    const listed = await prisma.record.findFirst({
+        where: { discogsListingId: { not: null } },
+        orderBy: { lastSyncedAt: 'desc' },
+        select: { currency: true },
+    });
+    if (!listed) {
+        throw new Error('Cannot create the listing: the Discogs seller currency is unknown. Set DISCOGS_SELLER_CURRENCY or run an inventory sync first.');
+    }
+    return listed.currency;
+}
+
+/**
+ * Posts a new Discogs listing for a record.
+ * @param {object} record - Record fields (see buildListingPayload).
+ * @returns {Promise<BigInt>} The new listing ID.
+ * @throws {Error} If Discogs refuses the listing.
+ */
+async function postListing(record) {
+    let listing;
+    try {
+        listing = await discogs.createListing(buildListingPayload(record), { priority: 'high' });
+    } catch (error) {
+        throw new Error(`Failed to create the Discogs listing: ${error.response?.data?.message || error.message}`);
+    }
+    if (!listing?.listing_id) {
+        throw new Error('Failed to create the Discogs listing: no listing_id in the response.');
+    }
+    return BigInt(listing.listing_id);
+}
+
+/**
+ * Deletes a listing posted by postListing after the local change it was for failed.
+ * @param {BigInt} listingId
+ * @param {string} context - For the log.
+ */
+async function withdrawListing(listingId, context) {
+    try {
+        await discogs.deleteListing(listingId, { priority: 'high' });
+    } catch (error) {
+        console.error(`Discogs Listing Error: Failed to delete listing ${listingId} after ${context}: ${error.response?.data?.message || error.message}. Delete it on Discogs manually.`);
+    }
+}
+
+/**
+ * Creates a record from a Discogs release and, unless it is a draft, lists it on Discogs.
+ * Title, artist, label, year, formats, genres and the tracklist come from the release. A record of the
+ * same release that is no longer listed (sold or archived) is reused, so its links keep working.
+ * A draft is only stored locally; publishDraftRecord lists it.
+ * @param {object} input
+ * @param {number|string} input.releaseId - The Discogs release ID.
+ * @param {number} input.price - In the smallest unit of the Discogs seller currency (see getSellerCurrency).
+ * @param {string} [input.currency] - The currency of `price`; if given, it must be the seller currency.
+ * @param {string} input.condition
+ * @param {string} [input.sleeveCondition]
+ * @param {string} [input.notes] - Shown as the listing's comments.
+ * @param {string} [input.location] - Private.
+ * @param {number} [input.weight] - Grams.
+ * @param {number} [input.quantity=1]
+ * @param {boolean} [input.draft=false]
+ * @param {object} [options]
+ * @param {string} [options.userId] - The admin creating it (for the log).
+ * @returns {Promise<object>} The record.
+ * @throws {Error} If the input is invalid, the release does not exist, the release is already listed
+ *   ('already exists') or Discogs refuses the listing ('Failed to create').
+ */
+async function createRecordListing({ releaseId, draft = false, currency, ...input } = {}, { userId = null } = {}) {
+    if (releaseId === undefined || releaseId === null || !/^\d+$/.test(String(releaseId))) {
+        throw new Error('Invalid releaseId: must be a Discogs release ID.');
+    }
+    const fields = validateListingFields(input);
+    const unknown = Object.keys(input).filter(field => !(field in fields));
+    if (unknown.length > 0) {
+        throw new Error(`Invalid field(s): ${unknown.join(', ')}.`);
+    }
+    if (fields.price === undefined || fields.condition === undefined) {
+        throw new Error('Missing required fields: price and condition.');
+    }
+    const id = BigInt(releaseId);
+
+    // Discogs prices listings in the seller's currency, and the record keeps the price in the listing's currency
+    const listingCurrency = await getSellerCurrency();
+    if (currency !== undefined && normalizeCurrency(currency) !== listingCurrency) {
+        throw new Error(`Invalid currency: Discogs prices listings in the seller currency ${listingCurrency}; give the price in ${listingCurrency}.`);
+    }
+
+    const existing = await prisma.record.findUnique({ where: { discogsReleaseId: id } });
+    if (existing && LISTED_STATUSES.includes(existing.status)) {
+        throw new Error(`A record for Discogs release ${id} already exists (record ${existing.id}, status '${existing.status}').`);
+    }
+
+    let release;
+    try {
+        release = await discogs.getRelease(id, { priority: 'high' });
+    } catch (error) {
+        if (error.response?.status === 404) {
+            throw new Error(`Discogs release ${id} not found.`);
+        }
+        throw new Error(`Failed to create the Discogs listing: could not fetch release ${id} (${error.response?.data?.message || error.message}).`);
+    }
+
+    const data = {
+        discogsReleaseId: id,
+        ...mapReleaseToRecord(release),
+        currency: listingCurrency,
+        sleeveCondition: null,
+        notes: null,
+        location: null,
+        weight: null,
+        quantity: 1,
+        ...fields,
+        status: draft ? 'DRAFT' : 'FOR_SALE',
+        discogsListingId: null,
+        archivedAt: null,
+        archiveReason: null,
+        lastSyncedAt: new Date(),
+    };
+    if (!draft) {
+        data.discogsListingId = await postListing(data);
+    }
+
+    let record;
+    try {
+        record = existing
+            ? await prisma.record.update({ where: { id: existing.id }, data })
+            : await prisma.record.create({ data });
+    } catch (error) {
+        if (data.discogsListingId) {
+            await withdrawListing(data.discogsListingId, `storing the record of release ${id} failed`);
+        }
+        if (error.code === 'P2002') {
+            throw new Error(`A record for Discogs release ${id} already exists.`);
+        }
+        throw error;
+    }
+
+    try {
+        await storeRelease(id, mapRelease(release)); // Tracklist and release details
+    } catch (error) {
+        // The release enrichment job fills them in later
+        console.error(`Discogs Listing Warning: Failed to store release ${id} for Record ${record.id}: ${error.message}`);
+    }
+
+    console.log(`User ${userId} created ${draft ? 'draft ' : ''}Record ${record.id} for Discogs release ${id}${record.discogsListingId ? ` as listing ${record.discogsListingId}` : ''}.`);
+    return record;
+}
+
+/**
+ * Lists a draft record on Discogs and puts it on sale.
+ * @param {string} recordId
+ * @param {object} [options]
+ * @param {string} [options.userId] - The admin publishing it (for the log).
+ * @returns {Promise<object>} The record.
+ * @throws {Error} If the record does not exist, is not a draft ('Cannot publish') or Discogs refuses the listing.
+ */
+async function publishDraftRecord(recordId, { userId = null } = {}) {
+    const record = await prisma.record.findUnique({ where: { id: recordId } });
+    if (!record) {
+        throw new Error('Record not found.');
+    }
+    if (record.status !== 'DRAFT') {
+        throw new Error(`Cannot publish record ${recordId}: it is not a draft (status '${record.status}').`);
+    }
+    if (!record.discogsReleaseId) {
+        throw new Error(`Cannot publish record ${recordId}: it has no Discogs release.`);
+    }
+    const listingCurrency = await getSellerCurrency();
+    if (normalizeCurrency(record.currency) !== listingCurrency) {
+        throw new Error(`Cannot publish record ${recordId}: it is priced in ${record.currency}, but Discogs prices listings in the seller currency ${listingCurrency}.`);
+    }
+
+    const listingId = await postListing(record);
+    const now = new Date();
+    // Only if it is still a draft: two admins may publish at once
+    const { count } = await prisma.record.updateMany({
+        where: { id: recordId, status: 'DRAFT' },
+        data: { status: 'FOR_SALE', discogsListingId: listingId, lastSyncedAt: now },
+    });
+    if (count === 0) {
+        await withdrawListing(listingId, `record ${recordId} was published twice`);
+        throw new Error(`Cannot publish record ${recordId}: it was published or changed meanwhile.`);
+    }
+
+    console.log(`User ${userId} published Record ${recordId} as Discogs listing ${listingId}.`);
+    return prisma.record.findUnique({ where: { id: recordId } });
+}
+
+/**
+ * Brings a record's Discogs listing in line with its stock, keeping the listing (and its history and
+ * watchers) where possible. Discogs listings have no quantity: the listing stays 'For Sale' while copies
+ * are left and is set to 'Draft' when the record sells out, so a restock puts the same listing back on
+ * sale. A listing that no longer exists on Discogs is replaced by a new one.
+ * Reads the record when it runs, so it is safe to retry and to run more than once (see outboxService).
+ * @param {string} recordId
+ * @returns {Promise<void>}
+ * @throws {Error} If Discogs refuses the change.
+ */
+async function syncRecordListing(recordId) {
+    const record = await prisma.record.findUnique({ where: { id: recordId } });
+    if (!record || !record.discogsReleaseId) {
+        console.warn(`Discogs Listing Warning: Record ${recordId} not found or without a Discogs release. Nothing to sync.`);
+        return;
+    }
+    const onSale = record.status === 'FOR_SALE' && record.quantity > 0;
+    if (!onSale && record.status !== 'SOLD') {
+        return; // Drafts and archived records are not managed here
+    }
+
+    if (record.discogsListingId) {
+        try {
+            await discogs.updateListing(
+                record.discogsListingId,
+                { ...buildListingPayload(record), status: onSale ? 'For Sale' : 'Draft' },
+                { priority: 'high' } // Stock correction, ahead of background work
+            );
+            console.log(`Discogs listing ${record.discogsListingId} of Record ${recordId} set to ${onSale ? `'For Sale' (${record.quantity} left)` : "'Draft' (sold out)"}.`);
+            return;
+        } catch (error) {
+            if (error.response?.status !== 404) {
+                throw new Error(`Failed to update Discogs listing ${record.discogsListingId}: ${error.response?.data?.message || error.message}`);
+            }
+            console.warn(`Discogs listing ${record.discogsListingId} of Record ${recordId} no longer exists on Discogs.`);
+        }
+    }
+    if (!onSale) {
+        return; // Sold out, and there is no listing to take down
+    }
+
+    const listingId = await postListing(record);
+    // Only if no other listing was stored meanwhile
+    const { count } = await prisma.record.updateMany({
+        where: { id: recordId, discogsListingId: record.discogsListingId },
+        data: { discogsListingId: listingId },
+    });
+    if (count === 0) {
+        await withdrawListing(listingId, `record ${recordId} got another listing meanwhile`);
+        return;
+    }
+    console.log(`Listed Record ${recordId} as new Discogs listing ${listingId}.`);
+}
+
+module.exports = {
+    LISTING_CONDITIONS,
+    SLEEVE_CONDITIONS,
+    validateListingFields,
+    buildListingPayload,
+    createRecordListing,
+    publishDraftRecord,
+    syncRecordListing,
+};
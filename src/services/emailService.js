@@ -1,4 +1,6 @@
 const { Resend } = require('resend');
+const prisma = require('../lib/prisma');
+const { formatMoney } = require('../lib/money');
 
 // Validate environment variables
 if (!process.env.RESEND_API_KEY) {
@@ -17,31 +19,36 @@ const fromAddress = configuredFromAddress || 'onboarding@resend.dev';
 /**
  * Sends an order confirmation email using Resend.
  * @param {object} order - The complete order object from Prisma, expected to include
- *                         relations like `orderItems` for a full confirmation.
- * @param {object[]} order.orderItems - Array of items in the order.
+ *                         the `items` relation for a full confirmation.
+ * @param {object[]} order.items - Array of items in the order.
  * @param {string} order.id - The unique ID of the order.
  * @param {string} order.customerEmail - The recipient's email address.
  * @param {number} order.totalAmount - The total amount in the smallest currency unit (e.g., cents).
  * @param {string} order.currency - The currency code (e.g., 'USD').
  * @param {string} [order.customerName] - Optional customer name.
+ * @param {number} [order.shippingAmount] - Shipping cost in the smallest currency unit (included in totalAmount).
+ * @param {string} [order.shippingMethod] - Name of the chosen shipping rate.
+ * @param {object} [order.shippingAddress] - Address collected at checkout.
+ * @param {number} [order.discountAmount] - Promotion discount in the smallest currency unit (already deducted from totalAmount).
+ * @param {string} [order.promotionCode] - The redeemed promotion code.
  * @param {Date} order.createdAt - The date the order was created.
+ * @throws {Error} If the order data is incomplete, or Resend rejects the email or cannot be reached.
  */
 async function sendOrderConfirmationEmail(order) {
   // --- Input Validation ---
   if (!order) {
     console.error('Email Service Error: No order object provided.');
-    return;
+    throw new Error('No order provided for the confirmation email.');
   }
   if (!order.id || !order.customerEmail || order.totalAmount == null || !order.currency || !order.createdAt) {
     console.error(`Email Service Error: Incomplete essential order data provided. Order ID: ${order.id || 'N/A'}. Cannot send confirmation.`);
     // Log the received order object for debugging if possible (careful with sensitive data)
     // console.error('Received order data:', JSON.stringify(order, null, 2));
-    return;
+    throw new Error(`Incomplete order data for the confirmation email of Order ${order.id || 'N/A'}.`);
   }
 
   const recipientEmail = order.customerEmail;
   const orderId = order.id;
-  const totalAmountFormatted = (order.totalAmount / 100).toFixed(2);
   const currency = order.currency.toUpperCase();
   const customerName = order.customerName || 'Valued Customer';
   const orderDate = new Date(order.createdAt).toLocaleDateString();
@@ -56,31 +63,39 @@ async function sendOrderConfirmationEmail(order) {
   textBody += `Order Date: ${orderDate}\n\n`;
 
   // Include order items if available
-  if (order.orderItems && Array.isArray(order.orderItems) && order.orderItems.length > 0) {
+  if (order.items && Array.isArray(order.items) && order.items.length > 0) {
     textBody += `Items Purchased:\n`;
-    order.orderItems.forEach(item => {
+    order.items.forEach(item => {
       const artist = item.artist || 'N/A';
       const title = item.title || 'Item';
       const quantity = item.quantity || 0;
-      const price = item.price != null ? (item.price / 100).toFixed(2) : 'N/A';
-      textBody += `- ${quantity} x ${artist} - ${title} @ ${currency} ${price}\n`;
+      const price = item.price != null ? formatMoney(item.price, currency) : 'N/A';
+      textBody += `- ${quantity} x ${artist} - ${title} @ ${price}\n`;
     });
     textBody += `\n`;
   } else {
     // Optional: Add a note if items aren't included
     // textBody += `(Detailed item list will be sent with shipping confirmation.)\n\n`;
-    console.warn(`Email Service Warning: Order ${orderId} did not have orderItems attached when sending confirmation email.`);
+    console.warn(`Email Service Warning: Order ${orderId} did not have items attached when sending confirmation email.`);
   }
 
-  textBody += `Total Amount: ${currency} ${totalAmountFormatted}\n\n`;
-
-  // TODO: Add Shipping Address if available in the order object
-  // if (order.shippingAddress) {
-  //   textBody += `Shipping To:\n`;
-  //   textBody += `${order.shippingAddress.line1}\n`;
-  //   // ... add other address lines ...
-  //   textBody += `\n`;
-  // }
+  if (order.discountAmount) {
+    textBody += `Discount${order.promotionCode ? ` (${order.promotionCode})` : ''}: -${formatMoney(order.discountAmount, currency)}\n`;
+  }
+  if (order.shippingAmount) {
+    textBody += `Shipping${order.shippingMethod ? ` (${order.shippingMethod})` : ''}: ${formatMoney(order.shippingAmount, currency)}\n`;
+  }
+  textBody += `Total Amount: ${formatMoney(order.totalAmount, currency)}\n\n`;
+
+  if (order.shippingAddress) {
+    const address = order.shippingAddress;
+    const cityLine = [address.postalCode, address.city, address.state].filter(Boolean).join(' ');
+    textBody += `Shipping To:\n`;
+    [address.name, address.line1, address.line2, cityLine, address.country]
+      .filter(Boolean)
+      .forEach(line => { textBody += `${line}\n`; });
+    textBody += `\n`;
+  }
 
   textBody += `If you have any questions, please reply to this email.\n\n`;
   textBody += `Thanks again for shopping at Plastik!\n`;
@@ -107,6 +122,7 @@ async function sendOrderConfirmationEmail(order) {
     if (response.error) {
         // Resend API returned an error object
         console.error(`Email Service Error: Failed to send order confirmation for Order ${orderId}. Resend Error:`, JSON.stringify(response.error, null, 2));
+        throw new Error(`Resend rejected the confirmation email for Order ${orderId}: ${response.error.message || response.error.name || 'unknown error'}`);
     } else if (response.data && response.data.id) {
         // Success, log the email ID from Resend
         console.log(`Successfully sent order confirmation email for Order ${orderId} to ${recipientEmail}. Resend Email ID: ${response.data.id}`);
@@ -116,12 +132,111 @@ async function sendOrderConfirmationEmail(order) {
     }
 
   } catch (exception) {
-    // Catch network errors or other exceptions during the API call
+    // Network errors or a rejected email: the caller (the outbox) retries
     console.error(`Email Service Exception: An unexpected error occurred while sending confirmation for Order ${orderId}. Exception:`, exception);
-    // Consider adding more robust error handling/reporting here
+    throw exception;
+  }
+}
+
+/**
+ * Sends the confirmation email of a paid order unless it was already sent (`Order.confirmationEmailSentAt`).
+ * Delivered by the outbox, which retries failures. `confirmationEmailSendingAt` is set before the send, so an
+ * attempt interrupted between the send and recording it (e.g. a crash) is not repeated: it fails instead and,
+ * once dead-lettered, an admin retry decides whether to send again.
+ * @param {string} orderId - The ID of the paid order.
+ * @throws {Error} If the order does not exist, an earlier attempt was interrupted, or the email could not be sent.
+ */
+async function deliverOrderConfirmation(orderId) {
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: { items: true }, // Include items for the email body
+  });
+  if (!order) {
+    throw new Error(`Order ${orderId} not found for the confirmation email.`);
+  }
+  if (order.confirmationEmailSentAt) {
+    console.log(`Confirmation email for Order ${orderId} was already sent at ${order.confirmationEmailSentAt.toISOString()}. Skipping.`);
+    return;
+  }
+
+  const marked = await prisma.order.updateMany({
+    where: { id: orderId, confirmationEmailSentAt: null, confirmationEmailSendingAt: null },
+    data: { confirmationEmailSendingAt: new Date() },
+  });
+  if (marked.count === 0) {
+    throw new Error(`Confirmation email for Order ${orderId} may already have been sent by an interrupted attempt. Check the Resend log; retrying the dead-lettered outbox event sends it again.`);
+  }
+
+  try {
+    await sendOrderConfirmationEmail(order);
+  } catch (error) {
+    // The send failed, so the next attempt may send it
+    await clearOrderConfirmationSending(orderId);
+    throw error;
+  }
+  await prisma.order.update({ where: { id: orderId }, data: { confirmationEmailSentAt: new Date() } });
+}
+
+/**
+ * Clears the marker of an unfinished confirmation email send, so the next delivery sends it.
+ * @param {string} orderId - The ID of the order.
+ */
+async function clearOrderConfirmationSending(orderId) {
+  await prisma.order.updateMany({
+    where: { id: orderId, confirmationEmailSentAt: null },
+    data: { confirmationEmailSendingAt: null },
+  });
+}
+
+/**
+ * Tells a shopper that records in their cart are no longer available (the sync archived them) and
+ * were taken out of the cart.
+ * @param {object} user - The cart's owner.
+ * @param {string} user.email - Recipient; nothing is sent without one.
+ * @param {string} [user.name]
+ * @param {Array<{title: string, artist: string}>} records - The records removed from the cart.
+ */
+async function sendCartItemsUnavailableEmail(user, records) {
+  if (!user || !user.email || !Array.isArray(records) || records.length === 0) {
+    console.error('Email Service Error: Missing recipient or records for the cart items unavailable email.');
+    return;
+  }
+
+  const customerName = user.name || 'Valued Customer';
+  const subject = records.length === 1
+    ? `An item in your Plastik cart is no longer available`
+    : `${records.length} items in your Plastik cart are no longer available`;
+
+  let textBody = `Hello ${customerName},\n\n`;
+  textBody += `Sorry, the following ${records.length === 1 ? 'record has' : 'records have'} just sold or been withdrawn, and we've taken ${records.length === 1 ? 'it' : 'them'} out of your cart:\n\n`;
+  records.forEach(record => {
+    textBody += `- ${record.artist || 'N/A'} - ${record.title || 'Item'}\n`;
+  });
+  textBody += `\nThe rest of your cart is unchanged. Each record's page lists similar records we have in stock.\n\n`;
+  textBody += `Thanks for shopping at Plastik!\n`;
+
+  try {
+    const response = await resend.emails.send({
+      from: fromAddress,
+      to: [user.email],
+      subject,
+      text: textBody,
+      tags: [{ name: 'category', value: 'cart_items_unavailable' }],
+    });
+
+    if (response.error) {
+      console.error(`Email Service Error: Failed to send cart items unavailable email to ${user.email}. Resend Error:`, JSON.stringify(response.error, null, 2));
+    } else {
+      console.log(`Sent cart items unavailable email to ${user.email} (${records.length} record(s)).`);
+    }
+  } catch (exception) {
+    console.error(`Email Service Exception: An unexpected error occurred while sending the cart items unavailable email to ${user.email}. Exception:`, exception);
   }
 }
 
 module.exports = {
   sendOrderConfirmationEmail,
+  deliverOrderConfirmation,
+  clearOrderConfirmationSending,
+  sendCartItemsUnavailableEmail,
 }; 
\ No newline at end of file
@@ -1,354 +1,736 @@
 const prisma = require('../lib/prisma');
-// const { getDiscogsClient } = require('../controllers/authController'); // Keep if used elsewhere (e.g., stats)
-// @ts-ignore - Import disconnect client
-const { Client } = require('disconnect');
-// const axios = require('axios'); // Remove axios
+const discogs = require('../lib/discogs');
+const { credentials, username: appDiscogsUsername } = require('../config/discogs');
+const { normalizeCurrency, STORE_CURRENCY } = require('../lib/currency');
+const { parseMoney } = require('../lib/money');
+const syncRunService = require('./syncRunService');
+const cartService = require('./cartService');
+const { sendCartItemsUnavailableEmail } = require('./emailService');
+
+// Row of InventorySyncState that holds the checkpoint of this sync
+const SYNC_STATE_ID = 'discogs-inventory';
+const SYNC_MODES = ['auto', 'incremental', 'full'];
+// Listings per inventory page (the Discogs maximum)
+const PAGE_SIZE = 100;
+// In 'auto' mode a full reconciliation runs when the last one is older than this
+const FULL_SYNC_INTERVAL_HOURS = readNumberSetting('INVENTORY_FULL_SYNC_INTERVAL_HOURS', 24);
+// An interrupted full reconciliation older than this starts over instead of resuming
+const MAX_RESUME_AGE_MS = 24 * 60 * 60 * 1000;
+// A sync does not archive more than this share of the records for sale without an admin's confirmation:
+// an empty or truncated Discogs response looks the same as "everything was removed"
+const MAX_ARCHIVE_PERCENT = readNumberSetting('INVENTORY_SYNC_MAX_ARCHIVE_PERCENT', 10);
+// ...unless it is only a handful of records
+const ARCHIVES_ALLOWED_WITHOUT_CONFIRMATION = 5;
+// Listings that left the inventory are looked up on Discogs (sold or withdrawn?); at most this many per sync
+const MAX_LISTING_LOOKUPS = 50;
+// A dry run's diff, or archiving held back for confirmation, can be applied for this long
+const DIFF_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+// SyncRun statuses whose diff can be applied
+const PENDING_DIFF_STATUSES = ['previewed', 'awaiting_confirmation'];
+
+// Records whose listing left the Discogs inventory; the sync puts them back on sale if the listing returns
+const ARCHIVED_STATUSES = ['ARCHIVED', 'SOLD_ELSEWHERE'];
+
+// Record fields compared with the listing to decide whether a record needs an update
+const SYNCED_FIELDS = ['price', 'currency', 'condition', 'sleeveCondition', 'notes', 'location', 'coverImage', 'weight'];
+const SYNCED_SELECT = Object.fromEntries(SYNCED_FIELDS.map(field => [field, true]));
 
-// Basic delay function to help with rate limiting
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+/**
+ * Reads a non-negative number setting from the environment. A missing or malformed value gives the default
+ * (with a warning), so a typo cannot turn a NaN into a check that never fires.
+ * @param {string} name - Environment variable name.
+ * @param {number} fallback - Default value.
+ * @returns {number}
+ */
+function readNumberSetting(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') {
+    return fallback;
+  }
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    console.warn(`WARNING: ${name} must be a non-negative number, got '${raw}'. Using ${fallback}.`);
+    return fallback;
+  }
+  return value;
+}
+
+/**
+ * Maps a Discogs inventory listing to Record columns.
+ * @param {object} listing - A listing from the inventory or listing endpoint.
+ * @param {Date} syncedAt
+ * @returns {object|null} Null if the listing has no release or price.
+ */
+function mapListing(listing, syncedAt) {
+  const release = listing.release;
+  const price = listing.price?.value;
+  if (!release || !release.id || price === undefined || price === null) {
+    return null;
+  }
+  const currency = normalizeCurrency(listing.price?.currency) || STORE_CURRENCY;
+  const primaryImage = release.images?.find(img => img.type === 'primary');
+
+  return {
+    discogsReleaseId: release.id,
+    discogsListingId: listing.id,
+    title: release.title,
+    artist: release.artist,
+    label: release.label || 'Unknown Label',
+    catalogNumber: release.catalog_number,
+    year: release.year,
+    format: release.format,
+    genre: release.genres ?? [],
+    style: release.styles ?? [],
+    coverImage: primaryImage?.resource_url || primaryImage?.uri || release.cover_image || release.thumbnail || null,
+    price: parseMoney(price, currency), // Integer minor units, so the delta check compares exactly
+    currency,
+    condition: listing.condition,
+    sleeveCondition: listing.sleeve_condition,
+    status: 'FOR_SALE',
+    notes: listing.comments,
+    location: listing.location,
+    weight: listing.estimated_weight ?? null,
+    lastSyncedAt: syncedAt,
+  };
+}
+
+/**
+ * Lists the synced fields in which a local record differs from its mapped listing.
+ * @param {object} record
+ * @param {object} data - From mapListing.
+ * @returns {object} `{ [field]: { from, to } }`; empty if nothing changed.
+ */
+function diffListing(record, data) {
+  const changes = {};
+  for (const field of SYNCED_FIELDS) {
+    const from = record[field] ?? null; // Discogs leaves out empty fields; the database stores null
+    const to = data[field] ?? null;
+    if (from !== to) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Updates records from mapped listings (matched by discogsListingId) in a single statement. The records
+ * are (back) on sale afterwards. Records with a local edit pushed to Discogs after the listings were
+ * fetched are skipped: the listings predate the edit.
+ * @param {object} tx - Prisma transaction client.
+ * @param {object[]} rows - From mapListing.
+ * @param {Date} fetchedAt - When the listings were read from Discogs.
+ * @returns {Promise<number>} The number of records updated.
+ */
+async function updateRecordsFromListings(tx, rows, fetchedAt) {
+  if (rows.length === 0) {
+    return 0;
+  }
+  const values = rows.map(({ discogsReleaseId, lastSyncedAt, status, ...row }) => row);
+  return tx.$executeRaw`
+    UPDATE "Record" AS r SET
+      "title" = v."title",
+      "artist" = v."artist",
+      "label" = v."label",
+      "catalogNumber" = v."catalogNumber",
+      "year" = v."year",
+      "format" = v."format",
+      "genre" = COALESCE(v."genre", '{}'),
+      "style" = COALESCE(v."style", '{}'),
+      "coverImage" = v."coverImage",
+      "price" = v."price",
+      "currency" = v."currency",
+      "condition" = v."condition",
+      "sleeveCondition" = v."sleeveCondition",
+      "notes" = v."notes",
+      "location" = v."location",
+      "weight" = v."weight",
+      "status" = 'FOR_SALE',
+      "archivedAt" = NULL,
+      "archiveReason" = NULL,
+      "updatedAt" = NOW()
+    FROM jsonb_to_recordset(${JSON.stringify(values)}::jsonb) AS v(
+      "discogsListingId" BIGINT, "title" TEXT, "artist" TEXT, "label" TEXT, "catalogNumber" TEXT,
+      "year" INTEGER, "format" TEXT, "genre" TEXT[], "style" TEXT[], "coverImage" TEXT,
+      "price" INTEGER, "currency" TEXT, "condition" TEXT, "sleeveCondition" TEXT,
+      "notes" TEXT, "location" TEXT, "weight" INTEGER
+    )
+    WHERE r."discogsListingId" = v."discogsListingId"
+      AND (r."lastPushedAt" IS NULL OR r."lastPushedAt" < ${fetchedAt})
+  `;
+}
+
+/**
+ * Compares one page of inventory with the Record table.
+ * Archived records of the page are put back on sale; other records that are not FOR_SALE locally
+ * (sold, drafts) are left alone.
+ * @param {object[]} listings - Listings from the inventory endpoint.
+ * @param {Date} syncedAt
+ * @returns {Promise<object>} `toCreate` (mapped listings), `toUpdate` ([{ record, data, changes }]),
+ *   `listingIds` of the mapped listings and `failures` (listings that could not be mapped).
+ */
+async function diffInventoryPage(listings, syncedAt) {
+  const failures = [];
+  const pageData = new Map();
+  for (const listing of listings) {
+    try {
+      const data = mapListing(listing, syncedAt);
+      if (!data) {
+        console.warn(`Skipping Listing ID ${listing.id}: release or price missing.`);
+        failures.push({ listingId: listing.id, message: 'Release or price missing.' });
+        continue;
+      }
+      pageData.set(String(listing.id), data);
+    } catch (mapError) {
+      console.error(`Error mapping Listing ID ${listing.id}:`, mapError.message);
+      failures.push({ listingId: listing.id, message: mapError.message });
+    }
+  }
+
+  const listingIds = [...pageData.values()].map(data => BigInt(data.discogsListingId));
+  const existingRecords = listingIds.length === 0 ? [] : await prisma.record.findMany({
+    where: { discogsListingId: { in: listingIds } },
+    select: { id: true, discogsListingId: true, title: true, artist: true, status: true, ...SYNCED_SELECT },
+  });
+  const existingByListingId = new Map(existingRecords.map(record => [String(record.discogsListingId), record]));
+
+  const toCreate = [];
+  const toUpdate = [];
+  for (const [listingId, data] of pageData) {
+    const record = existingByListingId.get(listingId);
+    if (!record) {
+      toCreate.push(data);
+    } else if (record.status === 'FOR_SALE' || ARCHIVED_STATUSES.includes(record.status)) {
+      const changes = diffListing(record, data);
+      if (record.status !== 'FOR_SALE') {
+        changes.status = { from: record.status, to: 'FOR_SALE' }; // Listed again
+      }
+      if (Object.keys(changes).length > 0) {
+        toUpdate.push({ record, data, changes });
+      }
+    }
+  }
+  return { toCreate, toUpdate, listingIds, failures };
+}
+
+/**
+ * Applies one page of inventory: creates records for new listings, updates changed ones and sets
+ * lastSyncedAt on every FOR_SALE record of the page (full reconciliation relies on it).
+ * @param {object[]} listings - Listings from the inventory endpoint.
+ * @param {Date} syncedAt - When the page was fetched; also decides which local edits it may overwrite.
+ * @returns {Promise<{created: number, updated: number, failures: Array<{listingId: number, message: string}>}>}
+ *   `failures` lists the listings that could not be mapped.
+ */
+async function applyInventoryPage(listings, syncedAt) {
+  const { toCreate, toUpdate, listingIds, failures } = await diffInventoryPage(listings, syncedAt);
+  if (listingIds.length === 0) {
+    return { created: 0, updated: 0, failures };
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const { count: created } = toCreate.length > 0
+      ? await tx.record.createMany({ data: toCreate, skipDuplicates: true })
+      : { count: 0 };
+    const updated = await updateRecordsFromListings(tx, toUpdate.map(update => update.data), syncedAt);
+    await tx.record.updateMany({
+      where: { discogsListingId: { in: listingIds }, status: 'FOR_SALE' },
+      data: { lastSyncedAt: syncedAt },
+    });
+    return { created, updated, failures };
+  });
+}
+
+/**
+ * Finds FOR_SALE records whose listing a full reconciliation did not see (sold, removed or paused on Discogs).
+ * @param {object} seen - Either `syncedBefore` (records synced since then were seen) or `listingIds`
+ *   (a Set of the listing IDs seen, as strings; used by dry runs, which do not write lastSyncedAt).
+ * @returns {Promise<object[]>} Diff entries: `recordId`, `listingId`, `title`, `artist`.
+ */
+async function findUnlistedRecords({ syncedBefore, listingIds }) {
+  const records = await prisma.record.findMany({
+    where: { status: 'FOR_SALE', ...(syncedBefore ? { lastSyncedAt: { lt: syncedBefore } } : {}) },
+    select: { id: true, discogsListingId: true, title: true, artist: true },
+  });
+  return records
+    .filter(record => !listingIds || record.discogsListingId === null || !listingIds.has(String(record.discogsListingId)))
+    .map(record => ({
+      recordId: record.id,
+      listingId: record.discogsListingId === null ? null : Number(record.discogsListingId),
+      title: record.title,
+      artist: record.artist,
+    }));
+}
+
+/**
+ * Asks Discogs what happened to listings that left the inventory, to tell sold records from withdrawn ones.
+ * Only the first MAX_LISTING_LOOKUPS listings are looked up; the rest are archived without a reason from Discogs.
+ * @param {object[]} records - `id` and `discogsListingId`.
+ * @returns {Promise<Map<string, {status: string, reason: string}|null>>} Per record ID: the archive status and
+ *   reason, or null if the listing turns out to be still for sale (the inventory pages shifted during the sync).
+ */
+async function classifyUnlistedRecords(records) {
+  const outcomes = new Map();
+  let lookups = 0;
+  for (const record of records) {
+    let outcome = { status: 'ARCHIVED', reason: 'No longer in the Discogs inventory.' };
+    if (record.discogsListingId !== null && lookups < MAX_LISTING_LOOKUPS) {
+      lookups++;
+      try {
+        const listing = await discogs.getListing(record.discogsListingId, { priority: 'low' });
+        if (listing.status === 'For Sale') {
+          outcome = null;
+        } else if (listing.status === 'Sold') {
+          outcome = { status: 'SOLD_ELSEWHERE', reason: 'Sold on Discogs.' };
+        } else {
+          outcome = { status: 'ARCHIVED', reason: `Listing is '${listing.status}' on Discogs.` };
+        }
+      } catch (error) {
+        if (error.response?.status === 404) {
+          outcome = { status: 'ARCHIVED', reason: 'Listing removed from Discogs.' };
+        } else {
+          console.warn(`Could not look up Discogs listing ${record.discogsListingId} of Record ID ${record.id}:`, error.message);
+        }
+      }
+    }
+    outcomes.set(record.id, outcome);
+  }
+  return outcomes;
+}
+
+/**
+ * Archives records found by findUnlistedRecords: SOLD_ELSEWHERE if the listing sold on Discogs, ARCHIVED
+ * otherwise, with a timestamp and a reason. Checks again that each record is still FOR_SALE and has not
+ * been synced since. The records are taken out of carts and the shoppers are emailed.
+ * @param {string[]} recordIds
+ * @param {Date} syncedBefore - Records synced at or after this were seen by a later sync and are kept.
+ * @returns {Promise<{archived: number, soldElsewhere: number, shoppersNotified: number}>}
+ *   `archived` counts both statuses.
+ */
+async function archiveUnlistedRecords(recordIds, syncedBefore) {
+  if (recordIds.length === 0) {
+    return { archived: 0, soldElsewhere: 0, shoppersNotified: 0 };
+  }
+  const eligible = { status: 'FOR_SALE', lastSyncedAt: { lt: syncedBefore } };
+  const records = await prisma.record.findMany({
+    where: { id: { in: recordIds }, ...eligible },
+    select: { id: true, discogsListingId: true },
+  });
+  const outcomes = await classifyUnlistedRecords(records);
+
+  const groups = new Map(); // One update per status and reason
+  for (const record of records) {
+    const outcome = outcomes.get(record.id);
+    if (!outcome) {
+      continue;
+    }
+    const key = `${outcome.status}:${outcome.reason}`;
+    if (!groups.has(key)) {
+      groups.set(key, { ...outcome, ids: [] });
+    }
+    groups.get(key).ids.push(record.id);
+  }
+
+  const archivedAt = new Date();
+  const { archived, affectedCarts } = await prisma.$transaction(async (tx) => {
+    for (const { status, reason, ids } of groups.values()) {
+      await tx.record.updateMany({
+        where: { id: { in: ids }, ...eligible },
+        data: { status, archivedAt, archiveReason: reason },
+      });
+    }
+    const archivedRecords = await tx.record.findMany({
+      where: { id: { in: records.map(record => record.id) }, archivedAt },
+      select: { id: true, status: true },
+    });
+    return {
+      archived: archivedRecords,
+      affectedCarts: await cartService.removeRecordsFromCarts(tx, archivedRecords.map(record => record.id)),
+    };
+  });
+
+  const notified = affectedCarts.filter(cart => cart.user.email);
+  for (const { user, records: cartRecords } of notified) {
+    await sendCartItemsUnavailableEmail(user, cartRecords); // Logs its own failures
+  }
+  return {
+    archived: archived.length,
+    soldElsewhere: archived.filter(record => record.status === 'SOLD_ELSEWHERE').length,
+    shoppersNotified: notified.length,
+  };
+}
 
-const appDiscogsUsername = process.env.DISCOGS_USERNAME;
-const consumerKey = process.env.DISCOGS_CONSUMER_KEY;
-const consumerSecret = process.env.DISCOGS_CONSUMER_SECRET;
-const accessToken = process.env.DISCOGS_ACCESS_TOKEN; // Added: Assume owner's access token is in env
-const accessSecret = process.env.DISCOGS_ACCESS_SECRET; // Added: Assume owner's access secret is in env
-const appUserAgent = process.env.DISCOGS_USER_AGENT || 'PlastikApiSync/1.0';
+/**
+ * Whether archiving `archiveCount` of `forSaleCount` FOR_SALE records needs an admin's confirmation.
+ * @param {number} archiveCount
+ * @param {number} forSaleCount
+ * @returns {boolean}
+ */
+function needsArchiveConfirmation(archiveCount, forSaleCount) {
+  return archiveCount > ARCHIVES_ALLOWED_WITHOUT_CONFIRMATION &&
+    archiveCount * 100 > forSaleCount * MAX_ARCHIVE_PERCENT;
+}
+
+/**
+ * Picks the mode of a sync run.
+ * @param {string} requestedMode - 'auto', 'incremental' or 'full'.
+ * @param {object|null} state - The InventorySyncState row.
+ * @param {boolean} dryRun - Dry runs always start from the first page.
+ * @returns {{mode: string, resumeFrom: {startedAt: Date, page: number}|null}}
+ */
+function resolveSyncMode(requestedMode, state, dryRun) {
+  const interrupted = !dryRun && state?.fullSyncStartedAt && Date.now() - state.fullSyncStartedAt.getTime() < MAX_RESUME_AGE_MS
+    // Back one page: listings removed meanwhile shift later ones onto pages already done
+    ? { startedAt: state.fullSyncStartedAt, page: Math.max((state.fullSyncNextPage || 1) - 1, 1) }
+    : null;
+  const fullSyncDue = !state?.lastFullSyncAt ||
+    Date.now() - state.lastFullSyncAt.getTime() >= FULL_SYNC_INTERVAL_HOURS * 60 * 60 * 1000;
+
+  if (requestedMode === 'full' || !state?.lastListedAt || (requestedMode === 'auto' && (interrupted || fullSyncDue))) {
+    return { mode: 'full', resumeFrom: interrupted };
+  }
+  return { mode: 'incremental', resumeFrom: null };
+}
 
 /**
- * Fetches "For Sale" inventory from the application's configured Discogs account
- * and syncs it to the local Record table using a transactional delta update.
+ * Runs one inventory sync and reports its progress on the SyncRun. See syncDiscogsInventory for the modes.
+ * @param {string} requestedMode - 'auto', 'incremental' or 'full'.
+ * @param {string} runId - The SyncRun holding the sync lock.
+ * @param {boolean} dryRun - Only compute the diff.
+ * @returns {Promise<object>} The sync result.
  */
-async function syncDiscogsInventory() {
-  console.log(`Starting Discogs inventory sync for app user ${appDiscogsUsername}`);
+async function runInventorySync(requestedMode, runId, dryRun) {
+  console.log(`Starting Discogs inventory ${dryRun ? 'dry run' : 'sync'} for app user ${appDiscogsUsername}`);
 
   if (!appDiscogsUsername) {
       console.error('Inventory Sync Error: DISCOGS_USERNAME not set in .env');
       return { success: false, message: 'Application Discogs username not configured.' };
   }
-  if (!consumerKey || !consumerSecret) {
+  if (!credentials.consumerKey || !credentials.consumerSecret) {
     console.error('Inventory Sync Error: DISCOGS_CONSUMER_KEY or DISCOGS_CONSUMER_SECRET is not set.');
     return { success: false, message: 'Consumer key/secret missing.' };
   }
   // *** Added: Check for OAuth tokens needed for authenticated inventory access ***
-  if (!accessToken || !accessSecret) {
+  if (!credentials.accessToken || !credentials.accessSecret) {
     console.error('Inventory Sync Error: DISCOGS_ACCESS_TOKEN or DISCOGS_ACCESS_SECRET not set. These are required for authenticated inventory access to get fields like weight.');
     return { success: false, message: 'Owner OAuth token/secret missing.' };
   }
 
-  // *** Instantiate an AUTHENTICATED disconnect client ***
-  const discogsClient = new Client(appUserAgent, {
-      consumerKey: consumerKey,
-      consumerSecret: consumerSecret,
-      accessToken: accessToken, // Use owner's token
-      accessSecret: accessSecret, // Use owner's secret
+  const state = await prisma.inventorySyncState.findUnique({ where: { id: SYNC_STATE_ID } });
+  const { mode, resumeFrom } = resolveSyncMode(requestedMode, state, dryRun);
+  const startedAt = resumeFrom ? resumeFrom.startedAt : new Date();
+  const checkpoint = mode === 'incremental' ? state.lastListedAt : null;
+
+  const totals = { created: 0, updated: 0, archived: 0, mappingErrors: 0 };
+  const failures = [];
+  // Dry runs collect the diff instead of writing it; a real full sync fills in `archive` when it holds archiving back
+  const diff = { generatedAt: startedAt.toISOString(), mode, create: [], update: [], archive: [] };
+  const seenListingIds = new Set();
+  let archivingHeld = false;
+  let newestListedAt = state?.lastListedAt || null;
+  let currentPage = resumeFrom ? resumeFrom.page : 1;
+  let totalPages = currentPage;
+  let listingsFetched = 0;
+  let reachedCheckpoint = false;
+  const progress = () => ({
+    mode,
+    resumedFromPage: resumeFrom ? resumeFrom.page : null,
+    ...totals,
+    pagesFetched: currentPage - (resumeFrom ? resumeFrom.page : 1),
+    listingsFetched,
+    failures,
   });
 
-  let currentPage = 1;
-  let totalPages = 1;
-  const allListings = [];
+  console.log(resumeFrom
+    ? `Resuming full inventory reconciliation started at ${startedAt.toISOString()} from page ${currentPage}.`
+    : `Running ${mode} inventory ${dryRun ? 'dry run' : 'sync'}${checkpoint ? ` (listings since ${checkpoint.toISOString()})` : ''}.`);
+  await syncRunService.recordSyncProgress(runId, { mode, resumedFromPage: resumeFrom ? resumeFrom.page : null });
+  if (mode === 'full' && !resumeFrom && !dryRun) {
+    await prisma.inventorySyncState.upsert({
+      where: { id: SYNC_STATE_ID },
+      create: { id: SYNC_STATE_ID, fullSyncStartedAt: startedAt, fullSyncNextPage: 1 },
+      update: { fullSyncStartedAt: startedAt, fullSyncNextPage: 1 },
+    });
+  }
 
-  // --- Fetch all "For Sale" listings from Discogs (handling pagination) ---
-  console.log('Starting fetch loop for "For Sale" inventory...');
   try {
     do {
       console.log(`Fetching inventory page ${currentPage}${totalPages > 1 ? '/'+totalPages : ''} for ${appDiscogsUsername}`);
+      const fetchedAt = new Date();
 
-      // *** Use the client's generic .get() method for the inventory endpoint ***
-      const apiUrl = `/users/${appDiscogsUsername}/inventory`; // Use relative path for client.get()
-      const params = {
+      // The shared client paces requests by the Discogs rate limit and retries 429/5xx;
+      // low priority lets checkout-driven listing updates go first.
+      // Full reconciliations read oldest first, so listings added meanwhile land on later pages.
+      const response = await discogs.getInventory({
           status: 'For Sale',
           page: currentPage,
-          per_page: 100,
-          sort: 'artist',
-          sort_order: 'asc',
-      };
-      // The client handles authentication headers automatically
-      const response = await discogsClient.marketplace().getInventory(appDiscogsUsername, params);
-      // *** End change: Use generic get() ***
-
-      // Note: Check response structure from generic .get() - might differ slightly
-      // Assuming it still returns an object with 'listings' and 'pagination' keys
-      if (response && response.listings) {
-        const listingsFromPage = response.listings;
-        const pagination = response.pagination;
-
-        console.log(`Received ${listingsFromPage.length} listings from page ${currentPage}.`);
-
-        if (currentPage === 1 && pagination) {
-          totalPages = pagination.pages;
-          console.log(`Determined total pages for 'For Sale' items: ${totalPages} (based on first page response)`);
+          perPage: PAGE_SIZE,
+          sort: 'listed',
+          sortOrder: mode === 'incremental' ? 'desc' : 'asc',
+      }, { priority: 'low' });
+
+      // A malformed page fails the run (a full sync resumes from this page) rather than ending the read early:
+      // archiving after an incomplete read would take every listing on the missing pages off sale
+      if (!response || !Array.isArray(response.listings) || !Number.isInteger(response.pagination?.pages)) {
+        console.warn('Unexpected response structure from Discogs inventory endpoint:', response);
+        throw new Error(`Unexpected response structure from Discogs inventory endpoint on page ${currentPage}.`);
+      }
+      totalPages = response.pagination.pages;
+      listingsFetched += response.listings.length;
+
+      let listings = response.listings;
+      if (checkpoint) {
+        // Listed at the checkpoint or later; the same second is included again, as it may hold more listings
+        listings = listings.filter(listing => new Date(listing.posted) >= checkpoint);
+        reachedCheckpoint = listings.length < response.listings.length;
+      }
+      for (const listing of listings) {
+        const listedAt = new Date(listing.posted);
+        if (!Number.isNaN(listedAt.getTime()) && (!newestListedAt || listedAt > newestListedAt)) {
+          newestListedAt = listedAt;
         }
+      }
 
-        allListings.push(...listingsFromPage);
+      let pageFailures;
+      if (dryRun) {
+        const pageDiff = await diffInventoryPage(listings, startedAt);
+        pageDiff.listingIds.forEach(listingId => seenListingIds.add(String(listingId)));
+        diff.create.push(...pageDiff.toCreate.map(({ lastSyncedAt, ...data }) => ({
+          listingId: data.discogsListingId,
+          releaseId: data.discogsReleaseId,
+          title: data.title,
+          artist: data.artist,
+          data,
+        })));
+        diff.update.push(...pageDiff.toUpdate.map(({ record, data, changes }) => {
+          const { lastSyncedAt, ...fields } = data;
+          return { recordId: record.id, listingId: data.discogsListingId, title: record.title, artist: record.artist, changes, data: fields };
+        }));
+        pageFailures = pageDiff.failures;
       } else {
-        console.warn('Unexpected response structure from Discogs inventory endpoint:', response);
-        break;
+        const pageResult = await applyInventoryPage(listings, fetchedAt);
+        totals.created += pageResult.created;
+        totals.updated += pageResult.updated;
+        pageFailures = pageResult.failures;
+
+        if (mode === 'full') {
+          await prisma.inventorySyncState.update({
+            where: { id: SYNC_STATE_ID },
+            data: { fullSyncNextPage: currentPage + 1 },
+          });
+        }
       }
+      totals.mappingErrors += pageFailures.length;
+      failures.push(...pageFailures);
 
       currentPage++;
-
-      if (currentPage <= totalPages) {
-          await delay(1100); // Keep rate limiting delay
+      await syncRunService.recordSyncProgress(runId, { ...progress(), currentPage: currentPage - 1, totalPages });
+    } while (currentPage <= totalPages && !reachedCheckpoint);
+
+    if (mode === 'full') {
+      const unlisted = await findUnlistedRecords(dryRun ? { listingIds: seenListingIds } : { syncedBefore: startedAt });
+      const forSaleCount = await prisma.record.count({ where: { status: 'FOR_SALE' } });
+
+      if (dryRun) {
+        diff.archive = unlisted;
+      } else if (needsArchiveConfirmation(unlisted.length, forSaleCount)) {
+        // Far more than usual: most likely a bad or truncated Discogs response. Hold the archiving for an admin.
+        archivingHeld = true;
+        diff.archive = unlisted;
+        console.warn(`Inventory sync would archive ${unlisted.length} of ${forSaleCount} records for sale (limit ${MAX_ARCHIVE_PERCENT}%). Archiving is held until an admin applies sync run ${runId}.`);
+      } else {
+        const archiveResult = await archiveUnlistedRecords(unlisted.map(record => record.recordId), startedAt);
+        totals.archived = archiveResult.archived;
+        console.log(`Archived ${archiveResult.archived} record(s) no longer listed on Discogs (${archiveResult.soldElsewhere} sold there); notified ${archiveResult.shoppersNotified} shopper(s).`);
       }
+      diff.summary = { forSale: forSaleCount, archivePercent: forSaleCount > 0 ? Math.round(unlisted.length * 1000 / forSaleCount) / 10 : 0 };
+    }
 
-    } while (currentPage <= totalPages);
-
+    if (!dryRun) {
+      await prisma.inventorySyncState.upsert({
+        where: { id: SYNC_STATE_ID },
+        create: { id: SYNC_STATE_ID, lastListedAt: newestListedAt },
+        update: mode === 'full'
+          ? { lastListedAt: newestListedAt, lastFullSyncAt: startedAt, fullSyncStartedAt: null, fullSyncNextPage: null }
+          : { lastListedAt: newestListedAt, lastIncrementalAt: startedAt },
+      });
+    }
   } catch (error) {
-    console.error(`Error during inventory fetch loop:`, error.message || error);
-    if (error.statusCode === 404) { // Example: Handle user not found
+    console.error(`Error during ${mode} inventory sync (page ${currentPage}):`, error.message || error);
+    if (error.response?.status === 404) { // Example: Handle user not found
          console.error(`Discogs user ${appDiscogsUsername} not found.`);
-    } else if (error.statusCode === 429) { // Example: Rate limit
+    } else if (error.response?.status === 429) { // Rate limit, still hit after the client's retries
          console.error('Discogs Rate Limit Hit during inventory fetch.');
     }
-    return { success: false, message: `Sync failed during fetch loop: ${error.message || 'Unknown error'}` };
+    return {
+      success: false,
+      message: `Sync failed on page ${currentPage}: ${error.message || 'Unknown error'}${mode === 'full' && !dryRun ? ' (the next full sync resumes from there)' : ''}`,
+      ...progress(),
+    };
   }
 
-  console.log(`Fetched a total of ${allListings.length} listings for Discogs user ${appDiscogsUsername}.`);
-
-  // --- Start Refactored Delta Sync Logic ---
-
-  let createdCount = 0;
-  let updatedCount = 0;
-  let deletedCount = 0;
-  let erroredMappingCount = 0;
-
-  try {
-    // 1. Fetch ALL records from DB (both with and without discogsListingId)
-    console.log('Fetching existing local records...');
-    const existingRecords = await prisma.record.findMany({
-      where: {
-        status: 'FOR_SALE',
-      },
-      select: { // Ensure all needed fields, including weight, are selected
-        id: true,
-        discogsListingId: true,
-        discogsReleaseId: true,
-        price: true,
-        condition: true,
-        sleeveCondition: true,
-        status: true,
-        notes: true,
-        location: true,
-        coverImage: true,
-        weight: true, // Ensure weight is selected for comparison
-      }
-    });
-
-    // Create maps for different ways of identifying records
-    const existingRecordMap = new Map();
-    existingRecords.forEach(record => {
-      if (record.discogsListingId !== null) {
-        existingRecordMap.set(record.discogsListingId, record);
-      }
-    });
-
-    console.log(`Found ${existingRecords.length} total FOR_SALE records.`);
-
-    // 2. Map fetched Discogs listings to Prisma data format
-    console.log('Mapping fetched Discogs listings...');
-    const currentDataMap = new Map();
-    let mappingLoopCounter = 0;
-    for (const listing of allListings) {
-        mappingLoopCounter++;
-        try {
-            const release = listing.release;
-            const price = listing.price?.value;
-
-            // *** Log structure just before skip check ***
-            if (mappingLoopCounter <= 5) { // Log first 5 iterations for inspection
-              console.log(`[DEBUG Iteration ${mappingLoopCounter}] Checking Listing ID ${listing.id}: `,
-                `Release valid: ${!!release}, Release ID valid: ${!!release?.id}, Price valid: ${price !== undefined && price !== null}, Price object:`, listing.price);
-            }
-
-            if (!release || !release.id || price === undefined || price === null) {
-                // *** Log the reason for skipping ***
-                console.warn(`[DEBUG Iteration ${mappingLoopCounter}] Skipping Listing ID ${listing.id}. Reason: `,
-                  `Release missing: ${!release}, Release ID missing: ${!release?.id}, Price invalid: ${price === undefined || price === null}`);
-                erroredMappingCount++; // Ensure this is incremented correctly
-                continue;
-            }
-
-            const recordData = {
-                discogsReleaseId: release.id,
-                discogsListingId: listing.id,
-                title: release.title,
-                artist: release.artist,
-                label: release.label || 'Unknown Label',
-                catalogNumber: release.catalog_number,
-                year: release.year,
-                format: release.format,
-                genre: release.genres ?? [],
-                style: release.styles ?? [],
-                coverImage: (() => {
-                    const primaryImage = release.images?.find(img => img.type === 'primary');
-                    return primaryImage?.resource_url || primaryImage?.uri || release.cover_image || release.thumbnail || null;
-                })(),
-                price: parseFloat(price),
-                condition: listing.condition,
-                sleeveCondition: listing.sleeve_condition,
-                status: 'FOR_SALE',
-                notes: listing.comments,
-                location: listing.location,
-                weight: listing.estimated_weight ?? null,
-                lastSyncedAt: new Date(),
-            };
-
-            currentDataMap.set(listing.id, recordData);
-        } catch (mapError) { 
-             console.error(`[DEBUG] Error mapping item ${mappingLoopCounter}/${allListings.length}, Listing ID: ${listing.id}:`, mapError.message);
-             erroredMappingCount++;
-        }
-    }
+  if (dryRun || archivingHeld) {
+    diff.summary = { ...diff.summary, create: diff.create.length, update: diff.update.length, archive: diff.archive.length };
+  }
+  console.log(dryRun
+    ? `Inventory dry run (${mode}) finished. Would create: ${diff.create.length}, update: ${diff.update.length}, archive: ${diff.archive.length}`
+    : `Inventory sync (${mode}) finished. Created: ${totals.created}, Updated: ${totals.updated}, Archived: ${totals.archived}, Mapping Errors: ${totals.mappingErrors}`);
+  return {
+    success: true,
+    ...progress(),
+    ...(dryRun ? { dryRun: true, diff } : {}),
+    ...(archivingHeld ? { awaitingConfirmation: true, diff } : {}),
+  };
+}
 
-    // 3. Calculate differences: creates, updates, deletes
-    const recordsToCreate = [];
-    const recordsToUpdate = []; // Changed to store full update operations
-    const idsToDelete = new Set();
-
-    // Find records with discogsListingId to delete
-    for (const [listingId, localRecord] of existingRecordMap.entries()) {
-      if (!currentDataMap.has(listingId)) {
-        // Check if the record is part of an order before deleting
-         const orderItems = await prisma.orderItem.findMany({
-            where: { recordId: localRecord.id },
-            select: { id: true },
-            take: 1,
-         });
-         if (orderItems.length === 0) {
-            idsToDelete.add(localRecord.id); // Store record ID, not listing ID
-         } else {
-             console.warn(`Skipping deletion of Record ID ${localRecord.id} (Discogs Listing ${listingId}) as it is part of an order. Consider changing its status manually if needed.`);
-             // Optionally update status to 'SOLD' or 'DRAFT' here?
-             // recordsToUpdate.push({ where: { discogsListingId: listingId }, data: { status: 'SOLD' } });
-         }
-      }
-    }
+/**
+ * Syncs the "For Sale" inventory of the application's Discogs account to the Record table.
+ *
+ * - 'incremental': reads the newest listings first and stops at the listing date checkpoint of the
+ *   previous run. Picks up new listings only; changes to older listings and removed listings wait
+ *   for the next full reconciliation.
+ * - 'full': reads the whole inventory, updates changed records and archives records whose listing is
+ *   gone (ARCHIVED, or SOLD_ELSEWHERE if it sold on Discogs; see archiveUnlistedRecords). Archived
+ *   records whose listing comes back are put on sale again. Progress is saved after every page, so an
+ *   interrupted reconciliation resumes where it stopped. If the records to archive exceed
+ *   INVENTORY_SYNC_MAX_ARCHIVE_PERCENT of the records for sale, archiving is held on the run
+ *   (`awaitingConfirmation`) until an admin applies it with applySyncDiff.
+ * - 'auto' (default): full when one is due (INVENTORY_FULL_SYNC_INTERVAL_HOURS), was interrupted or
+ *   never ran; incremental otherwise.
+ *
+ * With `dryRun`, nothing is written: the field-level diff is returned and stored on the run, where
+ * applySyncDiff can apply it later.
+ *
+ * Every run is recorded as a SyncRun, which also serves as the lock: while one sync is running,
+ * another one is refused (`skipped: true`).
+ *
+ * @param {object} [options]
+ * @param {string} [options.mode='auto'] - 'auto', 'incremental' or 'full'.
+ * @param {boolean} [options.dryRun=false]
+ * @param {string} [options.trigger='manual'] - 'startup', 'cron' or 'manual'.
+ * @param {string} [options.triggeredById] - User who started a manual sync.
+ * @param {object} [options.run] - A SyncRun already started with syncRunService.startSyncRun (holding the lock).
+ * @returns {Promise<object>} `{ success, runId, mode, created, updated, archived, mappingErrors, failures, diff?, ... }`,
+ *   or `{ success: false, message }`.
+ */
+async function syncDiscogsInventory({ mode = 'auto', dryRun = false, trigger = 'manual', triggeredById = null, run = null } = {}) {
+  if (!SYNC_MODES.includes(mode)) {
+    return { success: false, message: `Invalid sync mode '${mode}'. Use one of: ${SYNC_MODES.join(', ')}.` };
+  }
 
-    // Handle records without discogsListingId (basic cleanup)
-    const currentReleaseIds = new Set(Array.from(currentDataMap.values()).map(r => r.discogsReleaseId));
-    const recordsWithoutListingId = existingRecords.filter(r => r.discogsListingId === null);
-    for (const localRecord of recordsWithoutListingId) {
-      if (!currentReleaseIds.has(localRecord.discogsReleaseId)) {
-         // Check if the record is part of an order before deleting
-         const orderItems = await prisma.orderItem.findMany({
-            where: { recordId: localRecord.id },
-            select: { id: true },
-            take: 1,
-         });
-         if (orderItems.length === 0) {
-            idsToDelete.add(localRecord.id);
-         }
+  if (!run) {
+    try {
+      run = await syncRunService.startSyncRun({ trigger, requestedMode: mode, triggeredById, dryRun });
+    } catch (error) {
+      if (error.message.includes('already running')) {
+        console.warn(`Inventory sync (${trigger}) skipped: ${error.message}`);
+        return { success: false, skipped: true, message: error.message };
       }
-      // Note: Removed complex matching logic for records w/o listingId for clarity.
-      // It might try to create duplicates if not handled carefully. Consider refining later if needed.
+      throw error;
     }
+  }
 
-    // Find records to create or update
-    currentDataMap.forEach((fetchedData, listingId) => {
-      const existingRecord = existingRecordMap.get(listingId);
-
-      if (!existingRecord) {
-        recordsToCreate.push(fetchedData);
-      } else {
-        // Record exists locally, check if update needed
-        let needsUpdate = false;
-        // Compare relevant fields (add weight and location)
-        if (existingRecord.price !== fetchedData.price ||
-            existingRecord.condition !== fetchedData.condition ||
-            existingRecord.sleeveCondition !== fetchedData.sleeveCondition ||
-            existingRecord.notes !== fetchedData.notes ||
-            existingRecord.location !== fetchedData.location || // Check location
-            existingRecord.status !== 'FOR_SALE' ||
-            existingRecord.coverImage !== fetchedData.coverImage ||
-            existingRecord.weight !== fetchedData.weight // Check weight
-           ) {
-           needsUpdate = true;
-           // Removed debug log for weight change
-        }
-
-        if (needsUpdate) {
-          const updateData = { ...fetchedData };
-          // Ensure we don't try to update potentially unique identifiers in the data payload itself
-          delete updateData.discogsListingId;
-          delete updateData.discogsReleaseId;
-
-          // Store the whole update operation structure
-          recordsToUpdate.push({
-             where: { discogsListingId: listingId },
-             data: updateData
-          });
-        }
-      }
-    });
-
-    console.log(`Calculated Deltas: Create: ${recordsToCreate.length}, Update: ${recordsToUpdate.length}, Delete: ${idsToDelete.size}`);
+  let result;
+  try {
+    result = await runInventorySync(mode, run.id, run.dryRun);
+  } catch (error) {
+    console.error('Unexpected error during inventory sync:', error);
+    result = { success: false, message: `Sync failed: ${error.message}` };
+  }
 
-    // Removed log of recordsToCreate payload
+  try {
+    await syncRunService.finishSyncRun(run.id, result);
+  } catch (error) {
+    console.error(`Failed to record the outcome of sync run ${run.id}:`, error.message);
+  }
+  return { ...result, runId: run.id };
+}
 
-    // 4. Perform DB operations within a transaction
-    if (recordsToCreate.length > 0 || recordsToUpdate.length > 0 || idsToDelete.size > 0) {
-      console.log('Starting database transaction...');
-      await prisma.$transaction(async (tx) => {
-        // Delete records by ID
-        if (idsToDelete.size > 0) {
-          const deleteResult = await tx.record.deleteMany({
-            where: { id: { in: Array.from(idsToDelete) } },
-          });
-          deletedCount = deleteResult.count;
-          console.log(`Deleted ${deletedCount} records.`);
-        }
+/**
+ * Applies the pending diff of a sync run: a dry run's preview, or the archiving a sync held back.
+ * Runs under the sync lock; creates and updates are applied in one transaction, then the records are
+ * archived. Records changed since the diff was computed are skipped and reported as conflicts: updates
+ * whose current values no longer match the diff's `from`, and records to archive that were sold or seen
+ * by a later sync meanwhile.
+ * @param {string} runId - The SyncRun holding the diff.
+ * @param {object} [options]
+ * @param {string} [options.userId] - The admin applying it.
+ * @returns {Promise<object>} `{ runId, appliedRunId, created, updated, archived, conflicts }`.
+ * @throws {Error} If the run does not exist, has no pending diff, the diff is too old, or a sync is running.
+ */
+async function applySyncDiff(runId, { userId = null } = {}) {
+  const preview = await syncRunService.getSyncRun(runId);
+  if (!PENDING_DIFF_STATUSES.includes(preview.status) || !preview.diff) {
+    throw new Error(`Cannot apply sync run ${runId}: it has no pending changes (status '${preview.status}').`);
+  }
+  const generatedAt = new Date(preview.diff.generatedAt);
+  if (Date.now() - generatedAt.getTime() > DIFF_MAX_AGE_MS) {
+    throw new Error(`Cannot apply sync run ${runId}: its diff is older than ${DIFF_MAX_AGE_MS / 3600000} hours. Start a new dry run.`);
+  }
 
-        // Create new records
-        if (recordsToCreate.length > 0) {
-          const createResult = await tx.record.createMany({
-            data: recordsToCreate,
-            skipDuplicates: true,
-          });
-          createdCount = createResult.count;
-          console.log(`Created ${createdCount} records.`);
-        }
+  const run = await syncRunService.startSyncRun({ trigger: 'manual', requestedMode: 'apply', triggeredById: userId, previewRunId: runId });
+  let result;
+  try {
+    // Only one apply per diff, even if two admins confirm at once
+    if (!(await syncRunService.claimPendingDiff(runId))) {
+      throw new Error(`Cannot apply sync run ${runId}: its changes were already applied.`);
+    }
 
-        // Update existing records
-        if (recordsToUpdate.length > 0) {
-          console.log(`Attempting to update ${recordsToUpdate.length} records...`);
-          let updateSuccessCount = 0;
-          for (const update of recordsToUpdate) {
-             try {
-                  // Removed log before individual update
-                  await tx.record.update(update);
-                  updateSuccessCount++;
-             } catch(updateError) {
-                  console.error(`Failed to update record with Listing ID ${update.where.discogsListingId || update.where.id}:`, updateError.message); // Adjusted log for clarity
-             }
+    const { create = [], update = [], archive = [] } = preview.diff;
+    const conflicts = [];
+    try {
+      result = await prisma.$transaction(async (tx) => {
+        const now = new Date();
+        const { count: created } = create.length > 0
+          ? await tx.record.createMany({ data: create.map(entry => ({ ...entry.data, lastSyncedAt: now })), skipDuplicates: true })
+          : { count: 0 };
+
+        const currentRecords = update.length === 0 ? [] : await tx.record.findMany({
+          where: { id: { in: update.map(entry => entry.recordId) } },
+          select: { id: true, status: true, ...SYNCED_SELECT },
+        });
+        const currentById = new Map(currentRecords.map(record => [record.id, record]));
+        const applicable = update.filter(entry => {
+          const record = currentById.get(entry.recordId);
+          // Restoring an archived record is itself a change (`changes.status`) and checked like the others
+          const unchanged = record && (record.status === 'FOR_SALE' || entry.changes.status) &&
+            Object.entries(entry.changes).every(([field, change]) => (record[field] ?? null) === change.from);
+          if (!unchanged) {
+            conflicts.push({ recordId: entry.recordId, listingId: entry.listingId, action: 'update', message: record ? 'Changed since the diff was computed.' : 'Record no longer exists.' });
           }
-          updatedCount = updateSuccessCount;
-          console.log(`Successfully updated ${updatedCount} records.`);
-        }
+          return unchanged;
+        });
+        const updated = await updateRecordsFromListings(tx, applicable.map(entry => entry.data), generatedAt);
+        return { success: true, mode: 'apply', created, updated, failures: conflicts };
       });
-      console.log('Database transaction completed.');
-    } else {
-      console.log('No database changes needed.');
-    }
-
-    console.log(`Inventory sync finished. Created: ${createdCount}, Updated: ${updatedCount}, Deleted: ${deletedCount}, Mapping Errors: ${erroredMappingCount}`);
-    return {
-        success: true,
-        created: createdCount,
-        updated: updatedCount,
-        deleted: deletedCount,
-        mappingErrors: erroredMappingCount,
-        totalForSale: allListings.length,
-        totalRecordsProcessed: existingRecords.length
-    };
 
+      // Outside the transaction: archiving looks the listings up on Discogs
+      const { archived } = await archiveUnlistedRecords(archive.map(entry => entry.recordId), generatedAt);
+      if (archived < archive.length) {
+        conflicts.push({ action: 'archive', message: `${archive.length - archived} record(s) were sold, synced again or found still listed since the diff was computed and were kept.` });
+      }
+      result.archived = archived;
+    } catch (error) {
+      await syncRunService.restorePendingDiff(runId, preview.status);
+      throw error;
+    }
   } catch (error) {
-      console.error('Error during delta sync processing:', error);
-      return { success: false, message: `Sync failed during delta processing: ${error.message}` };
+    await syncRunService.finishSyncRun(run.id, { success: false, message: error.message });
+    throw error;
   }
+
+  await syncRunService.finishSyncRun(run.id, result);
+  console.log(`User ${userId} applied sync run ${runId} (run ${run.id}). Created: ${result.created}, Updated: ${result.updated}, Archived: ${result.archived}, Conflicts: ${result.failures.length}`);
+  return {
+    runId,
+    appliedRunId: run.id,
+    created: result.created,
+    updated: result.updated,
+    archived: result.archived,
+    conflicts: result.failures,
+  };
 }
 
-// TODO: Implement function to process and store tracklists if needed
-// async function processTracklist(userId, recordId, tracklistData) { ... }
+// Tracklists, videos and credits are not part of inventory listings; they are fetched per release
+// by releaseEnrichmentService (see the release enrichment job).
 
 /**
  * Get a count of inventory items from both Discogs and the local database
@@ -365,33 +747,21 @@ async function getInventoryStats() {
     
     const [totalLocal, withoutListingId, withListingId] = await Promise.all(localCountPromises);
     
-    // Get a sample from Discogs to estimate total Draft (for-sale) items
-    // const discogsClient = await getDiscogsClient();
-    const username = process.env.DISCOGS_USERNAME;
+    // Get a sample page from Discogs: the same query the sync uses
+    const response = await discogs.getInventory({ status: 'For Sale', page: 1, perPage: 50 });
     
-    const response = await discogsClient.get(`/users/${username}/inventory`, {
-      params: {
-        page: 1,
-        per_page: 50,
-        status: 'For Sale',
-      },
-    });
-    
-    const totalItems = response.data.pagination?.items || 0;
-    const totalPages = response.data.pagination?.pages || 0;
+    const totalItems = response.pagination?.items || 0;
+    const totalPages = response.pagination?.pages || 0;
+    const listings = response.listings || [];
     
     // Count statuses in the sample
     const statusCount = {};
-    response.data.listings.forEach(listing => {
+    listings.forEach(listing => {
       statusCount[listing.status] = (statusCount[listing.status] || 0) + 1;
     });
     
-    // Calculate percentage of Draft items
-    const draftCount = statusCount.Draft || 0;
-    const draftPercentage = draftCount / response.data.listings.length;
-    
-    // Estimate total Draft items across all pages
-    const estimatedDraftItems = Math.round(draftPercentage * totalItems);
+    // Share of the sample that is actually "For Sale", used to estimate the total
+    const forSaleShare = listings.length > 0 ? (statusCount['For Sale'] || 0) / listings.length : 0;
     
     return {
       local: {
@@ -402,10 +772,10 @@ async function getInventoryStats() {
       discogs: {
         reported: totalItems,
         pages: totalPages,
-        sampleSize: response.data.listings.length,
+        sampleSize: listings.length,
         statusDistribution: statusCount,
-        draftPercentage: draftPercentage * 100,
-        estimatedForSale: estimatedDraftItems,
+        forSalePercentage: forSaleShare * 100,
+        estimatedForSale: Math.round(forSaleShare * totalItems),
       }
     };
   } catch (error) {
@@ -415,6 +785,9 @@ async function getInventoryStats() {
 }
 
 module.exports = {
+  SYNC_MODES,
+  mapListing,
   syncDiscogsInventory,
-  // getInventoryStats, // Keep if needed
+  applySyncDiff,
+  getInventoryStats,
 };
@@ -0,0 +1,210 @@
+const prisma = require('../lib/prisma');
+const { parsePagination } = require('../lib/pagination');
+const discogs = require('../lib/discogs');
+const { validateListingFields, buildListingPayload } = require('./discogsListingService');
+const { mapListing } = require('./inventoryService');
+
+// Record fields staff can edit; every edit is pushed to the record's Discogs listing
+const EDITABLE_FIELDS = ['price', 'condition', 'sleeveCondition', 'notes', 'location'];
+// Which side wins when an edited field was also changed on Discogs since the last sync:
+// 'local' pushes the edit over the Discogs change, 'discogs' refuses the edit as a conflict.
+const FIELD_POLICIES = {
+    price: 'local', // Prices are managed here
+    location: 'local', // Private shelf location, only used by our staff
+    condition: 'discogs', // Grading and comments are sometimes corrected on Discogs directly
+    sleeveCondition: 'discogs',
+    notes: 'discogs',
+};
+
+const DEFAULT_PUSHES_PER_PAGE = 20;
+const MAX_PUSHES_PER_PAGE = 100;
+
+/**
+ * Validates an edit of a record's listing fields.
+ * @param {object} input - Any of `price` (integer, minor units), `condition`, `sleeveCondition`, `notes`, `location`.
+ * @returns {object} The edit, with empty texts as null.
+ * @throws {Error} If a field is unknown or invalid, or nothing is edited.
+ */
+function parseRecordEdits(input) {
+    const unknown = Object.keys(input || {}).filter(field => !EDITABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        throw new Error(`Invalid field(s): ${unknown.join(', ')}. Editable fields: ${EDITABLE_FIELDS.join(', ')}.`);
+    }
+
+    const edits = validateListingFields(input);
+    if (Object.keys(edits).length === 0) {
+        throw new Error(`Invalid edit: no fields given. Editable fields: ${EDITABLE_FIELDS.join(', ')}.`);
+    }
+    return edits;
+}
+
+/**
+ * Edits a record's listing fields and pushes the edit to its Discogs listing. The record is only
+ * changed if Discogs accepted the edit, so both sides stay the same. Drafts have no listing yet and
+ * are changed directly.
+ *
+ * Conflicts are detected twice before pushing:
+ * - `lastSyncedAt` (the value the editor loaded): a sync or another push since then refuses the edit.
+ * - The live Discogs listing is compared with the values of the last sync. Fields changed on Discogs
+ *   meanwhile are resolved per FIELD_POLICIES when edited here, and kept (and adopted locally) otherwise.
+ *
+ * Every attempt that changes something is recorded as a ListingPush: 'pushed', 'conflict' or 'failed'.
+ *
+ * @param {string} recordId
+ * @param {object} input - See parseRecordEdits.
+ * @param {object} [options]
+ * @param {string} [options.userId] - The staff member editing.
+ * @param {string|Date} [options.lastSyncedAt] - The record's lastSyncedAt when it was loaded for editing.
+ * @returns {Promise<{record: object, push: object|null}>} `push` is null if nothing was pushed (a draft,
+ *   or the edit changed nothing); check `push.status` for a conflict.
+ * @throws {Error} If the input is invalid, the record does not exist or is neither a draft nor for sale with a listing,
+ *   or Discogs could not be reached (message starts with 'Failed to push').
+ */
+async function pushRecordEdits(recordId, input, { userId = null, lastSyncedAt = null } = {}) {
+    const edits = parseRecordEdits(input);
+    const loadedSyncedAt = lastSyncedAt ? new Date(lastSyncedAt) : null;
+    if (loadedSyncedAt && Number.isNaN(loadedSyncedAt.getTime())) {
+        throw new Error('Invalid lastSyncedAt: must be an ISO 8601 date.');
+    }
+
+    const record = await prisma.record.findUnique({ where: { id: recordId } });
+    if (!record) {
+        throw new Error('Record not found.');
+    }
+    if (record.status === 'DRAFT') {
+        return { record: await prisma.record.update({ where: { id: recordId }, data: edits }), push: null };
+    }
+    if (record.status !== 'FOR_SALE' || !record.discogsListingId) {
+        throw new Error(`Cannot edit record ${recordId}: only drafts and records for sale with a Discogs listing can be edited (status '${record.status}').`);
+    }
+
+    const changes = {};
+    for (const [field, value] of Object.entries(edits)) {
+        if ((record[field] ?? null) !== value) {
+            changes[field] = { from: record[field] ?? null, to: value };
+        }
+    }
+    if (Object.keys(changes).length === 0) {
+        return { record, push: null };
+    }
+
+    const logPush = (status, { discogsChanges = [], errorMessage = null } = {}) => prisma.listingPush.create({
+        data: { recordId, discogsListingId: record.discogsListingId, userId, status, changes, discogsChanges, errorMessage },
+    });
+
+    if (loadedSyncedAt && record.lastSyncedAt > loadedSyncedAt) {
+        const push = await logPush('conflict', {
+            errorMessage: `The record was updated from Discogs at ${record.lastSyncedAt.toISOString()}, after it was loaded for editing. Reload it and edit again.`,
+        });
+        return { record, push };
+    }
+
+    let live;
+    try {
+        const listing = await discogs.getListing(record.discogsListingId, { cache: false, priority: 'high' });
+        if (listing.status !== 'For Sale') {
+            const push = await logPush('conflict', { errorMessage: `The Discogs listing is '${listing.status}'.` });
+            return { record, push };
+        }
+        live = mapListing(listing, new Date());
+    } catch (error) {
+        const message = error.response?.data?.message || error.message;
+        await logPush('failed', { errorMessage: `Could not read the Discogs listing: ${message}` });
+        throw new Error(`Failed to push the edit: could not read Discogs listing ${record.discogsListingId} (${message}).`);
+    }
+    if (!live || live.currency !== record.currency) {
+        const push = await logPush('conflict', {
+            errorMessage: live
+                ? `The Discogs listing is priced in ${live.currency}, the record in ${record.currency}. Run an inventory sync first.`
+                : 'The Discogs listing has no release or price.',
+        });
+        return { record, push };
+    }
+
+    // Fields changed on Discogs since the last sync
+    const discogsChanges = [];
+    for (const field of EDITABLE_FIELDS) {
+        const synced = record[field] ?? null;
+        const current = live[field] ?? null;
+        if (synced === current) {
+            continue;
+        }
+        let resolution = 'kept'; // Not edited here: the Discogs value stays and is copied to the record
+        if (changes[field] && changes[field].to !== current) {
+            resolution = FIELD_POLICIES[field] === 'local' ? 'overwritten' : 'conflict';
+        }
+        discogsChanges.push({ field, synced, discogs: current, resolution });
+    }
+    const conflicting = discogsChanges.filter(change => change.resolution === 'conflict').map(change => change.field);
+    if (conflicting.length > 0) {
+        const push = await logPush('conflict', {
+            discogsChanges,
+            errorMessage: `Changed on Discogs since the last sync: ${conflicting.join(', ')}. Reload the record and edit again.`,
+        });
+        return { record, push };
+    }
+
+    // Discogs expects the whole listing: its current values, with the edit on top
+    const values = Object.fromEntries(EDITABLE_FIELDS.map(field => [field, field in edits ? edits[field] : live[field] ?? null]));
+    try {
+        await discogs.updateListing(record.discogsListingId, buildListingPayload({ ...record, ...values }), { priority: 'high' });
+    } catch (error) {
+        const message = error.response?.data?.message || error.message;
+        await logPush('failed', { discogsChanges, errorMessage: message });
+        throw new Error(`Failed to push the edit to Discogs listing ${record.discogsListingId}: ${message}`);
+    }
+
+    const pushedAt = new Date();
+    const [updated, push] = await prisma.$transaction([
+        prisma.record.update({
+            where: { id: recordId },
+            data: { ...values, lastPushedAt: pushedAt, lastSyncedAt: pushedAt }, // Both sides match again
+        }),
+        prisma.listingPush.create({
+            data: { recordId, discogsListingId: record.discogsListingId, userId, status: 'pushed', changes, discogsChanges },
+        }),
+    ]);
+    console.log(`User ${userId} pushed ${Object.keys(changes).join(', ')} of Record ${recordId} to Discogs listing ${record.discogsListingId}.`);
+    return { record: updated, push };
+}
+
+/**
+ * Lists the pushes of a record's edits to Discogs, newest first.
+ * @param {string} recordId
+ * @param {object} [options]
+ * @param {number|string} [options.page=1] - 1-based page number.
+ * @param {number|string} [options.perPage=20] - Page size (capped at 100).
+ * @returns {Promise<{data: object[], pagination: object}>}
+ * @throws {Error} If the pagination parameters are invalid.
+ */
+async function listListingPushes(recordId, { page = 1, perPage = DEFAULT_PUSHES_PER_PAGE } = {}) {
+    const { pageNum, take } = parsePagination(page, perPage, MAX_PUSHES_PER_PAGE);
+
+    const where = { recordId };
+    const [pushes, totalPushes] = await prisma.$transaction([
+        prisma.listingPush.findMany({
+            where,
+            orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+            skip: (pageNum - 1) * take,
+            take,
+        }),
+        prisma.listingPush.count({ where }),
+    ]);
+
+    return {
+        data: pushes,
+        pagination: {
+            totalPushes,
+            totalPages: Math.ceil(totalPushes / take),
+            currentPage: pageNum,
+            perPage: take,
+        },
+    };
+}
+
+module.exports = {
+    EDITABLE_FIELDS,
+    FIELD_POLICIES,
+    pushRecordEdits,
+    listListingPushes,
+};
@@ -0,0 +1,653 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { OrderStatus } = require('@prisma/client');
+const prisma = require('../lib/prisma');
+const { parsePagination } = require('../lib/pagination');
+const outboxService = require('./outboxService');
+const promotionService = require('./promotionService');
+
+const DEFAULT_ORDERS_PER_PAGE = 10;
+const MAX_ORDERS_PER_PAGE = 50;
+
+// Allowed order status transitions. Anything not listed here is rejected,
+// e.g. a REFUNDED order can never become SHIPPED again.
+const ORDER_STATUS_TRANSITIONS = {
+    PENDING: ['PAID', 'CANCELLED'],
+    PAID: ['SHIPPED', 'CANCELLED', 'REFUNDED'],
+    SHIPPED: ['REFUNDED'],
+    CANCELLED: [],
+    REFUNDED: [],
+};
+
+// Statuses in which the ordered quantity has been taken out of Record stock
+const STOCK_COMMITTED_STATUSES = ['PAID', 'SHIPPED'];
+
+const STRIPE_REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
+
+// Items are returned as the snapshot taken at purchase time, plus a few
+// live record fields so the storefront can link back to the product page.
+const orderInclude = {
+    items: {
+        include: {
+            record: {
+                select: { id: true, coverImage: true, status: true },
+            },
+        },
+    },
+};
+
+/**
+ * Parses a comma-separated status filter (e.g. "PAID,SHIPPED") into OrderStatus values.
+ * @param {string|undefined} statusParam - Raw `status` query parameter.
+ * @returns {string[]|null} Array of valid statuses, or null when no filter was given.
+ * @throws {Error} If any of the given statuses is not a valid OrderStatus.
+ */
+function parseStatusFilter(statusParam) {
+    if (!statusParam) {
+        return null;
+    }
+
+    const statuses = String(statusParam)
+        .split(',')
+        .map(status => status.trim().toUpperCase())
+        .filter(Boolean);
+
+    const invalid = statuses.filter(status => !Object.values(OrderStatus).includes(status));
+    if (invalid.length > 0) {
+        throw new Error(`Invalid order status filter: ${invalid.join(', ')}. Allowed values: ${Object.values(OrderStatus).join(', ')}.`);
+    }
+
+    return statuses;
+}
+
+/**
+ * Derives a customer-facing payment status from the order status.
+ * @param {object} order - Order object from Prisma.
+ * @returns {string} One of 'unpaid', 'paid', 'partially_refunded' or 'refunded'.
+ */
+function getPaymentStatus(order) {
+    switch (order.status) {
+        case 'PAID':
+        case 'SHIPPED':
+            return order.refundedAmount > 0 ? 'partially_refunded' : 'paid';
+        case 'REFUNDED':
+            return 'refunded';
+        case 'PENDING':
+        case 'CANCELLED':
+        default:
+            return 'unpaid';
+    }
+}
+
+/**
+ * Shapes an order for API responses.
+ * @param {object} order - Order object from Prisma, including `items`.
+ * @returns {object} The order with a derived `paymentStatus`.
+ */
+function formatOrder(order) {
+    return {
+        ...order,
+        paymentStatus: getPaymentStatus(order),
+    };
+}
+
+/**
+ * Checks an order status change against the state machine.
+ * @param {object} order - Order object from Prisma.
+ * @param {string} nextStatus - The requested OrderStatus.
+ * @throws {Error} If the transition is not allowed.
+ */
+function assertTransition(order, nextStatus) {
+    const allowed = ORDER_STATUS_TRANSITIONS[order.status] || [];
+    if (!allowed.includes(nextStatus)) {
+        throw new Error(`Invalid status transition: order ${order.id} cannot go from ${order.status} to ${nextStatus}.`);
+    }
+}
+
+/**
+ * Runs a paginated order query.
+ * @returns {Promise<{data: object[], pagination: object}>}
+ */
+async function findOrdersPage(where, pageNum, take) {
+    const [orders, totalOrders] = await prisma.$transaction([
+        prisma.order.findMany({
+            where,
+            include: orderInclude,
+            orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+            skip: (pageNum - 1) * take,
+            take,
+        }),
+        prisma.order.count({ where }),
+    ]);
+
+    return {
+        data: orders.map(formatOrder),
+        pagination: {
+            totalOrders,
+            totalPages: Math.ceil(totalOrders / take),
+            currentPage: pageNum,
+            perPage: take,
+        },
+    };
+}
+
+/**
+ * Lists a user's orders, newest first.
+ * @param {string} userId - The ID of the user.
+ * @param {object} [options]
+ * @param {number|string} [options.page=1] - 1-based page number.
+ * @param {number|string} [options.perPage=10] - Page size (capped at 50).
+ * @param {string} [options.status] - Comma-separated OrderStatus filter.
+ * @returns {Promise<{data: object[], pagination: object}>} Orders and pagination info.
+ * @throws {Error} If pagination parameters or the status filter are invalid.
+ */
+async function listOrdersForUser(userId, { page = 1, perPage = DEFAULT_ORDERS_PER_PAGE, status } = {}) {
+    const { pageNum, take } = parsePagination(page, perPage, MAX_ORDERS_PER_PAGE);
+
+    const where = { userId };
+    const statuses = parseStatusFilter(status);
+    if (statuses) {
+        where.status = { in: statuses };
+    }
+
+    return findOrdersPage(where, pageNum, take);
+}
+
+/**
+ * Retrieves a single order belonging to the user.
+ * @param {string} userId - The ID of the user.
+ * @param {string} orderId - The ID of the order.
+ * @returns {Promise<object>} The order with its items.
+ * @throws {Error} If the order does not exist or belongs to another user.
+ */
+async function getOrderForUser(userId, orderId) {
+    const order = await prisma.order.findUnique({
+        where: { id: orderId },
+        include: orderInclude,
+    });
+
+    // Report someone else's order as missing rather than forbidden, so order IDs can't be probed
+    if (!order || order.userId !== userId) {
+        throw new Error('Order not found.');
+    }
+
+    return formatOrder(order);
+}
+
+/**
+ * Looks up the order created for a Stripe Checkout Session, for the post-checkout success page.
+ * The webhook may not have been processed yet when the customer lands on the page, in which case
+ * the Checkout Session itself is returned so the frontend can show a "processing" state and poll.
+ * @param {string} userId - The ID of the user.
+ * @param {string} sessionId - The Stripe Checkout Session ID (`session_id` in the success URL).
+ * @returns {Promise<{order: object|null, checkoutSession: object|null}>}
+ * @throws {Error} If neither an order nor a Checkout Session owned by the user can be found.
+ */
+async function getOrderByCheckoutSession(userId, sessionId) {
+    const order = await prisma.order.findUnique({
+        where: { stripeCheckoutId: sessionId },
+        include: orderInclude,
+    });
+
+    if (order) {
+        if (order.userId !== userId) {
+            throw new Error('Order not found.');
+        }
+        return { order: formatOrder(order), checkoutSession: null };
+    }
+
+    let session;
+    try {
+        session = await stripe.checkout.sessions.retrieve(sessionId);
+    } catch (error) {
+        console.warn(`Could not retrieve Stripe Checkout Session ${sessionId}:`, error.message);
+        throw new Error('Order not found.');
+    }
+
+    if (session.metadata?.userId !== userId) {
+        throw new Error('Order not found.');
+    }
+
+    return {
+        order: null,
+        checkoutSession: {
+            id: session.id,
+            status: session.status,
+            paymentStatus: session.payment_status,
+            amountTotal: session.amount_total,
+            currency: session.currency,
+        },
+    };
+}
+
+// --- Admin order management ---
+
+/**
+ * Lists all orders for the admin dashboard, newest first.
+ * @param {object} [options]
+ * @param {number|string} [options.page=1] - 1-based page number.
+ * @param {number|string} [options.perPage=10] - Page size (capped at 50).
+ * @param {string} [options.status] - Comma-separated OrderStatus filter.
+ * @param {string} [options.email] - Filter by (partial) customer email.
+ * @returns {Promise<{data: object[], pagination: object}>} Orders and pagination info.
+ * @throws {Error} If pagination parameters or the status filter are invalid.
+ */
+async function listAllOrders({ page = 1, perPage = DEFAULT_ORDERS_PER_PAGE, status, email } = {}) {
+    const { pageNum, take } = parsePagination(page, perPage, MAX_ORDERS_PER_PAGE);
+
+    const where = {};
+    const statuses = parseStatusFilter(status);
+    if (statuses) {
+        where.status = { in: statuses };
+    }
+    if (email) {
+        where.customerEmail = { contains: email, mode: 'insensitive' };
+    }
+
+    return findOrdersPage(where, pageNum, take);
+}
+
+/**
+ * Retrieves any order by ID (admin).
+ * @param {string} orderId - The ID of the order.
+ * @returns {Promise<object>} The order with its items.
+ * @throws {Error} If the order does not exist.
+ */
+async function getOrder(orderId) {
+    const order = await prisma.order.findUnique({
+        where: { id: orderId },
+        include: orderInclude,
+    });
+
+    if (!order) {
+        throw new Error('Order not found.');
+    }
+
+    return formatOrder(order);
+}
+
+/**
+ * Locks an order row until the transaction ends and re-reads it with its items. Refunds and
+ * cancellations work from this fresh row, so a concurrent charge.refunded cannot make them count
+ * a refund or restock an item twice.
+ * @param {object} tx - Prisma transaction client.
+ * @param {string} orderId - The ID of the order.
+ * @returns {Promise<object>} The order, including `items`.
+ * @throws {Error} If the order does not exist.
+ */
+async function lockOrder(tx, orderId) {
+    await tx.$queryRaw`SELECT "id" FROM "Order" WHERE "id" = ${orderId} FOR UPDATE`;
+    const order = await tx.order.findUnique({
+        where: { id: orderId },
+        include: { items: true },
+    });
+    if (!order) {
+        throw new Error('Order not found.');
+    }
+    return order;
+}
+
+/**
+ * Puts units of ordered items back into Record stock. Must run inside a transaction.
+ * Items that were already restocked (fully or partly) only get their remaining units back.
+ * @param {object} tx - Prisma transaction client.
+ * @param {object[]} orderItems - OrderItems to restock.
+ * @param {Map<string, number>} [quantities] - Units to restock per OrderItem ID. Defaults to everything not yet restocked.
+ * Queues a Discogs listing update for each restocked record (see outboxService).
+ * @returns {Promise<number>} The number of records restocked.
+ */
+async function restockOrderItems(tx, orderItems, quantities) {
+    const restocked = new Set();
+
+    for (const item of orderItems) {
+        const remaining = item.quantity - item.restockedQuantity;
+        const units = quantities ? Math.min(quantities.get(item.id) || 0, remaining) : remaining;
+        if (units <= 0) {
+            continue;
+        }
+
+        const record = await tx.record.findUnique({
+            where: { id: item.recordId },
+            select: { id: true, status: true, quantity: true },
+        });
+        if (!record) {
+            console.warn(`Restock Warning: Record ${item.recordId} for OrderItem ${item.id} no longer exists. Skipping.`);
+            continue;
+        }
+
+        await tx.record.update({
+            where: { id: record.id },
+            data: {
+                quantity: { increment: units },
+                status: 'FOR_SALE',
+            },
+        });
+        await tx.orderItem.update({
+            where: { id: item.id },
+            data: { restockedQuantity: { increment: units } },
+        });
+        console.log(`Restocked ${units} unit(s) of Record ${record.id} from OrderItem ${item.id}.`);
+
+        // Puts a sold-out record's listing back on sale
+        if (!restocked.has(record.id)) {
+            await outboxService.enqueueOutboxEvent(tx, 'discogs.listing.sync', record.id, { reason: 'restock', orderItemId: item.id });
+            restocked.add(record.id);
+        }
+    }
+
+    return restocked.size;
+}
+
+/**
+ * Marks a paid order as shipped.
+ * @param {string} orderId - The ID of the order.
+ * @param {object} shipment
+ * @param {string} shipment.carrier - Shipping carrier name (e.g. "DHL").
+ * @param {string} shipment.trackingNumber - Carrier tracking number.
+ * @returns {Promise<object>} The updated order.
+ * @throws {Error} If the order is not found, fields are missing, or the transition is not allowed.
+ */
+async function markOrderShipped(orderId, { carrier, trackingNumber } = {}) {
+    if (!carrier || !trackingNumber) {
+        throw new Error('Missing required fields: carrier and trackingNumber.');
+    }
+
+    const order = await prisma.order.findUnique({ where: { id: orderId } });
+    if (!order) {
+        throw new Error('Order not found.');
+    }
+    assertTransition(order, 'SHIPPED');
+
+    const updated = await prisma.order.update({
+        where: { id: orderId },
+        data: {
+            status: 'SHIPPED',
+            shippingCarrier: carrier,
+            trackingNumber,
+            shippedAt: new Date(),
+        },
+        include: orderInclude,
+    });
+    console.log(`Order ${orderId} marked as SHIPPED via ${carrier} (${trackingNumber}).`);
+    return formatOrder(updated);
+}
+
+/**
+ * Cancels an order. A paid order is refunded in full through Stripe and its items are put back into stock.
+ * @param {string} orderId - The ID of the order.
+ * @param {object} [options]
+ * @param {string} [options.reason] - Free-text cancellation reason, stored on the order.
+ * @returns {Promise<object>} The updated order.
+ * @throws {Error} If the order is not found, the transition is not allowed, or the Stripe refund fails.
+ */
+async function cancelOrder(orderId, { reason } = {}) {
+    const order = await prisma.order.findUnique({
+        where: { id: orderId },
+        include: { items: true },
+    });
+    if (!order) {
+        throw new Error('Order not found.');
+    }
+    assertTransition(order, 'CANCELLED');
+
+    const stockCommitted = STOCK_COMMITTED_STATUSES.includes(order.status);
+    const refundAmount = order.totalAmount - order.refundedAmount;
+
+    // Refund first: if Stripe refuses, the order must stay as it is
+    if (stockCommitted && refundAmount > 0) {
+        await createStripeRefund(order, refundAmount, 'requested_by_customer');
+    }
+
+    let restocked = 0;
+    const updated = await prisma.$transaction(async (tx) => {
+        const current = await lockOrder(tx, orderId);
+        const refunded = stockCommitted && refundAmount > 0;
+        if (!refunded && current.status !== order.status) {
+            throw new Error(`Order ${orderId} changed to ${current.status} while being cancelled. Please retry.`);
+        }
+        // The Stripe refund went through, so it is recorded even if the order changed in the meantime
+        const canCancel = (ORDER_STATUS_TRANSITIONS[current.status] || []).includes('CANCELLED');
+        if (!canCancel) {
+            console.warn(`Cancel Warning: Order ${orderId} became ${current.status} while being cancelled. Keeping its status.`);
+        }
+
+        if (canCancel && STOCK_COMMITTED_STATUSES.includes(current.status)) {
+            restocked = await restockOrderItems(tx, current.items);
+        }
+        if (canCancel) {
+            await promotionService.releaseRedemptionForOrder(tx, orderId);
+        }
+
+        return tx.order.update({
+            where: { id: orderId },
+            data: {
+                ...(canCancel ? { status: 'CANCELLED', cancelledAt: new Date(), cancelReason: reason || null } : {}),
+                ...(refunded ? { refundedAmount: Math.min(current.totalAmount, current.refundedAmount + refundAmount), refundedAt: new Date() } : {}),
+            },
+            include: orderInclude,
+        });
+    });
+    const refunded = stockCommitted && refundAmount > 0;
+    console.log(`Order ${orderId} ${updated.status === 'CANCELLED' ? 'cancelled' : `not cancelled (now ${updated.status})`}.`
+        + `${refunded ? ` Refunded ${refundAmount}.` : ''}${restocked > 0 ? ` Restocked ${restocked} record(s).` : ''}`);
+
+    if (restocked > 0) {
+        outboxService.processOutboxSoon(`Order ${orderId}`); // Discogs listing updates
+    }
+    return formatOrder(updated);
+}
+
+/**
+ * Issues a full or partial Stripe refund for an order.
+ * A refund that brings the refunded total up to the order total moves the order to REFUNDED.
+ * @param {string} orderId - The ID of the order.
+ * @param {object} [options]
+ * @param {number} [options.amount] - Amount to refund in smallest currency unit. Defaults to the remaining refundable amount.
+ * @param {string} [options.reason] - Stripe refund reason ('duplicate', 'fraudulent' or 'requested_by_customer').
+ * @param {boolean|Array<{orderItemId: string, quantity: number}>} [options.restock] - `true` restocks every item,
+ *        an array restocks the given units, `false` restocks nothing. Defaults to `true` for a full refund of an order that
+ *        has not shipped, and to `false` otherwise. A partial refund only accepts an array.
+ * @returns {Promise<object>} The updated order.
+ * @throws {Error} If the order is not found, the amount or restock items are invalid, the transition
+ *         is not allowed, or the Stripe refund fails.
+ */
+async function refundOrder(orderId, { amount, reason, restock } = {}) {
+    const order = await prisma.order.findUnique({
+        where: { id: orderId },
+        include: { items: true },
+    });
+    if (!order) {
+        throw new Error('Order not found.');
+    }
+    if (!STOCK_COMMITTED_STATUSES.includes(order.status)) {
+        throw new Error(`Invalid status transition: order ${order.id} cannot be refunded while ${order.status}.`);
+    }
+    if (!order.stripePaymentIntentId) {
+        throw new Error(`Order ${order.id} has no Stripe payment to refund.`);
+    }
+    if (reason && !STRIPE_REFUND_REASONS.includes(reason)) {
+        throw new Error(`Invalid refund reason. Allowed values: ${STRIPE_REFUND_REASONS.join(', ')}.`);
+    }
+
+    const refundable = order.totalAmount - order.refundedAmount;
+    const refundAmount = amount === undefined || amount === null ? refundable : amount;
+    if (!Number.isInteger(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+        throw new Error(`Invalid refund amount: must be a positive integer no greater than ${refundable}.`);
+    }
+
+    const isFullRefund = order.refundedAmount + refundAmount >= order.totalAmount;
+    if (isFullRefund) {
+        assertTransition(order, 'REFUNDED');
+    }
+
+    // Work out what to restock before calling Stripe, so bad input fails without refunding.
+    // A partial refund (e.g. goodwill) leaves the order to ship, so it only restocks the units named.
+    const restockMode = restock === undefined ? isFullRefund && order.status === 'PAID' : restock;
+    if (restockMode === true && !isFullRefund) {
+        throw new Error('Invalid restock: a partial refund can only restock specific items, given as a list of { orderItemId, quantity }.');
+    }
+    let restockQuantities = null;
+    if (Array.isArray(restockMode)) {
+        restockQuantities = new Map();
+        for (const entry of restockMode) {
+            const item = order.items.find(orderItem => orderItem.id === entry.orderItemId);
+            if (!item || !Number.isInteger(entry.quantity) || entry.quantity <= 0) {
+                throw new Error(`Invalid restock item: ${JSON.stringify(entry)}.`);
+            }
+            restockQuantities.set(item.id, entry.quantity);
+        }
+    }
+
+    await createStripeRefund(order, refundAmount, reason);
+
+    let restocked = 0;
+    let movedToRefunded = false;
+    const updated = await prisma.$transaction(async (tx) => {
+        const current = await lockOrder(tx, orderId);
+        const refundedAmount = Math.min(current.totalAmount, current.refundedAmount + refundAmount);
+        movedToRefunded = refundedAmount >= current.totalAmount && (ORDER_STATUS_TRANSITIONS[current.status] || []).includes('REFUNDED');
+
+        if (restockMode) {
+            restocked = await restockOrderItems(tx, current.items, restockQuantities);
+        }
+
+        return tx.order.update({
+            where: { id: orderId },
+            data: {
+                refundedAmount,
+                refundedAt: new Date(),
+                ...(movedToRefunded ? { status: 'REFUNDED' } : {}),
+            },
+            include: orderInclude,
+        });
+    });
+    console.log(`Refunded ${refundAmount} on Order ${orderId}${movedToRefunded ? ' (full refund)' : ' (partial refund)'}.`);
+
+    if (restocked > 0) {
+        outboxService.processOutboxSoon(`Order ${orderId}`); // Discogs listing updates
+    }
+    return formatOrder(updated);
+}
+
+/**
+ * Records refunds reported by Stripe (charge.refunded) that were issued outside refundOrder/cancelOrder,
+ * e.g. from the Stripe Dashboard. Those two record their own refunds, so only the external total is passed in.
+ * A full refund of an unshipped order puts its items back into stock.
+ * @param {string} paymentIntentId - Stripe Payment Intent ID of the refunded charge.
+ * @param {number} externalRefunded - Total refunded on the charge outside our endpoints so far (smallest currency unit).
+ * @returns {Promise<object|null>} The updated order, or null if no order matches the payment intent.
+ */
+async function recordStripeRefund(paymentIntentId, externalRefunded) {
+    const match = await prisma.order.findUnique({
+        where: { stripePaymentIntentId: paymentIntentId },
+        select: { id: true },
+    });
+    if (!match) {
+        console.warn(`Refund Warning: No order found for payment intent ${paymentIntentId}.`);
+        return null;
+    }
+
+    let restocked = 0;
+    const updated = await prisma.$transaction(async (tx) => {
+        const order = await lockOrder(tx, match.id);
+        const newlyRefunded = externalRefunded - order.externalRefundedAmount;
+        if (newlyRefunded <= 0) {
+            console.log(`Refund Info: External refunds of ${externalRefunded} on Order ${order.id} are already recorded. Skipping.`);
+            return order;
+        }
+
+        const refundedAmount = Math.min(order.totalAmount, order.refundedAmount + newlyRefunded);
+        const canMoveToRefunded = refundedAmount >= order.totalAmount && (ORDER_STATUS_TRANSITIONS[order.status] || []).includes('REFUNDED');
+        if (canMoveToRefunded && order.status === 'PAID') {
+            restocked = await restockOrderItems(tx, order.items);
+        }
+
+        const result = await tx.order.update({
+            where: { id: order.id },
+            data: {
+                refundedAmount,
+                externalRefundedAmount: externalRefunded,
+                refundedAt: new Date(),
+                ...(canMoveToRefunded ? { status: 'REFUNDED' } : {}),
+            },
+        });
+        console.log(`Recorded Stripe refund on Order ${order.id}: total refunded ${refundedAmount}${canMoveToRefunded ? ', order REFUNDED' : ''}.`);
+        return result;
+    });
+
+    if (restocked > 0) {
+        outboxService.processOutboxSoon(`Order ${match.id}`); // Discogs listing updates
+    }
+    return updated;
+}
+
+/**
+ * Records a dispute (chargeback) opened against an order's payment.
+ * @param {string} paymentIntentId - Stripe Payment Intent ID of the disputed charge.
+ * @param {Stripe.Dispute} dispute - The Stripe dispute object.
+ * @returns {Promise<object|null>} The updated order, or null if no order matches the payment intent.
+ */
+async function recordDispute(paymentIntentId, dispute) {
+    const order = await prisma.order.findUnique({
+        where: { stripePaymentIntentId: paymentIntentId },
+        select: { id: true },
+    });
+    if (!order) {
+        console.warn(`Dispute Warning: No order found for payment intent ${paymentIntentId} (dispute ${dispute.id}).`);
+        return null;
+    }
+
+    const updated = await prisma.order.update({
+        where: { id: order.id },
+        data: {
+            stripeDisputeId: dispute.id,
+            disputeStatus: dispute.status,
+            disputeReason: dispute.reason,
+            disputedAt: new Date(dispute.created * 1000),
+        },
+    });
+    console.warn(`Dispute ${dispute.id} opened on Order ${order.id} (reason: ${dispute.reason}, amount: ${dispute.amount}). Respond in the Stripe Dashboard.`);
+    return updated;
+}
+
+/**
+ * Creates a refund in Stripe for an order's payment intent.
+ * @param {object} order - Order object from Prisma.
+ * @param {number} amount - Amount to refund in smallest currency unit.
+ * @param {string} [reason] - Stripe refund reason.
+ * @returns {Promise<Stripe.Refund>} The created refund.
+ * @throws {Error} If the order has no payment intent or Stripe rejects the refund.
+ */
+async function createStripeRefund(order, amount, reason) {
+    if (!order.stripePaymentIntentId) {
+        throw new Error(`Order ${order.id} has no Stripe payment to refund.`);
+    }
+
+    try {
+        const refund = await stripe.refunds.create({
+            payment_intent: order.stripePaymentIntentId,
+            amount,
+            ...(reason ? { reason } : {}),
+            metadata: { orderId: order.id },
+        });
+        console.log(`Stripe refund ${refund.id} created for Order ${order.id} (amount ${amount}).`);
+        return refund;
+    } catch (error) {
+        console.error(`Stripe refund failed for Order ${order.id}:`, error);
+        throw new Error(`Stripe refund failed: ${error.message}`);
+    }
+}
+
+module.exports = {
+    ORDER_STATUS_TRANSITIONS,
+    assertTransition,
+    listOrdersForUser,
+    getOrderForUser,
+    getOrderByCheckoutSession,
+    listAllOrders,
+    getOrder,
+    markOrderShipped,
+    cancelOrder,
+    refundOrder,
+    recordStripeRefund,
+    recordDispute,
+};
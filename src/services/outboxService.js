@@ -0,0 +1,322 @@
+const prisma = require('../lib/prisma');
+const { parsePagination } = require('../lib/pagination');
+const { syncRecordListing } = require('./discogsListingService');
+const { deliverOrderConfirmation, clearOrderConfirmationSending } = require('./emailService');
+const { trackEvent } = require('./analyticsService');
+
+// Handlers per event type, called with the event. Delivery is at-least-once, so they must be idempotent:
+// an event can be retried after a partial failure, and one still processing after STALE_PROCESSING_MS
+// can be claimed and run again. Events superseded by a later run are skipped.
+const OUTBOX_HANDLERS = {
+    // Make the Discogs listing match Record.quantity and status
+    'discogs.listing.sync': event => syncRecordListing(event.aggregateId),
+    // Send the confirmation email of a paid order (aggregate: the Order), once
+    'email.order_confirmation': event => deliverOrderConfirmation(event.aggregateId),
+    // Send { name, properties } to analytics; the event ID lets the receiver drop duplicates
+    'analytics.event': event => trackEvent(event.payload.name, event.payload.properties, {
+        messageId: event.id,
+        timestamp: event.createdAt,
+    }),
+};
+const OUTBOX_EVENT_TYPES = Object.keys(OUTBOX_HANDLERS);
+const OUTBOX_STATUSES = ['pending', 'processing', 'done', 'dead'];
+// Event types whose handler reads the current state of the aggregate: one successful run covers
+// every earlier pending event of the same aggregate
+const STATE_SYNC_TYPES = ['discogs.listing.sync'];
+
+// Retry schedule: 30 s, 1 min, 2 min, ... capped at 1 hour. After MAX_ATTEMPTS failures (about 5 hours
+// with the default) an event is dead-lettered: it stays 'dead' until an admin retries it.
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 12;
+// An event stuck in 'processing' this long was interrupted (e.g. the process died) and can be picked up again.
+// The outcome of an attempt is only recorded if no later attempt claimed the event meanwhile.
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+// Events processed per run of the outbox job
+const DEFAULT_BATCH_SIZE = 50;
+const DEFAULT_EVENTS_PER_PAGE = 20;
+const MAX_EVENTS_PER_PAGE = 100;
+
+/**
+ * Returns when the next attempt of an event should run.
+ * @param {number} attempts - Number of attempts made so far.
+ * @returns {Date}
+ */
+function getNextAttemptAt(attempts) {
+    const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_DELAY_MS);
+    // Up to 10% jitter so a batch of failures doesn't retry in lockstep
+    const jitter = Math.floor(Math.random() * delay * 0.1);
+    return new Date(Date.now() + delay + jitter);
+}
+
+/**
+ * Adds an event to the outbox. Call it inside the transaction that makes the change, so the event is
+ * stored if and only if the change is committed.
+ * @param {object} tx - Prisma transaction client (or the client, outside a transaction).
+ * @param {string} type - A key of OUTBOX_HANDLERS.
+ * @param {string} aggregateId - What the event concerns, e.g. a Record ID.
+ * @param {object} [payload] - Context for the handler and the logs.
+ * @returns {Promise<object>} The OutboxEvent.
+ */
+async function enqueueOutboxEvent(tx, type, aggregateId, payload = {}) {
+    if (!OUTBOX_HANDLERS[type]) {
+        throw new Error(`Invalid outbox event type '${type}'.`);
+    }
+    return tx.outboxEvent.create({ data: { type, aggregateId, payload } });
+}
+
+/**
+ * Claims an outbox event and runs its handler, recording the outcome. A failed event is scheduled
+ * for another attempt, or dead-lettered after MAX_ATTEMPTS. Only one worker can claim an event at a time.
+ * @param {string} eventId
+ * @returns {Promise<{status: string, error?: string}>} 'done', 'retrying', 'dead' or 'skipped'.
+ */
+async function processOutboxEvent(eventId) {
+    const now = new Date();
+    const claim = await prisma.outboxEvent.updateMany({
+        where: {
+            id: eventId,
+            OR: [
+                { status: 'pending', nextAttemptAt: { lte: now } },
+                { status: 'processing', lastAttemptAt: { lt: new Date(now.getTime() - STALE_PROCESSING_MS) } },
+            ],
+        },
+        data: { status: 'processing', attempts: { increment: 1 }, lastAttemptAt: now },
+    });
+    if (claim.count === 0) {
+        return { status: 'skipped' };
+    }
+
+    const event = await prisma.outboxEvent.findUnique({ where: { id: eventId } });
+    // Fences the outcome to this attempt: if the event went stale and was claimed again, that attempt records it
+    const recordOutcome = data => prisma.outboxEvent.updateMany({
+        where: { id: eventId, status: 'processing', attempts: event.attempts },
+        data,
+    });
+    // The handler reads the state after these were committed, so a successful run covers them too.
+    // Read before it runs: an event committed later may not be reflected in what the handler read.
+    const coveredIds = STATE_SYNC_TYPES.includes(event.type)
+        ? (await prisma.outboxEvent.findMany({
+            where: { type: event.type, aggregateId: event.aggregateId, status: 'pending', id: { not: eventId } },
+            select: { id: true },
+        })).map(({ id }) => id)
+        : [];
+
+    try {
+        await OUTBOX_HANDLERS[event.type](event);
+    } catch (error) {
+        const dead = event.attempts >= MAX_ATTEMPTS;
+        const nextAttemptAt = dead ? null : getNextAttemptAt(event.attempts);
+        const recorded = await recordOutcome(dead
+            ? { status: 'dead', lastError: error.message }
+            : { status: 'pending', lastError: error.message, nextAttemptAt });
+        if (recorded.count === 0) {
+            console.warn(`Outbox event ${eventId} (${event.type} ${event.aggregateId}) failed on attempt ${event.attempts}, which a later attempt superseded:`, error.message);
+            return { status: 'skipped' };
+        }
+        if (dead) {
+            console.error(`Outbox event ${eventId} (${event.type} ${event.aggregateId}) failed on attempt ${event.attempts}, giving up:`, error.message);
+            return { status: 'dead', error: error.message };
+        }
+        console.error(`Outbox event ${eventId} (${event.type} ${event.aggregateId}) failed on attempt ${event.attempts}, retrying at ${nextAttemptAt.toISOString()}:`, error.message);
+        return { status: 'retrying', error: error.message };
+    }
+
+    const [recorded] = await prisma.$transaction([
+        recordOutcome({ status: 'done', processedAt: new Date(), lastError: null }),
+        ...(coveredIds.length > 0 ? [prisma.outboxEvent.updateMany({
+            where: { id: { in: coveredIds }, status: 'pending' },
+            data: { status: 'done', processedAt: new Date(), lastError: `Covered by event ${eventId}.` },
+        })] : []),
+    ]);
+    if (recorded.count === 0) {
+        console.warn(`Outbox event ${eventId} (${event.type} ${event.aggregateId}) succeeded on attempt ${event.attempts}, which a later attempt superseded.`);
+        return { status: 'skipped' };
+    }
+    return { status: 'done' };
+}
+
+/**
+ * Processes the outbox events that are due, oldest first. Called by the outbox job, and right after
+ * a transaction that enqueued events so they don't wait for the next run.
+ * @param {object} [options]
+ * @param {number} [options.limit=50]
+ * @returns {Promise<{processed: number, done: number, retrying: number, dead: number}>}
+ */
+async function processDueOutboxEvents({ limit = DEFAULT_BATCH_SIZE } = {}) {
+    const staleBefore = new Date(Date.now() - STALE_PROCESSING_MS);
+    const due = await prisma.outboxEvent.findMany({
+        where: {
+            OR: [
+                { status: 'pending', nextAttemptAt: { lte: new Date() } },
+                { status: 'processing', lastAttemptAt: { lt: staleBefore } },
+            ],
+        },
+        orderBy: { createdAt: 'asc' },
+        take: limit,
+        select: { id: true },
+    });
+
+    const result = { processed: 0, done: 0, retrying: 0, dead: 0 };
+    // One at a time: Discogs calls are paced by the shared client anyway
+    for (const { id } of due) {
+        const { status } = await processOutboxEvent(id);
+        if (status !== 'skipped') {
+            result.processed++;
+            result[status]++;
+        }
+    }
+    return result;
+}
+
+/**
+ * Starts processing due outbox events without waiting for it; errors are logged.
+ * @param {string} context - For the log, e.g. "Order 123".
+ */
+function processOutboxSoon(context) {
+    processDueOutboxEvents().catch(error => {
+        console.error(`Outbox processing after ${context} failed (the outbox job retries):`, error.message);
+    });
+}
+
+/**
+ * Lists outbox events, newest first.
+ * @param {object} [options]
+ * @param {string} [options.status] - Comma-separated statuses (e.g. "pending,dead").
+ * @param {string} [options.type] - Exact event type (e.g. "email.order_confirmation").
+ * @param {string} [options.aggregateId] - e.g. an Order or Record ID.
+ * @param {number|string} [options.page=1] - 1-based page number.
+ * @param {number|string} [options.perPage=20] - Page size (capped at 100).
+ * @returns {Promise<{data: object[], pagination: object}>}
+ * @throws {Error} If the filters or pagination parameters are invalid.
+ */
+async function listOutboxEvents({ status, type, aggregateId, page = 1, perPage = DEFAULT_EVENTS_PER_PAGE } = {}) {
+    const { pageNum, take } = parsePagination(page, perPage, MAX_EVENTS_PER_PAGE);
+
+    const where = {};
+    if (status) {
+        const statuses = String(status).split(',').map(s => s.trim()).filter(Boolean);
+        const invalid = statuses.filter(s => !OUTBOX_STATUSES.includes(s));
+        if (invalid.length > 0) {
+            throw new Error(`Invalid outbox status filter: ${invalid.join(', ')}. Allowed values: ${OUTBOX_STATUSES.join(', ')}.`);
+        }
+        where.status = { in: statuses };
+    }
+    if (type) {
+        if (!OUTBOX_EVENT_TYPES.includes(type)) {
+            throw new Error(`Invalid outbox event type filter: ${type}. Allowed values: ${OUTBOX_EVENT_TYPES.join(', ')}.`);
+        }
+        where.type = type;
+    }
+    if (aggregateId) {
+        where.aggregateId = String(aggregateId);
+    }
+
+    const [events, totalEvents] = await prisma.$transaction([
+        prisma.outboxEvent.findMany({
+            where,
+            orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+            skip: (pageNum - 1) * take,
+            take,
+        }),
+        prisma.outboxEvent.count({ where }),
+    ]);
+
+    return {
+        data: events,
+        pagination: {
+            totalEvents,
+            totalPages: Math.ceil(totalEvents / take),
+            currentPage: pageNum,
+            perPage: take,
+        },
+    };
+}
+
+/**
+ * Retrieves one outbox event.
+ * @param {string} eventId
+ * @returns {Promise<object>}
+ * @throws {Error} If the event does not exist.
+ */
+async function getOutboxEvent(eventId) {
+    const event = await prisma.outboxEvent.findUnique({ where: { id: eventId } });
+    if (!event) {
+        throw new Error('Outbox event not found.');
+    }
+    return event;
+}
+
+/**
+ * Retries an outbox event now (admin action), typically a dead one once its cause is fixed. A dead
+ * event gets a fresh set of attempts. Retrying a dead confirmation email sends it even if an interrupted
+ * attempt may already have sent it (see emailService.deliverOrderConfirmation).
+ * @param {string} eventId
+ * @returns {Promise<object>} The event after the attempt.
+ * @throws {Error} If the event does not exist, is done, or is being processed.
+ */
+async function retryOutboxEvent(eventId) {
+    const event = await getOutboxEvent(eventId);
+    if (event.status === 'done' || event.status === 'processing') {
+        throw new Error(`Cannot retry outbox event ${eventId}: it is ${event.status}.`);
+    }
+
+    // Conditional, so a worker that claimed it meanwhile keeps it
+    const reset = await prisma.outboxEvent.updateMany({
+        where: { id: eventId, status: event.status },
+        data: {
+            status: 'pending',
+            nextAttemptAt: new Date(),
+            ...(event.status === 'dead' ? { attempts: 0 } : {}),
+        },
+    });
+    if (reset.count === 0) {
+        throw new Error(`Cannot retry outbox event ${eventId}: it is being processed.`);
+    }
+    if (event.type === 'email.order_confirmation' && event.status === 'dead') {
+        await clearOrderConfirmationSending(event.aggregateId);
+    }
+    console.log(`Retrying outbox event ${eventId} (${event.type} ${event.aggregateId}).`);
+
+    await processOutboxEvent(eventId);
+    return getOutboxEvent(eventId);
+}
+
+/**
+ * Counts outbox events per type and status, for monitoring the backlog and dead letters.
+ * @returns {Promise<{byType: object, totals: object, oldestPendingAt: Date|null}>} `byType` maps
+ *   each type to its counts per status.
+ */
+async function getOutboxStats() {
+    const [groups, oldestPending] = await Promise.all([
+        prisma.outboxEvent.groupBy({ by: ['type', 'status'], _count: { _all: true } }),
+        prisma.outboxEvent.findFirst({
+            where: { status: 'pending' },
+            orderBy: { createdAt: 'asc' },
+            select: { createdAt: true },
+        }),
+    ]);
+
+    const emptyCounts = () => Object.fromEntries(OUTBOX_STATUSES.map(status => [status, 0]));
+    const byType = Object.fromEntries(OUTBOX_EVENT_TYPES.map(type => [type, emptyCounts()]));
+    const totals = emptyCounts();
+    for (const group of groups) {
+        byType[group.type] = byType[group.type] || emptyCounts();
+        byType[group.type][group.status] = group._count._all;
+        totals[group.status] = (totals[group.status] || 0) + group._count._all;
+    }
+    return { byType, totals, oldestPendingAt: oldestPending?.createdAt || null };
+}
+
+module.exports = {
+    OUTBOX_EVENT_TYPES,
+    OUTBOX_STATUSES,
+    enqueueOutboxEvent,
+    processOutboxEvent,
+    processDueOutboxEvents,
+    processOutboxSoon,
+    listOutboxEvents,
+    getOutboxEvent,
+    retryOutboxEvent,
+    getOutboxStats,
+};
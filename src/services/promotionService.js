@@ -0,0 +1,433 @@
+const { PromotionType } = require('@prisma/client');
+const prisma = require('../lib/prisma');
+const { STORE_CURRENCY } = require('../lib/currency');
+const { formatMoney, sumMoney } = require('../lib/money');
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,40}$/;
+
+/**
+ * Normalizes a promotion code as typed by a customer (codes are stored upper-case).
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Whether a record falls within a promotion's genre/style/label scope.
+ * A promotion without any scope applies to every record.
+ * @param {object} promotion - Promotion object from Prisma.
+ * @param {object} record - Record with `genre`, `style` and `label`.
+ * @returns {boolean}
+ */
+function isRecordInScope(promotion, record) {
+    const hasScope = promotion.genres.length > 0 || promotion.styles.length > 0 || promotion.labels.length > 0;
+    if (!hasScope) {
+        return true;
+    }
+    const matches = (scope, values) => (values || []).some(value => scope.some(s => s.toLowerCase() === String(value).toLowerCase()));
+    return matches(promotion.genres, record.genre)
+        || matches(promotion.styles, record.style)
+        || (record.label ? matches(promotion.labels, [record.label]) : false);
+}
+
+/**
+ * Calculates the discount a promotion gives on a set of cart lines.
+ * @param {object} promotion - Promotion object from Prisma.
+ * @param {Array<{amount: number, quantity: number, record: object}>} lines - Unit amounts in the store
+ *        currency's smallest unit, with the record used for scoping.
+ * @returns {{subtotal: number, eligibleSubtotal: number, discountAmount: number}}
+ */
+function calculateDiscount(promotion, lines) {
+    const subtotal = sumMoney(lines);
+    const eligibleSubtotal = sumMoney(lines.filter(line => isRecordInScope(promotion, line.record)));
+
+    let discountAmount = promotion.type === PromotionType.PERCENTAGE
+        ? Math.floor((eligibleSubtotal * promotion.value) / 100) // Round down to a whole minor unit
+        : promotion.value;
+    discountAmount = Math.min(discountAmount, eligibleSubtotal);
+
+    return { subtotal, eligibleSubtotal, discountAmount };
+}
+
+/**
+ * Counts the orders a user has placed with a promotion (cancelled ones excluded).
+ * @param {object} client - Prisma client or transaction client.
+ * @param {string} promotionId
+ * @param {string} userId
+ * @returns {Promise<number>}
+ */
+async function countUserRedemptions(client, promotionId, userId) {
+    return client.promotionRedemption.count({
+        where: { promotionId, userId, status: 'REDEEMED' },
+    });
+}
+
+/**
+ * Checks that a promotion can be redeemed by a user on a basket, and calculates the discount.
+ * @param {object} promotion - Promotion object from Prisma.
+ * @param {Array<{amount: number, quantity: number, record: object}>} lines - See calculateDiscount.
+ * @param {string} userId - The ID of the user redeeming the code.
+ * @param {object} [client=prisma] - Prisma client or transaction client.
+ * @returns {Promise<{subtotal: number, eligibleSubtotal: number, discountAmount: number}>}
+ * @throws {Error} If the promotion is inactive, outside its validity dates, used up, below its
+ *         minimum basket value, or applies to none of the items.
+ */
+async function evaluatePromotion(promotion, lines, userId, client = prisma) {
+    const now = new Date();
+    const label = `Promotion code '${promotion.code}'`;
+
+    if (!promotion.active) {
+        throw new Error(`${label} is not active.`);
+    }
+    if (promotion.startsAt && promotion.startsAt > now) {
+        throw new Error(`${label} is not valid yet.`);
+    }
+    if (promotion.endsAt && promotion.endsAt <= now) {
+        throw new Error(`${label} has expired.`);
+    }
+    if (promotion.maxRedemptions != null && promotion.redemptionCount >= promotion.maxRedemptions) {
+        throw new Error(`${label} has reached its usage limit.`);
+    }
+    if (promotion.maxRedemptionsPerUser != null && await countUserRedemptions(client, promotion.id, userId) >= promotion.maxRedemptionsPerUser) {
+        throw new Error(`${label} has already been used the maximum number of times on your account.`);
+    }
+
+    const result = calculateDiscount(promotion, lines);
+    if (result.subtotal < promotion.minimumSubtotal) {
+        throw new Error(`${label} requires a minimum order of ${formatMoney(promotion.minimumSubtotal, STORE_CURRENCY)}.`);
+    }
+    if (result.eligibleSubtotal === 0) {
+        throw new Error(`${label} does not apply to any items in your cart.`);
+    }
+
+    return result;
+}
+
+/**
+ * Finds a promotion by the code a customer entered.
+ * @param {string} code
+ * @returns {Promise<object>}
+ * @throws {Error} If no promotion has this code.
+ */
+async function getPromotionByCode(code) {
+    const promotion = await prisma.promotion.findUnique({ where: { code: normalizeCode(code) } });
+    if (!promotion) {
+        throw new Error(`Promotion code '${normalizeCode(code)}' not found.`);
+    }
+    return promotion;
+}
+
+/**
+ * Claims one use of a promotion for a checkout. Call inside the checkout transaction after evaluatePromotion:
+ * the promotion row is locked and the usage limits are re-checked and counted together, so concurrent
+ * checkouts cannot exceed them. The claim is released again if the checkout does not become an order.
+ * @param {object} tx - Prisma transaction client.
+ * @param {string} promotionId
+ * @param {string} userId - The ID of the user checking out.
+ * @param {Date} expiresAt - When the claim lapses (together with the checkout's stock holds).
+ * @returns {Promise<object>} The HELD PromotionRedemption.
+ * @throws {Error} If the promotion is gone or one of its usage limits has been reached.
+ */
+async function claimRedemption(tx, promotionId, userId, expiresAt) {
+    await tx.$queryRaw`SELECT "id" FROM "Promotion" WHERE "id" = ${promotionId} FOR UPDATE`;
+    const promotion = await tx.promotion.findUnique({ where: { id: promotionId } });
+    if (!promotion) {
+        throw new Error('Promotion code not found. Please remove it from your cart.');
+    }
+    const label = `Promotion code '${promotion.code}'`;
+
+    if (promotion.maxRedemptionsPerUser != null && await countUserRedemptions(tx, promotion.id, userId) >= promotion.maxRedemptionsPerUser) {
+        throw new Error(`${label} has already been used the maximum number of times on your account.`);
+    }
+    const { count } = await tx.promotion.updateMany({
+        where: {
+            id: promotion.id,
+            ...(promotion.maxRedemptions != null ? { redemptionCount: { lt: promotion.maxRedemptions } } : {}),
+        },
+        data: { redemptionCount: { increment: 1 } },
+    });
+    if (count === 0) {
+        throw new Error(`${label} has reached its usage limit.`);
+    }
+
+    return tx.promotionRedemption.create({
+        data: { promotionId: promotion.id, userId, expiresAt },
+    });
+}
+
+/**
+ * Links a claim to the Stripe Checkout Session created for it.
+ * @param {string} redemptionId
+ * @param {string} checkoutId - Stripe Checkout Session ID.
+ */
+async function attachRedemptionToSession(redemptionId, checkoutId) {
+    await prisma.promotionRedemption.update({
+        where: { id: redemptionId },
+        data: { stripeCheckoutId: checkoutId },
+    });
+}
+
+/**
+ * Marks the claim of a checkout as redeemed by the order created for it. Call inside the transaction that
+ * creates the order. If the claim already lapsed (e.g. the session completed right after its holds expired),
+ * the customer still got the discount, so the use is counted anyway.
+ * @param {object} tx - Prisma transaction client.
+ * @param {object} order - The created order, with `promotionId` set.
+ */
+async function recordRedemption(tx, order) {
+    const { count } = await tx.promotionRedemption.updateMany({
+        where: { stripeCheckoutId: order.stripeCheckoutId, status: 'HELD' },
+        data: { status: 'REDEEMED', orderId: order.id },
+    });
+    if (count > 0) {
+        return;
+    }
+
+    console.warn(`Promotion Warning: No open claim for session ${order.stripeCheckoutId}. Counting the redemption by Order ${order.id} anyway.`);
+    await tx.promotion.update({
+        where: { id: order.promotionId },
+        data: { redemptionCount: { increment: 1 } },
+    });
+    await tx.promotionRedemption.create({
+        data: {
+            promotionId: order.promotionId,
+            userId: order.userId,
+            stripeCheckoutId: order.stripeCheckoutId,
+            orderId: order.id,
+            status: 'REDEEMED',
+            expiresAt: new Date(),
+        },
+    });
+}
+
+/**
+ * Releases claims and redemptions, giving their uses back to the promotions.
+ * @param {object} where - PromotionRedemption filter; rows already RELEASED are skipped.
+ * @param {object} [client=prisma] - Prisma client or transaction client.
+ * @returns {Promise<number>} Number of uses released.
+ */
+async function releaseRedemptions(where, client = prisma) {
+    const release = async (tx) => {
+        const redemptions = await tx.promotionRedemption.findMany({
+            where: { status: { not: 'RELEASED' }, ...where },
+            select: { id: true, promotionId: true },
+        });
+
+        let released = 0;
+        for (const redemption of redemptions) {
+            // Conditional, so two concurrent releases give a use back only once
+            const { count } = await tx.promotionRedemption.updateMany({
+                where: { id: redemption.id, status: { not: 'RELEASED' } },
+                data: { status: 'RELEASED', releasedAt: new Date() },
+            });
+            if (count > 0) {
+                await tx.promotion.updateMany({
+                    where: { id: redemption.promotionId, redemptionCount: { gt: 0 } },
+                    data: { redemptionCount: { decrement: 1 } },
+                });
+                released++;
+            }
+        }
+        return released;
+    };
+
+    return client === prisma ? prisma.$transaction(release) : release(client);
+}
+
+/**
+ * Releases the open claim of a Stripe Checkout Session (expired or cancelled checkout).
+ * A claim that already became an order's redemption is kept.
+ * @param {string} checkoutId - Stripe Checkout Session ID.
+ * @param {object} [client=prisma] - Prisma client or transaction client.
+ * @returns {Promise<number>} Number of uses released.
+ */
+async function releaseRedemptionsForSession(checkoutId, client = prisma) {
+    return releaseRedemptions({ stripeCheckoutId: checkoutId, status: 'HELD' }, client);
+}
+
+/**
+ * Releases the redemption of a cancelled order, so the use counts towards no limit.
+ * @param {object} tx - Prisma transaction client.
+ * @param {string} orderId
+ * @returns {Promise<number>} Number of uses released.
+ */
+async function releaseRedemptionForOrder(tx, orderId) {
+    return releaseRedemptions({ orderId }, tx);
+}
+
+/**
+ * Releases every claim whose checkout expired. Run periodically by the reservation cleanup job,
+ * like releaseExpiredReservations.
+ * @returns {Promise<number>} Number of uses released.
+ */
+async function releaseExpiredRedemptions() {
+    return releaseRedemptions({ status: 'HELD', expiresAt: { lte: new Date() } });
+}
+
+/**
+ * Validates admin input for creating or updating a promotion.
+ * @param {object} input - Request body fields.
+ * @param {object} [existing] - The current promotion when updating (unset fields keep their value).
+ * @returns {object} Data for prisma.promotion.create/update.
+ * @throws {Error} If a field is invalid.
+ */
+function buildPromotionData(input, existing = null) {
+    const data = {};
+    const isNullablePositiveInt = value => value === null || (Number.isInteger(value) && value > 0);
+    const parseDate = (field) => {
+        if (input[field] === null) {
+            return null;
+        }
+        const date = new Date(input[field]);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error(`Invalid ${field}: must be an ISO date.`);
+        }
+        return date;
+    };
+
+    if (input.code !== undefined) {
+        if (existing) {
+            throw new Error('Invalid code: the code of an existing promotion cannot be changed.');
+        }
+        data.code = normalizeCode(input.code);
+        if (!CODE_PATTERN.test(data.code)) {
+            throw new Error('Invalid code: use 3-40 letters, digits, dashes or underscores.');
+        }
+    } else if (!existing) {
+        throw new Error('Missing required field: code.');
+    }
+
+    if (input.type !== undefined) {
+        if (!Object.values(PromotionType).includes(input.type)) {
+            throw new Error(`Invalid type: must be one of ${Object.values(PromotionType).join(', ')}.`);
+        }
+        data.type = input.type;
+    } else if (!existing) {
+        throw new Error('Missing required field: type.');
+    }
+
+    if (input.value !== undefined) {
+        data.value = input.value;
+    } else if (!existing) {
+        throw new Error('Missing required field: value.');
+    }
+    const type = data.type || existing.type;
+    const value = data.value ?? existing.value;
+    if (!Number.isInteger(value) || value <= 0 || (type === PromotionType.PERCENTAGE && value > 100)) {
+        throw new Error(type === PromotionType.PERCENTAGE
+            ? 'Invalid value: a percentage must be an integer between 1 and 100.'
+            : 'Invalid value: a fixed amount must be a positive integer in the smallest currency unit.');
+    }
+
+    if (input.description !== undefined) {
+        data.description = input.description === null ? null : String(input.description);
+    }
+    if (input.minimumSubtotal !== undefined) {
+        if (!Number.isInteger(input.minimumSubtotal) || input.minimumSubtotal < 0) {
+            throw new Error('Invalid minimumSubtotal: must be a non-negative integer in the smallest currency unit.');
+        }
+        data.minimumSubtotal = input.minimumSubtotal;
+    }
+    for (const field of ['genres', 'styles', 'labels']) {
+        if (input[field] !== undefined) {
+            if (!Array.isArray(input[field]) || input[field].some(value => typeof value !== 'string')) {
+                throw new Error(`Invalid ${field}: must be an array of strings.`);
+            }
+            data[field] = input[field].map(value => value.trim()).filter(Boolean);
+        }
+    }
+    for (const field of ['maxRedemptions', 'maxRedemptionsPerUser']) {
+        if (input[field] !== undefined) {
+            if (!isNullablePositiveInt(input[field])) {
+                throw new Error(`Invalid ${field}: must be a positive integer or null.`);
+            }
+            data[field] = input[field];
+        }
+    }
+    if (input.startsAt !== undefined) {
+        data.startsAt = parseDate('startsAt');
+    }
+    if (input.endsAt !== undefined) {
+        data.endsAt = parseDate('endsAt');
+    }
+    const startsAt = data.startsAt !== undefined ? data.startsAt : existing?.startsAt;
+    const endsAt = data.endsAt !== undefined ? data.endsAt : existing?.endsAt;
+    if (startsAt && endsAt && endsAt <= startsAt) {
+        throw new Error('Invalid endsAt: must be after startsAt.');
+    }
+    if (input.active !== undefined) {
+        if (typeof input.active !== 'boolean') {
+            throw new Error('Invalid active: must be a boolean.');
+        }
+        data.active = input.active;
+    }
+
+    return data;
+}
+
+/**
+ * Lists promotions, newest first.
+ * @param {object} [options]
+ * @param {string} [options.active] - "true" or "false" to filter on the active flag.
+ * @returns {Promise<object[]>}
+ */
+async function listPromotions({ active } = {}) {
+    const where = {};
+    if (active === 'true' || active === 'false') {
+        where.active = active === 'true';
+    }
+    return prisma.promotion.findMany({ where, orderBy: { createdAt: 'desc' } });
+}
+
+/**
+ * Creates a promotion.
+ * @param {object} input - See buildPromotionData.
+ * @returns {Promise<object>} The created promotion.
+ * @throws {Error} If the input is invalid or the code already exists.
+ */
+async function createPromotion(input) {
+    const data = buildPromotionData(input);
+    try {
+        return await prisma.promotion.create({ data });
+    } catch (error) {
+        if (error.code === 'P2002') {
+            throw new Error(`Promotion code '${data.code}' already exists.`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Updates a promotion (e.g. to extend it or switch it off with `active: false`).
+ * @param {string} promotionId
+ * @param {object} input - See buildPromotionData; the code cannot be changed.
+ * @returns {Promise<object>} The updated promotion.
+ * @throws {Error} If the promotion does not exist or the input is invalid.
+ */
+async function updatePromotion(promotionId, input) {
+    const existing = await prisma.promotion.findUnique({ where: { id: promotionId } });
+    if (!existing) {
+        throw new Error('Promotion not found.');
+    }
+    const data = buildPromotionData(input, existing);
+    return prisma.promotion.update({ where: { id: promotionId }, data });
+}
+
+module.exports = {
+    normalizeCode,
+    calculateDiscount,
+    evaluatePromotion,
+    getPromotionByCode,
+    claimRedemption,
+    attachRedemptionToSession,
+    recordRedemption,
+    releaseRedemptions,
+    releaseRedemptionsForSession,
+    releaseRedemptionForOrder,
+    releaseExpiredRedemptions,
+    listPromotions,
+    createPromotion,
+    updatePromotion,
+};
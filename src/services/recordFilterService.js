@@ -0,0 +1,196 @@
+const { Prisma } = require('@prisma/client');
+const { STORE_CURRENCY, getCurrencyDecimals } = require('../lib/currency');
+const { exchangeRates } = require('../config/currency');
+
+// Multi-select filters: query parameter -> Record column. Array columns match if any value overlaps.
+const MULTI_SELECT_FILTERS = {
+    genre: { column: 'genre', isArray: true },
+    style: { column: 'style', isArray: true },
+    format: { column: 'format', isArray: false },
+    label: { column: 'label', isArray: false },
+    condition: { column: 'condition', isArray: false },
+    sleeveCondition: { column: 'sleeveCondition', isArray: false },
+};
+
+// Sortable fields; 'relevance' only applies to searches. `id` is always added as the final tie-break.
+const SORT_FIELDS = ['relevance', 'title', 'artist', 'year', 'price', 'createdAt'];
+const MAX_SORT_KEYS = 3;
+
+/**
+ * Builds the SQL for a record's price converted to the store currency's smallest unit, with the same
+ * exchange-rate table as convertAmount. Listing prices are in each record's own currency, so price ranges,
+ * the price facet and the price sort all compare this instead of r."price".
+ * Records in a currency without an exchange rate give NULL.
+ * @returns {Prisma.Sql} Expression on the "Record" table aliased as `r`.
+ */
+function buildStorePriceSql() {
+    const cases = Object.entries(exchangeRates).map(([code, rate]) => {
+        const factor = 10 ** getCurrencyDecimals(STORE_CURRENCY) / (10 ** getCurrencyDecimals(code) * rate);
+        return Prisma.sql`WHEN ${code} THEN round(r."price" * ${factor}::numeric)::int`;
+    });
+    return Prisma.sql`(CASE upper(r."currency") ${Prisma.join(cases, ' ')} END)`;
+}
+
+const STORE_PRICE_SQL = buildStorePriceSql();
+
+/**
+ * Reads a multi-select query parameter given as repeated parameters (`?genre=Rock&genre=Jazz`).
+ * Values are not split on commas, since Discogs names contain them ("Folk, World, & Country").
+ * @param {string|string[]|undefined} value
+ * @param {boolean} [splitCommas=false] - Also split single values on commas (for numeric lists).
+ * @returns {string[]}
+ */
+function parseList(value, splitCommas = false) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    const values = (Array.isArray(value) ? value : [value]).flatMap(v => (splitCommas ? String(v).split(',') : [v]));
+    return [...new Set(values.map(v => String(v).trim()).filter(Boolean))];
+}
+
+/**
+ * Reads an optional non-negative integer query parameter.
+ * @throws {Error} If the value is present but not a non-negative integer.
+ */
+function parseOptionalInt(value, name) {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`Invalid ${name}: must be a non-negative integer.`);
+    }
+    return number;
+}
+
+/**
+ * Parses the catalog filter query parameters.
+ * @param {object} query - Express `req.query`.
+ * @returns {object} Filters: one array per multi-select filter (genre, style, format, label, condition,
+ *          sleeveCondition), `decade` (e.g. [1970, 1980]), and optional yearMin, yearMax, priceMin, priceMax
+ *          (prices in the store currency's smallest unit).
+ * @throws {Error} If a value is invalid.
+ */
+function parseRecordFilters(query) {
+    const filters = {};
+    for (const name of Object.keys(MULTI_SELECT_FILTERS)) {
+        filters[name] = parseList(query[name]);
+    }
+
+    // Accept "1970", "1970s" or "70s", repeated or comma-separated
+    filters.decade = parseList(query.decade, true).map(value => {
+        const match = /^(\d{2}|\d{4})s?$/.exec(value);
+        const year = match ? parseInt(match[1], 10) : NaN;
+        const decade = match && match[1].length === 2 ? 1900 + year : year;
+        if (!Number.isInteger(decade) || decade % 10 !== 0) {
+            throw new Error(`Invalid decade '${value}': use e.g. 1970 or 1970s.`);
+        }
+        return decade;
+    });
+
+    filters.yearMin = parseOptionalInt(query.yearMin, 'yearMin');
+    filters.yearMax = parseOptionalInt(query.yearMax, 'yearMax');
+    filters.priceMin = parseOptionalInt(query.priceMin, 'priceMin');
+    filters.priceMax = parseOptionalInt(query.priceMax, 'priceMax');
+    if (filters.yearMin !== undefined && filters.yearMax !== undefined && filters.yearMin > filters.yearMax) {
+        throw new Error('Invalid year range: yearMin is greater than yearMax.');
+    }
+    if (filters.priceMin !== undefined && filters.priceMax !== undefined && filters.priceMin > filters.priceMax) {
+        throw new Error('Invalid price range: priceMin is greater than priceMax.');
+    }
+
+    return filters;
+}
+
+/**
+ * Parses the `sort` query parameter: one or more comma-separated `field:direction` keys,
+ * e.g. "artist:asc,year:desc". Direction defaults to asc (desc for relevance).
+ * @param {string|undefined} sort
+ * @param {object} options
+ * @param {boolean} options.searching - Whether a search query is given (default sort: relevance, else newest first).
+ * @returns {Array<{field: string, direction: 'asc'|'desc'}>}
+ * @throws {Error} If a key is invalid, repeated, or there are too many keys.
+ */
+function parseRecordSort(sort, { searching }) {
+    if (!sort || !String(sort).trim()) {
+        return [searching ? { field: 'relevance', direction: 'desc' } : { field: 'createdAt', direction: 'desc' }];
+    }
+
+    const keys = String(sort).split(',').map(key => key.trim()).filter(Boolean);
+    if (keys.length > MAX_SORT_KEYS) {
+        throw new Error(`Invalid sort: at most ${MAX_SORT_KEYS} sort keys are allowed.`);
+    }
+
+    const seen = new Set();
+    return keys.map(key => {
+        const [field, direction = field === 'relevance' ? 'desc' : 'asc'] = key.split(':');
+        if (!SORT_FIELDS.includes(field)) {
+            throw new Error(`Invalid sort field '${field}'. Allowed fields: ${SORT_FIELDS.join(', ')}.`);
+        }
+        if (field === 'relevance' && !searching) {
+            throw new Error('Invalid sort: relevance requires a search query (q).');
+        }
+        if (!['asc', 'desc'].includes(direction.toLowerCase())) {
+            throw new Error(`Invalid sort direction '${direction}' for ${field}: use asc or desc.`);
+        }
+        if (seen.has(field)) {
+            throw new Error(`Invalid sort: '${field}' is given more than once.`);
+        }
+        seen.add(field);
+        return { field, direction: direction.toLowerCase() };
+    });
+}
+
+/**
+ * Formats parsed sort keys back into the canonical `field:direction,...` form (used to tie cursors to a sort).
+ * @param {Array<{field: string, direction: string}>} sortKeys - From parseRecordSort.
+ * @returns {string}
+ */
+function formatSort(sortKeys) {
+    return sortKeys.map(({ field, direction }) => `${field}:${direction}`).join(',');
+}
+
+/**
+ * Builds the filters as SQL conditions, for the raw catalog queries (listing, search, facet counts).
+ * @param {object} filters - From parseRecordFilters.
+ * @param {object} [options]
+ * @param {string[]} [options.exclude] - Filter names to leave out (a facet's own filter when counting it;
+ *        'year' leaves out decade and the year range, 'price' the price range).
+ * @returns {Prisma.Sql[]} Conditions on the "Record" table aliased as `r`.
+ */
+function buildFilterConditions(filters, { exclude = [] } = {}) {
+    const conditions = [Prisma.sql`r."status" = 'FOR_SALE'`];
+    for (const [name, { column, isArray }] of Object.entries(MULTI_SELECT_FILTERS)) {
+        if (filters[name].length > 0 && !exclude.includes(name)) {
+            const columnSql = Prisma.raw(`r."${column}"`);
+            conditions.push(isArray
+                ? Prisma.sql`${columnSql} && ${filters[name]}::text[]`
+                : Prisma.sql`${columnSql} = ANY(${filters[name]}::text[])`);
+        }
+    }
+    if (!exclude.includes('decade') && !exclude.includes('year') && filters.decade.length > 0) {
+        conditions.push(Prisma.sql`(r."year" / 10) * 10 = ANY(${filters.decade}::int[])`);
+    }
+    if (!exclude.includes('year') && filters.yearMin !== undefined) {
+        conditions.push(Prisma.sql`r."year" >= ${filters.yearMin}`);
+    }
+    if (!exclude.includes('year') && filters.yearMax !== undefined) {
+        conditions.push(Prisma.sql`r."year" <= ${filters.yearMax}`);
+    }
+    if (!exclude.includes('price') && filters.priceMin !== undefined) {
+        conditions.push(Prisma.sql`${STORE_PRICE_SQL} >= ${filters.priceMin}`);
+    }
+    if (!exclude.includes('price') && filters.priceMax !== undefined) {
+        conditions.push(Prisma.sql`${STORE_PRICE_SQL} <= ${filters.priceMax}`);
+    }
+    return conditions;
+}
+
+module.exports = {
+    MULTI_SELECT_FILTERS,
+    STORE_PRICE_SQL,
+    parseRecordFilters,
+    parseRecordSort,
+    formatSort,
+    buildFilterConditions,
+};
@@ -0,0 +1,284 @@
+const prisma = require('../lib/prisma');
+const discogs = require('../lib/discogs');
+
+// Stored release data is refreshed after this many days
+const REFRESH_AFTER_DAYS = parseInt(process.env.DISCOGS_RELEASE_REFRESH_DAYS || '30', 10);
+// A release whose fetch failed is not tried again for this long
+const RETRY_FAILED_AFTER_MS = 24 * 60 * 60 * 1000;
+// Releases fetched per run; each one is a Discogs API call
+const DEFAULT_BATCH_SIZE = parseInt(process.env.DISCOGS_ENRICHMENT_BATCH_SIZE || '50', 10);
+// Records given tracks from already stored releases per run (no Discogs calls, so a larger batch)
+const DEFAULT_TRACK_FILL_BATCH_SIZE = 500;
+
+/**
+ * Strips the Discogs disambiguation suffix from an artist name ("Nirvana (2)" -> "Nirvana").
+ * @param {object} artist - A Discogs artist or extraartist entry.
+ * @returns {string}
+ */
+function artistName(artist) {
+    return (artist.anv || artist.name || '').replace(/\s\(\d+\)$/, '');
+}
+
+/**
+ * Joins Discogs track artists using their join phrases ("A", "&", "B" -> "A & B").
+ * @param {object[]|undefined} artists
+ * @returns {string|null}
+ */
+function formatArtists(artists) {
+    if (!Array.isArray(artists) || artists.length === 0) {
+        return null;
+    }
+    return artists
+        .map((artist, index) => {
+            const isLast = index === artists.length - 1;
+            const join = (artist.join || ',').trim();
+            return artistName(artist) + (isLast ? '' : join === ',' ? ', ' : ` ${join} `);
+        })
+        .join('');
+}
+
+/**
+ * Maps Discogs extraartists to stored credits.
+ * @param {object[]|undefined} extraArtists
+ * @returns {Array<{name: string, role: string, tracks: string|null}>}
+ */
+function mapCredits(extraArtists) {
+    return (extraArtists || []).map(artist => ({
+        name: artistName(artist),
+        role: artist.role || '',
+        tracks: artist.tracks || null,
+    }));
+}
+
+/**
+ * Parses a Discogs duration ("3:45" or "1:02:03") into seconds.
+ * @param {string|undefined} duration
+ * @returns {number|null} Null if the duration is empty or not in that format.
+ */
+function parseDuration(duration) {
+    if (!duration || !/^\d+(:\d{1,2}){1,2}$/.test(duration.trim())) {
+        return null;
+    }
+    return duration.trim().split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+/**
+ * Flattens a Discogs tracklist into stored tracks. Index tracks are followed by their sub-tracks.
+ * @param {object[]|undefined} tracklist - The `tracklist` of a Discogs release.
+ * @returns {object[]} Tracks in release order, with `sequence` set.
+ */
+function mapTracklist(tracklist) {
+    const tracks = [];
+    const addTrack = (track) => {
+        tracks.push({
+            sequence: tracks.length,
+            type: track.type_ || 'track',
+            position: track.position || '',
+            title: track.title || '',
+            artist: formatArtists(track.artists),
+            duration: track.duration || null,
+            durationSeconds: parseDuration(track.duration),
+            credits: track.extraartists ? mapCredits(track.extraartists) : null,
+        });
+        (track.sub_tracks || []).forEach(addTrack);
+    };
+    (tracklist || []).forEach(addTrack);
+    return tracks;
+}
+
+/**
+ * Maps a Discogs `/releases/:id` response to DiscogsRelease columns.
+ * @param {object} release - The Discogs release.
+ * @returns {object}
+ */
+function mapRelease(release) {
+    return {
+        title: release.title || null,
+        released: release.released || null,
+        releasedFormatted: release.released_formatted || null,
+        country: release.country || null,
+        notes: release.notes || null,
+        genres: release.genres || [],
+        styles: release.styles || [],
+        tracklist: mapTracklist(release.tracklist),
+        videos: (release.videos || []).map(video => ({
+            uri: video.uri,
+            title: video.title || null,
+            description: video.description || null,
+            duration: video.duration ?? null,
+            embed: Boolean(video.embed),
+        })),
+        credits: mapCredits(release.extraartists),
+        identifiers: (release.identifiers || []).map(identifier => ({
+            type: identifier.type,
+            value: identifier.value,
+            description: identifier.description || null,
+        })),
+        images: (release.images || []).map(image => ({
+            type: image.type,
+            uri: image.uri,
+            uri150: image.uri150 || null,
+            width: image.width ?? null,
+            height: image.height ?? null,
+        })),
+    };
+}
+
+/**
+ * Replaces the Track rows of every record of a release with the stored tracklist.
+ * @param {object} tx - Prisma client or transaction client.
+ * @param {BigInt} releaseId - The Discogs release ID.
+ * @param {object[]} tracklist - Tracks from mapTracklist.
+ * @param {string[]} [recordIds] - Only these records (default: all records of the release).
+ */
+async function replaceRecordTracks(tx, releaseId, tracklist, recordIds) {
+    const ids = recordIds || (await tx.record.findMany({
+        where: { discogsReleaseId: releaseId },
+        select: { id: true },
+    })).map(record => record.id);
+    if (ids.length === 0) {
+        return;
+    }
+
+    await tx.track.deleteMany({ where: { recordId: { in: ids } } });
+    if (tracklist.length > 0) {
+        await tx.track.createMany({
+            data: ids.flatMap(recordId => tracklist.map(track => ({
+                ...track,
+                credits: track.credits ?? undefined,
+                recordId,
+            }))),
+        });
+    }
+}
+
+/**
+ * Fetches a release from Discogs, stores it and rebuilds the tracklists of its records.
+ * A failed fetch is recorded on the DiscogsRelease row (previously stored data is kept).
+ * @param {BigInt|number|string} releaseId - The Discogs release ID.
+ * @returns {Promise<object>} The stored DiscogsRelease.
+ * @throws {Error} If the Discogs request fails.
+ */
+async function enrichRelease(releaseId) {
+    const id = BigInt(releaseId);
+
+    let data;
+    try {
+        // Skip the response cache (this is the refresh); low priority, as background work
+        data = mapRelease(await discogs.getRelease(id, { cache: false, priority: 'low' }));
+    } catch (error) {
+        const message = error.response?.data?.message || error.message;
+        await prisma.discogsRelease.upsert({
+            where: { id },
+            create: { id, lastError: message, lastErrorAt: new Date() },
+            update: { lastError: message, lastErrorAt: new Date() },
+        });
+        throw new Error(`Failed to fetch Discogs release ${id}: ${message}`);
+    }
+
+    return storeRelease(id, data);
+}
+
+/**
+ * Stores release data and rebuilds the tracklists of the release's records.
+ * @param {BigInt|number|string} releaseId - The Discogs release ID.
+ * @param {object} data - From mapRelease.
+ * @returns {Promise<object>} The stored DiscogsRelease.
+ */
+async function storeRelease(releaseId, data) {
+    const id = BigInt(releaseId);
+    const fetched = { ...data, fetchedAt: new Date(), lastError: null, lastErrorAt: null };
+    return prisma.$transaction(async (tx) => {
+        const release = await tx.discogsRelease.upsert({
+            where: { id },
+            create: { id, ...fetched },
+            update: fetched,
+        });
+        await replaceRecordTracks(tx, id, data.tracklist);
+        return release;
+    });
+}
+
+/**
+ * Fetches releases of records for sale that were never fetched or are due for a refresh,
+ * and fills in tracks for records whose release is already stored (e.g. a relisted copy).
+ * Called by the release enrichment job.
+ * @param {object} [options]
+ * @param {number} [options.limit] - Maximum number of releases to fetch from Discogs.
+ * @param {number} [options.trackFillLimit] - Maximum number of records to fill in tracks for.
+ * @returns {Promise<{fetched: number, failed: number, tracksFilled: number}>}
+ */
+async function enrichPendingReleases({ limit = DEFAULT_BATCH_SIZE, trackFillLimit = DEFAULT_TRACK_FILL_BATCH_SIZE } = {}) {
+    const staleBefore = new Date(Date.now() - REFRESH_AFTER_DAYS * 24 * 60 * 60 * 1000);
+    const retryBefore = new Date(Date.now() - RETRY_FAILED_AFTER_MS);
+
+    // Never-fetched releases first, then the oldest data
+    const pending = await prisma.$queryRaw`
+        SELECT r."discogsReleaseId" AS "releaseId"
+        FROM "Record" r
+        LEFT JOIN "DiscogsRelease" d ON d."id" = r."discogsReleaseId"
+        WHERE r."discogsReleaseId" IS NOT NULL
+          AND r."status" = 'FOR_SALE'
+          AND (d."id" IS NULL OR (
+              (d."fetchedAt" IS NULL OR d."fetchedAt" < ${staleBefore})
+              AND (d."lastErrorAt" IS NULL OR d."lastErrorAt" < ${retryBefore})
+          ))
+        GROUP BY r."discogsReleaseId", d."fetchedAt"
+        ORDER BY d."fetchedAt" ASC NULLS FIRST
+        LIMIT ${limit}
+    `;
+
+    let fetched = 0;
+    let failed = 0;
+    if (pending.length > 0) {
+        discogs.getDiscogsClient(); // Throws if the Discogs credentials are not configured
+        // One at a time: the client paces requests by the Discogs rate limit
+        for (const { releaseId } of pending) {
+            try {
+                await enrichRelease(releaseId);
+                fetched++;
+            } catch (error) {
+                failed++;
+                console.error(`Release Enrichment Error: ${error.message}`);
+            }
+        }
+    }
+
+    // Records for sale without tracks whose release data is already stored: copy it without calling Discogs.
+    // Releases stored with an empty tracklist are left out, or their records would be picked on every run.
+    const recordsWithoutTracks = await prisma.$queryRaw`
+        SELECT r."id", r."discogsReleaseId"
+        FROM "Record" r
+        JOIN "DiscogsRelease" d ON d."id" = r."discogsReleaseId"
+        WHERE r."status" = 'FOR_SALE'
+          AND d."fetchedAt" IS NOT NULL
+          AND jsonb_typeof(d."tracklist") = 'array' AND jsonb_array_length(d."tracklist") > 0
+          AND NOT EXISTS (SELECT 1 FROM "Track" t WHERE t."recordId" = r."id")
+        LIMIT ${trackFillLimit}
+    `;
+    const releases = recordsWithoutTracks.length > 0
+        ? await prisma.discogsRelease.findMany({
+            where: { id: { in: [...new Set(recordsWithoutTracks.map(record => record.discogsReleaseId))] } },
+            select: { id: true, tracklist: true },
+        })
+        : [];
+    let tracksFilled = 0;
+    for (const release of releases) {
+        const recordIds = recordsWithoutTracks
+            .filter(record => record.discogsReleaseId === release.id)
+            .map(record => record.id);
+        await prisma.$transaction(tx => replaceRecordTracks(tx, release.id, release.tracklist, recordIds));
+        tracksFilled += recordIds.length;
+    }
+
+    return { fetched, failed, tracksFilled };
+}
+
+module.exports = {
+    formatArtists,
+    mapRelease,
+    parseDuration,
+    enrichRelease,
+    storeRelease,
+    enrichPendingReleases,
+};
@@ -0,0 +1,257 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../lib/prisma');
+
+// Stripe only accepts Checkout Session expiry between 30 minutes and 24 hours from creation. The expiry
+// is fixed before the stock is held, so the minimum leaves a minute for the work done before the session
+// is created; otherwise Stripe would see less than 30 minutes and reject the session.
+const MIN_RESERVATION_MINUTES = 31;
+const MAX_RESERVATION_MINUTES = 24 * 60;
+
+const configuredMinutes = parseInt(process.env.CHECKOUT_RESERVATION_MINUTES || `${MIN_RESERVATION_MINUTES}`, 10);
+const RESERVATION_MINUTES = Number.isInteger(configuredMinutes)
+    ? Math.min(Math.max(configuredMinutes, MIN_RESERVATION_MINUTES), MAX_RESERVATION_MINUTES)
+    : MIN_RESERVATION_MINUTES;
+
+if (configuredMinutes !== RESERVATION_MINUTES) {
+    console.warn(`WARNING: CHECKOUT_RESERVATION_MINUTES must be between ${MIN_RESERVATION_MINUTES} and ${MAX_RESERVATION_MINUTES}. Using ${RESERVATION_MINUTES}.`);
+}
+
+// Delayed payment methods (e.g. SEPA Debit) can take days to settle after checkout completes
+const ASYNC_PAYMENT_RESERVATION_HOURS = parseInt(process.env.ASYNC_PAYMENT_RESERVATION_HOURS || '336', 10); // 14 days
+
+/**
+ * Returns the expiry time for a reservation created now.
+ * @returns {Date}
+ */
+function getReservationExpiry() {
+    return new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000);
+}
+
+/**
+ * Sums the active, unexpired holds per record.
+ * @param {string[]} recordIds - IDs of the records to check.
+ * @param {object} [options]
+ * @param {string} [options.excludeUserId] - Ignore holds belonging to this user (their own checkout).
+ * @param {object} [options.client=prisma] - Prisma client or transaction client.
+ * @returns {Promise<Map<string, number>>} Held quantity per record ID (records without holds are omitted).
+ */
+async function getHeldQuantities(recordIds, { excludeUserId, client = prisma } = {}) {
+    const heldByRecord = new Map();
+    if (!recordIds || recordIds.length === 0) {
+        return heldByRecord;
+    }
+
+    const holds = await client.stockReservation.groupBy({
+        by: ['recordId'],
+        where: {
+            recordId: { in: recordIds },
+            status: 'ACTIVE',
+            expiresAt: { gt: new Date() },
+            ...(excludeUserId ? { userId: { not: excludeUserId } } : {}),
+        },
+        _sum: { quantity: true },
+    });
+
+    holds.forEach(hold => heldByRecord.set(hold.recordId, hold._sum.quantity || 0));
+    return heldByRecord;
+}
+
+/**
+ * Adds `availableQuantity` (stock minus active holds) to each record.
+ * @param {object[]} records - Record objects from Prisma.
+ * @param {object} [options] - Passed through to getHeldQuantities.
+ * @returns {Promise<object[]>} The records with `availableQuantity` set.
+ */
+async function withAvailableQuantity(records, options = {}) {
+    const heldByRecord = await getHeldQuantities(records.map(record => record.id), options);
+    return records.map(record => ({
+        ...record,
+        availableQuantity: Math.max(0, record.quantity - (heldByRecord.get(record.id) || 0)),
+    }));
+}
+
+/**
+ * Reserves stock for the items of a checkout. Must run inside a transaction: the record rows are
+ * locked so two concurrent checkouts cannot both reserve the last copy.
+ * Any earlier active holds of the same user are released first, since a new checkout replaces them.
+ * @param {object} tx - Prisma transaction client.
+ * @param {string} userId - The ID of the user checking out.
+ * @param {Array<{recordId: string, quantity: number}>} items - Items to reserve.
+ * @param {Date} expiresAt - When the holds lapse.
+ * @returns {Promise<{reservations: object[], replacedCheckoutIds: string[]}>} The new holds, and the
+ *          Stripe Checkout Session IDs whose holds were replaced.
+ * @throws {Error} If a record is missing, not for sale, or does not have enough unreserved stock.
+ */
+async function reserveItems(tx, userId, items, expiresAt) {
+    const recordIds = items.map(item => item.recordId);
+
+    // Lock the record rows until the transaction ends
+    await tx.$queryRaw`SELECT "id" FROM "Record" WHERE "id" IN (${Prisma.join(recordIds)}) FOR UPDATE`;
+
+    const activeHolds = await tx.stockReservation.findMany({
+        where: { userId, status: 'ACTIVE' },
+        select: { id: true, stripeCheckoutId: true },
+    });
+    // Holds of a completed checkout awaiting a delayed payment belong to an order and must stay
+    const checkoutIdsWithOrders = new Set((await tx.order.findMany({
+        where: { stripeCheckoutId: { in: activeHolds.map(hold => hold.stripeCheckoutId).filter(Boolean) } },
+        select: { stripeCheckoutId: true },
+    })).map(order => order.stripeCheckoutId));
+    const previousHolds = activeHolds.filter(hold => !checkoutIdsWithOrders.has(hold.stripeCheckoutId));
+
+    if (previousHolds.length > 0) {
+        await tx.stockReservation.updateMany({
+            where: { id: { in: previousHolds.map(hold => hold.id) } },
+            data: { status: 'RELEASED', releasedAt: new Date() },
+        });
+        console.log(`Released ${previousHolds.length} earlier reservation(s) of user ${userId} for a new checkout.`);
+    }
+
+    const records = await tx.record.findMany({
+        where: { id: { in: recordIds } },
+        select: { id: true, title: true, quantity: true, status: true },
+    });
+    const recordMap = new Map(records.map(record => [record.id, record]));
+    const heldByRecord = await getHeldQuantities(recordIds, { client: tx });
+
+    const reservations = [];
+    for (const item of items) {
+        const record = recordMap.get(item.recordId);
+        if (!record || record.status !== 'FOR_SALE') {
+            throw new Error(`Item '${record ? record.title : item.recordId}' is no longer available for sale. Please remove it from your cart.`);
+        }
+
+        const available = record.quantity - (heldByRecord.get(record.id) || 0);
+        if (available < item.quantity) {
+            throw new Error(`Insufficient stock for '${record.title}'. Only ${Math.max(0, available)} available. Please update your cart.`);
+        }
+
+        reservations.push(await tx.stockReservation.create({
+            data: {
+                recordId: record.id,
+                userId,
+                quantity: item.quantity,
+                expiresAt,
+            },
+        }));
+    }
+
+    const replacedCheckoutIds = previousHolds
+        .map(hold => hold.stripeCheckoutId)
+        .filter(Boolean);
+
+    return { reservations, replacedCheckoutIds: [...new Set(replacedCheckoutIds)] };
+}
+
+/**
+ * Links reservations to the Stripe Checkout Session created for them.
+ * @param {string[]} reservationIds - IDs of the reservations.
+ * @param {string} checkoutId - Stripe Checkout Session ID.
+ */
+async function attachCheckoutSession(reservationIds, checkoutId) {
+    await prisma.stockReservation.updateMany({
+        where: { id: { in: reservationIds } },
+        data: { stripeCheckoutId: checkoutId },
+    });
+}
+
+/**
+ * Releases holds by ID, e.g. when creating the Stripe session failed.
+ * @param {string[]} reservationIds - IDs of the reservations.
+ * @returns {Promise<number>} Number of holds released.
+ */
+async function releaseReservations(reservationIds) {
+    const result = await prisma.stockReservation.updateMany({
+        where: { id: { in: reservationIds }, status: 'ACTIVE' },
+        data: { status: 'RELEASED', releasedAt: new Date() },
+    });
+    return result.count;
+}
+
+/**
+ * Releases the active holds of a Stripe Checkout Session (expired or cancelled checkout).
+ * @param {string} checkoutId - Stripe Checkout Session ID.
+ * @param {object} [client=prisma] - Prisma client or transaction client.
+ * @returns {Promise<number>} Number of holds released.
+ */
+async function releaseReservationsForSession(checkoutId, client = prisma) {
+    const result = await client.stockReservation.updateMany({
+        where: { stripeCheckoutId: checkoutId, status: 'ACTIVE' },
+        data: { status: 'RELEASED', releasedAt: new Date() },
+    });
+    if (result.count > 0) {
+        console.log(`Released ${result.count} reservation(s) for checkout session ${checkoutId}.`);
+    }
+    return result.count;
+}
+
+/**
+ * Marks the holds of a paid Stripe Checkout Session as committed. Call inside the transaction
+ * that deducts the stock from the records, so the held quantity isn't counted twice.
+ * @param {object} tx - Prisma transaction client.
+ * @param {string} checkoutId - Stripe Checkout Session ID.
+ * @returns {Promise<number>} Number of holds committed.
+ */
+async function commitReservationsForSession(tx, checkoutId) {
+    const result = await tx.stockReservation.updateMany({
+        where: { stripeCheckoutId: checkoutId, status: 'ACTIVE' },
+        data: { status: 'COMMITTED' },
+    });
+    return result.count;
+}
+
+/**
+ * Keeps the holds of a completed-but-unpaid checkout (delayed payment method) active until the
+ * payment settles or fails. Call inside the transaction that creates the pending order.
+ * @param {object} tx - Prisma transaction client.
+ * @param {string} checkoutId - Stripe Checkout Session ID.
+ * @returns {Promise<number>} Number of holds extended.
+ */
+async function extendReservationsForAsyncPayment(tx, checkoutId) {
+    const result = await tx.stockReservation.updateMany({
+        where: { stripeCheckoutId: checkoutId, status: 'ACTIVE' },
+        data: { expiresAt: new Date(Date.now() + ASYNC_PAYMENT_RESERVATION_HOURS * 60 * 60 * 1000) },
+    });
+    return result.count;
+}
+
+/**
+ * Finds the user who owns the reservations of a checkout session.
+ * @param {string} checkoutId - Stripe Checkout Session ID.
+ * @returns {Promise<string|null>} The user ID, or null if the session has no reservations.
+ */
+async function getReservationOwner(checkoutId) {
+    const reservation = await prisma.stockReservation.findFirst({
+        where: { stripeCheckoutId: checkoutId },
+        select: { userId: true },
+    });
+    return reservation ? reservation.userId : null;
+}
+
+/**
+ * Releases every active hold whose expiry has passed. Run periodically by the reservation cleanup job,
+ * so stock frees up even if Stripe's expiry webhook is delayed or missed.
+ * @returns {Promise<number>} Number of holds released.
+ */
+async function releaseExpiredReservations() {
+    const result = await prisma.stockReservation.updateMany({
+        where: { status: 'ACTIVE', expiresAt: { lte: new Date() } },
+        data: { status: 'RELEASED', releasedAt: new Date() },
+    });
+    return result.count;
+}
+
+module.exports = {
+    RESERVATION_MINUTES,
+    getReservationExpiry,
+    getHeldQuantities,
+    withAvailableQuantity,
+    reserveItems,
+    attachCheckoutSession,
+    releaseReservations,
+    releaseReservationsForSession,
+    commitReservationsForSession,
+    extendReservationsForAsyncPayment,
+    getReservationOwner,
+    releaseExpiredReservations,
+};
@@ -0,0 +1,361 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../lib/prisma');
+const { MULTI_SELECT_FILTERS, STORE_PRICE_SQL, buildFilterConditions } = require('./recordFilterService');
+const { STORE_CURRENCY } = require('../lib/currency');
+
+// Minimum word similarity (0-1) for a typo-tolerant trigram match, e.g. "beatels" -> "beatles"
+const SIMILARITY_THRESHOLD = 0.4;
+
+// Which tsvector weights (see the add_record_search migration) and which text a category searches
+const CATEGORY_SCOPES = {
+    everything: { weights: '', trigramText: Prisma.raw('r."searchText"') },
+    releases: { weights: 'AD', trigramText: Prisma.raw('lower(r."title")') }, // Titles and track titles
+    artists: { weights: 'B', trigramText: Prisma.raw('lower(r."artist")') },
+    labels: { weights: 'C', trigramText: Prisma.raw('lower(coalesce(r."label", \'\'))') }, // Labels and catalog numbers
+};
+
+// Columns the catalog can be sorted on (see recordFilterService.parseRecordSort); relevance is the search rank.
+// `type` is what a cursor must hold for the key (dates as ISO strings).
+const SORT_COLUMNS = {
+    title: { sql: Prisma.raw('r."title"'), type: 'string' },
+    artist: { sql: Prisma.raw('r."artist"'), type: 'string' },
+    year: { sql: Prisma.raw('r."year"'), type: 'integer' },
+    price: { sql: STORE_PRICE_SQL, type: 'integer' }, // In the store currency, so listings in different currencies sort together
+    createdAt: { sql: Prisma.raw('r."createdAt"'), type: 'date', isDate: true },
+};
+
+// Checks a cursor value against the type of its sort key; null stands for a record without a value
+const CURSOR_VALUE_CHECKS = {
+    string: value => typeof value === 'string',
+    integer: value => Number.isInteger(value),
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    date: value => typeof value === 'string' && !Number.isNaN(Date.parse(value)),
+};
+
+// Maximum number of values returned per facet
+const FACET_LIMIT = 100;
+
+// ts_headline markers; replaced with <mark> after the snippet text is HTML-escaped
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+
+/**
+ * Normalizes a catalog number for matching: lower-case letters and digits only.
+ * @param {string} value - e.g. "ABC-123".
+ * @returns {string} e.g. "abc123".
+ */
+function normalizeCatalogNumber(value) {
+    return String(value || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Builds a prefix-matching tsquery from free text: every word must match, the last one as a prefix
+ * so results show up while the customer is still typing.
+ * @param {string} q - The search text.
+ * @param {string} [weights=''] - tsvector weights to restrict the match to (e.g. 'B' for artists).
+ * @returns {string|null} A to_tsquery expression, or null if the text has no searchable words.
+ */
+function buildTsQuery(q, weights = '') {
+    const words = String(q || '').toLowerCase().match(/[\p{L}\p{N}]+/gu);
+    if (!words) {
+        return null;
+    }
+    return words.map(word => `${word}:*${weights}`).join(' & ');
+}
+
+/**
+ * HTML-escapes a ts_headline snippet and turns its markers into <mark> tags.
+ * @param {string|null} snippet
+ * @returns {string|null}
+ */
+function formatSnippet(snippet) {
+    if (!snippet) {
+        return null;
+    }
+    return snippet
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .split(HIGHLIGHT_START).join('<mark>')
+        .split(HIGHLIGHT_STOP).join('</mark>');
+}
+
+/**
+ * Builds the SQL that decides whether and how well a record matches the search text.
+ * A record matches on words (full-text), on similar text (typos, via trigrams), or on its catalog number.
+ * The trigram condition relies on the similarity threshold set by runWithSearchSettings.
+ * @param {string} q - The search text.
+ * @param {string} [category='everything'] - 'everything', 'releases', 'artists' or 'labels'.
+ * @returns {{condition: Prisma.Sql, rank: Prisma.Sql, headlineQuery: string|null}}
+ */
+function buildSearchMatch(q, category = 'everything') {
+    const scope = CATEGORY_SCOPES[String(category).toLowerCase()] || CATEGORY_SCOPES.everything;
+    const text = String(q).trim().toLowerCase();
+    const tsQuery = buildTsQuery(text, scope.weights);
+    const catalogQuery = normalizeCatalogNumber(text);
+
+    const matchConditions = [Prisma.sql`${text} <% ${scope.trigramText}`];
+    if (tsQuery) {
+        matchConditions.push(Prisma.sql`r."searchVector" @@ to_tsquery('simple', ${tsQuery})`);
+    }
+    if (catalogQuery.length >= 3) {
+        matchConditions.push(Prisma.sql`r."catalogNumberNormalized" LIKE ${`${catalogQuery}%`}`);
+    }
+
+    // Exact catalog number hits first, then full-text rank (title > artist > label > notes/tracks), then similarity
+    const rank = Prisma.sql`(
+        CASE WHEN r."catalogNumberNormalized" = ${catalogQuery} THEN 1 ELSE 0 END
+        + ${tsQuery ? Prisma.sql`ts_rank_cd('{0.1, 0.3, 0.6, 1.0}', r."searchVector", to_tsquery('simple', ${tsQuery}))` : Prisma.sql`0`}
+        + word_similarity(${text}, ${scope.trigramText}) * 0.5
+    )`;
+
+    return {
+        condition: Prisma.sql`(${Prisma.join(matchConditions, ' OR ')})`,
+        rank,
+        headlineQuery: buildTsQuery(text),
+    };
+}
+
+/**
+ * Runs raw queries in one transaction with the search's trigram similarity threshold.
+ * @param {Prisma.PrismaPromise[]} queries
+ * @returns {Promise<any[]>} The results of `queries`, in order.
+ */
+async function runWithSearchSettings(queries) {
+    const [, ...results] = await prisma.$transaction([
+        // set_config(..., true) applies to this transaction only
+        prisma.$queryRaw`SELECT set_config('pg_trgm.word_similarity_threshold', ${String(SIMILARITY_THRESHOLD)}, true)`,
+        ...queries,
+    ]);
+    return results;
+}
+
+/**
+ * Builds the keyset condition "the row comes after the cursor row" for a multi-key sort with NULLS LAST.
+ * For keys k1..kn this is: k1 after c1, or k1 = c1 and k2 after c2, and so on.
+ * @param {Array<{sql: Prisma.Sql, direction: string}>} keys - Sort keys, ending with the unique id.
+ * @param {any[]} values - The cursor row's value for each key.
+ * @returns {Prisma.Sql}
+ */
+function buildKeysetCondition(keys, values) {
+    const equals = (key, value) => (value === null ? Prisma.sql`${key.sql} IS NULL` : Prisma.sql`${key.sql} = ${value}`);
+    const after = (key, value) => {
+        if (value === null) {
+            return null; // Nulls sort last: nothing comes after a null except ties on the next keys
+        }
+        return key.direction === 'asc'
+            ? Prisma.sql`(${key.sql} > ${value} OR ${key.sql} IS NULL)`
+            : Prisma.sql`(${key.sql} < ${value} OR ${key.sql} IS NULL)`;
+    };
+
+    const branches = keys
+        .map((key, index) => {
+            const afterKey = after(key, values[index]);
+            if (!afterKey) {
+                return null;
+            }
+            const ties = keys.slice(0, index).map((previous, i) => equals(previous, values[i]));
+            return Prisma.sql`(${Prisma.join([...ties, afterKey], ' AND ')})`;
+        })
+        .filter(Boolean);
+
+    return branches.length > 0 ? Prisma.sql`(${Prisma.join(branches, ' OR ')})` : Prisma.sql`FALSE`;
+}
+
+/**
+ * Returns one page of the catalog: records for sale matching the filters and, if given, the search text.
+ * Search covers title, artist, label, catalog number, notes and track titles, with typo tolerance
+ * and punctuation-insensitive catalog numbers (see buildSearchMatch).
+ * Every sort ends with the record ID, so the order is total and pages never overlap or skip records.
+ * @param {object} options
+ * @param {string|null} [options.q] - The search text.
+ * @param {string} [options.category='everything'] - 'everything', 'releases', 'artists' or 'labels'.
+ * @param {object} options.filters - From recordFilterService.parseRecordFilters.
+ * @param {Array<{field: string, direction: string}>} options.sort - From recordFilterService.parseRecordSort.
+ * @param {any[]|null} [options.after] - Sort key values of the last record of the previous page (keyset pagination).
+ * @param {number} [options.offset=0] - Records to skip (page-number pagination); ignored with `after`.
+ * @param {number} options.take - Page size.
+ * @returns {Promise<{total: number, results: Array<{id: string, rank: number|null, snippet: string|null}>, next: any[]|null}>}
+ *          `next` holds the sort key values to continue after this page, or null on the last page.
+ * @throws {Error} If `after` does not hold one value of the right type per sort key (an invalid cursor).
+ */
+async function listRecordPage({ q = null, category = 'everything', filters, sort, after = null, offset = 0, take }) {
+    const match = q ? buildSearchMatch(q, category) : null;
+    const keys = [
+        ...sort.map(({ field, direction }) => ({
+            direction,
+            // The rank is compared against cursor values from JSON, so use float8 to round-trip exactly
+            sql: field === 'relevance' ? Prisma.sql`(${match.rank})::float8` : SORT_COLUMNS[field].sql,
+            type: field === 'relevance' ? 'number' : SORT_COLUMNS[field].type,
+            isDate: Boolean(SORT_COLUMNS[field]?.isDate),
+        })),
+        { direction: 'asc', sql: Prisma.raw('r."id"'), type: 'string', isDate: false, required: true },
+    ];
+    // Cursors come from the client: one value per key, of the key's type, so a tampered one is a 400, not a SQL error
+    if (after && (after.length !== keys.length || keys.some((key, i) => (
+        after[i] === null ? key.required : !CURSOR_VALUE_CHECKS[key.type](after[i])
+    )))) {
+        throw new Error('Invalid cursor.');
+    }
+
+    const conditions = [...buildFilterConditions(filters), ...(match ? [match.condition] : [])];
+    const pageConditions = after
+        ? [...conditions, buildKeysetCondition(keys, after.map((value, i) => (
+            keys[i].isDate && value !== null ? Prisma.sql`${value}::timestamp(3)` : value
+        )))]
+        : conditions;
+
+    const keyColumns = Prisma.join(keys.map((key, i) => Prisma.sql`${key.sql} AS ${Prisma.raw(`"k${i}"`)}`), ', ');
+    const orderBy = (column) => Prisma.join(
+        keys.map((key, i) => Prisma.sql`${column(key, i)} ${Prisma.raw(key.direction === 'asc' ? 'ASC' : 'DESC')} NULLS LAST`),
+        ', '
+    );
+    const snippetSql = match && match.headlineQuery
+        ? Prisma.sql`ts_headline('simple',
+              concat_ws(' · ', r."artist", r."title", r."label", r."catalogNumber",
+                  (SELECT string_agg(t."title", ', ') FROM "Track" t WHERE t."recordId" = r."id"), r."notes"),
+              to_tsquery('simple', ${match.headlineQuery}),
+              ${`StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxFragments=2, MaxWords=18, MinWords=6, FragmentDelimiter=" … "`})`
+        : Prisma.sql`NULL`;
+
+    const queries = [
+        // One row more than the page size tells whether there is a next page.
+        // Snippets are only built for the rows on the page.
+        prisma.$queryRaw`
+            WITH page AS (
+                SELECT r."id", ${keyColumns}, ${match ? match.rank : Prisma.sql`NULL`} AS "rank"
+                FROM "Record" r
+                WHERE ${Prisma.join(pageConditions, ' AND ')}
+                ORDER BY ${orderBy(key => key.sql)}
+                LIMIT ${take + 1} OFFSET ${after ? 0 : offset}
+            )
+            SELECT p.*, ${snippetSql} AS "snippet"
+            FROM page p
+            JOIN "Record" r ON r."id" = p."id"
+            ORDER BY ${orderBy((key, i) => Prisma.raw(`p."k${i}"`))}
+        `,
+        prisma.$queryRaw`SELECT COUNT(*) AS "count" FROM "Record" r WHERE ${Prisma.join(conditions, ' AND ')}`,
+    ];
+    const [rows, [{ count }]] = match ? await runWithSearchSettings(queries) : await prisma.$transaction(queries);
+
+    const pageRows = rows.slice(0, take);
+    const lastRow = pageRows[pageRows.length - 1];
+    const next = rows.length > take
+        ? keys.map((key, i) => {
+            const value = lastRow[`k${i}`];
+            return value instanceof Date ? value.toISOString() : value;
+        })
+        : null;
+
+    return {
+        total: Number(count),
+        results: pageRows.map(row => ({
+            id: row.id,
+            rank: row.rank === null ? null : Number(row.rank),
+            snippet: formatSnippet(row.snippet),
+        })),
+        next,
+    };
+}
+
+/**
+ * Counts, for each filter value, how many records match under the current filters and search.
+ * Each facet ignores its own selection, so the counts show what selecting another value would give.
+ * @param {object} filters - From recordFilterService.parseRecordFilters.
+ * @param {object} [options]
+ * @param {string} [options.q] - Search text, if searching.
+ * @param {string} [options.category] - Search category.
+ * @returns {Promise<object>} `{genre, style, format, label, condition, sleeveCondition, decade}` as arrays of
+ *          `{value, count}` (most common first, at most FACET_LIMIT each), plus `year` and `price` as `{min, max}`.
+ */
+async function getRecordFacets(filters, { q, category } = {}) {
+    const match = q && String(q).trim() ? buildSearchMatch(q, category) : null;
+    const whereExcluding = (exclude) => Prisma.join(
+        [...buildFilterConditions(filters, { exclude }), ...(match ? [match.condition] : [])],
+        ' AND '
+    );
+
+    const facetNames = Object.keys(MULTI_SELECT_FILTERS);
+    const queries = facetNames.map(name => {
+        const { column, isArray } = MULTI_SELECT_FILTERS[name];
+        const columnSql = Prisma.raw(`r."${column}"`);
+        return isArray
+            ? prisma.$queryRaw`
+                SELECT v AS "value", COUNT(*)::int AS "count"
+                FROM "Record" r CROSS JOIN LATERAL unnest(${columnSql}) AS v
+                WHERE ${whereExcluding([name])}
+                GROUP BY v ORDER BY "count" DESC, v LIMIT ${FACET_LIMIT}`
+            : prisma.$queryRaw`
+                SELECT ${columnSql} AS "value", COUNT(*)::int AS "count"
+                FROM "Record" r
+                WHERE ${whereExcluding([name])} AND ${columnSql} IS NOT NULL
+                GROUP BY ${columnSql} ORDER BY "count" DESC, ${columnSql} LIMIT ${FACET_LIMIT}`;
+    });
+    queries.push(
+        prisma.$queryRaw`
+            SELECT (r."year" / 10) * 10 AS "value", COUNT(*)::int AS "count"
+            FROM "Record" r
+            WHERE ${whereExcluding(['decade'])} AND r."year" IS NOT NULL AND r."year" > 0
+            GROUP BY 1 ORDER BY 1`,
+        prisma.$queryRaw`
+            SELECT MIN(r."year") AS "min", MAX(r."year") AS "max"
+            FROM "Record" r
+            WHERE ${whereExcluding(['year'])} AND r."year" > 0`,
+        prisma.$queryRaw`
+            SELECT MIN(${STORE_PRICE_SQL}) AS "min", MAX(${STORE_PRICE_SQL}) AS "max"
+            FROM "Record" r
+            WHERE ${whereExcluding(['price'])}`
+    );
+
+    const results = match ? await runWithSearchSettings(queries) : await prisma.$transaction(queries);
+    const [decadeRows, [yearRange], [priceRange]] = results.slice(facetNames.length);
+
+    const facets = {};
+    facetNames.forEach((name, index) => {
+        facets[name] = results[index];
+    });
+    facets.decade = decadeRows;
+    facets.year = { min: yearRange.min, max: yearRange.max };
+    facets.price = { min: priceRange.min, max: priceRange.max, currency: STORE_CURRENCY };
+    return facets;
+}
+
+/**
+ * Finds records for sale that are similar to a record: same artist, shared styles and genres, same label.
+ * Used to suggest alternatives for a record that is no longer available.
+ * @param {object} record - The record (`id`, `artist`, `label`, `genre`, `style`).
+ * @param {object} [options]
+ * @param {number} [options.limit=6]
+ * @returns {Promise<string[]>} Record IDs, most similar first.
+ */
+async function findSimilarRecordIds(record, { limit = 6 } = {}) {
+    const genres = record.genre || [];
+    const styles = record.style || [];
+    const rows = await prisma.$queryRaw`
+        SELECT r."id"
+        FROM "Record" r
+        WHERE r."status" = 'FOR_SALE'
+          AND r."id" <> ${record.id}
+          AND (lower(r."artist") = lower(${record.artist})
+            OR r."style" && ${styles}::text[]
+            OR r."genre" && ${genres}::text[]
+            OR r."label" = ${record.label})
+        ORDER BY
+            (CASE WHEN lower(r."artist") = lower(${record.artist}) THEN 4 ELSE 0 END
+            + 2 * cardinality(ARRAY(SELECT unnest(r."style") INTERSECT SELECT unnest(${styles}::text[])))
+            + cardinality(ARRAY(SELECT unnest(r."genre") INTERSECT SELECT unnest(${genres}::text[])))
+            + CASE WHEN r."label" = ${record.label} THEN 1 ELSE 0 END) DESC,
+            r."createdAt" DESC
+        LIMIT ${limit}
+    `;
+    return rows.map(row => row.id);
+}
+
+module.exports = {
+    normalizeCatalogNumber,
+    buildTsQuery,
+    listRecordPage,
+    getRecordFacets,
+    findSimilarRecordIds,
+};
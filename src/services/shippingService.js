@@ -0,0 +1,112 @@
+const { shippingConfig, allowedCountries } = require('../config/shipping');
+const { STORE_CURRENCY, convertAmount, normalizeCurrency } = require('../lib/currency');
+
+/**
+ * Finds the shipping zone a country belongs to.
+ * @param {string} country - Two-letter ISO country code.
+ * @returns {object|null} The zone, or null if we don't ship to the country.
+ */
+function getZoneForCountry(country) {
+    const code = String(country || '').trim().toUpperCase();
+    if (!allowedCountries.includes(code)) {
+        return null;
+    }
+    return shippingConfig.zones.find(zone => zone.countries.includes(code)) || null;
+}
+
+/**
+ * Calculates the parcel weight of a set of items, in grams.
+ * Records without a weight count as `defaultItemWeight`.
+ * @param {Array<{record: {weight: number|null}, quantity: number}>} items - Items with their record.
+ * @returns {number} The total weight including packaging.
+ */
+function calculateParcelWeight(items) {
+    const itemsWeight = items.reduce((sum, item) => {
+        const weight = item.record.weight > 0 ? item.record.weight : shippingConfig.defaultItemWeight;
+        return sum + weight * item.quantity;
+    }, 0);
+    return itemsWeight + shippingConfig.packagingWeight;
+}
+
+/**
+ * Converts a rate-table amount into the store currency, since Stripe charges shipping in the
+ * currency of the checkout.
+ * @param {number} amount - Amount in the smallest unit of the rate table's currency.
+ * @returns {number} Amount in the smallest unit of the store currency.
+ */
+function toStoreCurrency(amount) {
+    return convertAmount(amount, normalizeCurrency(shippingConfig.currency) || STORE_CURRENCY, STORE_CURRENCY);
+}
+
+/**
+ * Returns the shipping options for a parcel sent to a country, cheapest first.
+ * A rate is left out if the parcel is heavier than its largest weight bracket.
+ * @param {string} country - Two-letter ISO country code.
+ * @param {Array<{record: {weight: number|null}, quantity: number}>} items - Items with their record.
+ * @returns {{country: string, zone: {id: string, name: string}, weight: number, options: object[]}}
+ * @throws {Error} If we don't ship to the country, or no rate covers the parcel weight.
+ */
+function getShippingOptions(country, items) {
+    const zone = getZoneForCountry(country);
+    if (!zone) {
+        throw new Error(`Shipping to '${country}' is not available. Supported countries: ${allowedCountries.join(', ')}.`);
+    }
+
+    const weight = calculateParcelWeight(items);
+    const options = zone.rates
+        .map(rate => {
+            const bracket = rate.brackets.find(b => weight <= b.maxWeight);
+            if (!bracket) {
+                return null;
+            }
+            return {
+                id: `${zone.id}:${rate.id}`,
+                name: rate.name,
+                amount: toStoreCurrency(bracket.amount),
+                currency: STORE_CURRENCY.toLowerCase(),
+                deliveryDays: rate.deliveryDays || null,
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.amount - b.amount);
+
+    if (options.length === 0) {
+        throw new Error(`No shipping option is available for a parcel of ${weight} g to '${country}'. Please contact us to arrange shipping.`);
+    }
+
+    return {
+        country: String(country).trim().toUpperCase(),
+        zone: { id: zone.id, name: zone.name },
+        weight,
+        options,
+    };
+}
+
+/**
+ * Formats shipping options as Stripe Checkout `shipping_options` (at most 5 are allowed).
+ * @param {object[]} options - Options returned by getShippingOptions.
+ * @returns {object[]}
+ */
+function toStripeShippingOptions(options) {
+    return options.slice(0, 5).map(option => ({
+        shipping_rate_data: {
+            type: 'fixed_amount',
+            display_name: option.name,
+            fixed_amount: { amount: option.amount, currency: option.currency },
+            ...(option.deliveryDays ? {
+                delivery_estimate: {
+                    minimum: { unit: 'business_day', value: option.deliveryDays[0] },
+                    maximum: { unit: 'business_day', value: option.deliveryDays[1] },
+                },
+            } : {}),
+            metadata: { shippingOptionId: option.id },
+        },
+    }));
+}
+
+module.exports = {
+    getZoneForCountry,
+    calculateParcelWeight,
+    getShippingOptions,
+    toStripeShippingOptions,
+};
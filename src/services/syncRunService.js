@@ -0,0 +1,208 @@
+const prisma = require('../lib/prisma');
+const { parsePagination } = require('../lib/pagination');
+
+const SYNC_TRIGGERS = ['startup', 'cron', 'manual'];
+// 'previewed': a dry run's diff, not applied. 'awaiting_confirmation': a sync that held back its archiving.
+// Either becomes 'applied' once an admin applies its diff.
+const SYNC_RUN_STATUSES = ['running', 'succeeded', 'failed', 'interrupted', 'previewed', 'awaiting_confirmation', 'applied'];
+// A running run without progress for this long was interrupted (e.g. the process died) and no longer holds the lock.
+// Generous, as a low-priority inventory page can wait in the Discogs queue behind other requests.
+const STALE_RUN_MS = 15 * 60 * 1000;
+// Per-listing failures stored on a run; the counts cover all of them
+const MAX_RECORDED_FAILURES = 200;
+
+const DEFAULT_RUNS_PER_PAGE = 20;
+const MAX_RUNS_PER_PAGE = 100;
+
+/**
+ * Marks runs that stopped reporting progress as interrupted, releasing the lock they held.
+ * @returns {Promise<number>} The number of runs marked.
+ */
+async function expireStaleRuns() {
+    const { count } = await prisma.syncRun.updateMany({
+        where: { status: 'running', heartbeatAt: { lt: new Date(Date.now() - STALE_RUN_MS) } },
+        data: {
+            status: 'interrupted',
+            finishedAt: new Date(),
+            errorMessage: `No progress for ${STALE_RUN_MS / 60000} minutes; the process running it probably stopped.`,
+        },
+    });
+    return count;
+}
+
+/**
+ * Records the start of an inventory sync and takes the sync lock: only one run can be running at a time.
+ * @param {object} options
+ * @param {string} options.trigger - 'startup', 'cron' or 'manual'.
+ * @param {string} options.requestedMode - 'auto', 'incremental', 'full' or 'apply'.
+ * @param {string} [options.triggeredById] - User who started a manual run.
+ * @param {boolean} [options.dryRun=false] - The run only computes a diff.
+ * @param {string} [options.previewRunId] - The run whose diff this run applies.
+ * @returns {Promise<object>} The new SyncRun.
+ * @throws {Error} If another sync is already running (message contains 'already running').
+ */
+async function startSyncRun({ trigger, requestedMode, triggeredById = null, dryRun = false, previewRunId = null }) {
+    if (!SYNC_TRIGGERS.includes(trigger)) {
+        throw new Error(`Invalid sync trigger '${trigger}'.`);
+    }
+    await expireStaleRuns();
+
+    try {
+        return await prisma.syncRun.create({
+            data: { trigger, requestedMode, triggeredById, dryRun, previewRunId, status: 'running' },
+        });
+    } catch (error) {
+        if (error.code === 'P2002') { // Unique index on running runs: someone else holds the lock
+            const running = await prisma.syncRun.findFirst({ where: { status: 'running' } });
+            throw new Error(`An inventory sync is already running${running ? ` (run ${running.id}, started ${running.startedAt.toISOString()} by ${running.trigger})` : ''}.`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Saves the progress of a running sync (and proves it is still alive).
+ * @param {string} runId
+ * @param {object} progress - Any of mode, resumedFromPage, currentPage, totalPages, pagesFetched,
+ *   listingsFetched, created, updated, archived, mappingErrors, failures.
+ * @returns {Promise<void>}
+ */
+async function recordSyncProgress(runId, { failures, ...progress }) {
+    await prisma.syncRun.update({
+        where: { id: runId },
+        data: {
+            ...progress,
+            ...(failures ? { failures: failures.slice(0, MAX_RECORDED_FAILURES) } : {}),
+            heartbeatAt: new Date(),
+        },
+    });
+}
+
+/**
+ * Records the outcome of a sync and releases the lock. A successful run with a `diff` (a dry run, or
+ * archiving held back) ends as 'previewed' or 'awaiting_confirmation' until the diff is applied.
+ * @param {string} runId
+ * @param {object} result - The result of syncDiscogsInventory (`success`, counts, `diff`, `message` on failure).
+ * @returns {Promise<object>} The finished SyncRun.
+ */
+async function finishSyncRun(runId, { success, message, failures, diff, dryRun, awaitingConfirmation, ...progress }) {
+    const counts = Object.fromEntries(
+        ['mode', 'resumedFromPage', 'pagesFetched', 'listingsFetched', 'created', 'updated', 'archived', 'mappingErrors']
+            .filter(field => progress[field] !== undefined)
+            .map(field => [field, progress[field]])
+    );
+    return prisma.syncRun.update({
+        where: { id: runId },
+        data: {
+            ...counts,
+            ...(failures ? { failures: failures.slice(0, MAX_RECORDED_FAILURES) } : {}),
+            ...(diff ? { diff } : {}),
+            status: !success ? 'failed' : dryRun ? 'previewed' : awaitingConfirmation ? 'awaiting_confirmation' : 'succeeded',
+            errorMessage: success ? null : message || 'Unknown error',
+            finishedAt: new Date(),
+            heartbeatAt: new Date(),
+        },
+    });
+}
+
+/**
+ * Marks the diff of a previewed or held-back run as applied. Only succeeds once per run.
+ * @param {string} runId
+ * @returns {Promise<boolean>} False if the diff was already applied (or the run has none).
+ */
+async function claimPendingDiff(runId) {
+    const { count } = await prisma.syncRun.updateMany({
+        where: { id: runId, status: { in: ['previewed', 'awaiting_confirmation'] } },
+        data: { status: 'applied' },
+    });
+    return count === 1;
+}
+
+/**
+ * Puts a claimed diff back after applying it failed, so it can be applied again.
+ * @param {string} runId
+ * @param {string} status - The status the run had before claimPendingDiff.
+ * @returns {Promise<void>}
+ */
+async function restorePendingDiff(runId, status) {
+    await prisma.syncRun.updateMany({ where: { id: runId, status: 'applied' }, data: { status } });
+}
+
+/**
+ * Lists sync runs, newest first. Per-listing failures and diffs are left out; fetch a single run to see them.
+ * @param {object} [options]
+ * @param {string} [options.status] - Comma-separated statuses (e.g. "failed,interrupted").
+ * @param {string} [options.trigger] - 'startup', 'cron' or 'manual'.
+ * @param {number|string} [options.page=1] - 1-based page number.
+ * @param {number|string} [options.perPage=20] - Page size (capped at 100).
+ * @returns {Promise<{data: object[], pagination: object}>}
+ * @throws {Error} If the filters or pagination parameters are invalid.
+ */
+async function listSyncRuns({ status, trigger, page = 1, perPage = DEFAULT_RUNS_PER_PAGE } = {}) {
+    const { pageNum, take } = parsePagination(page, perPage, MAX_RUNS_PER_PAGE);
+
+    await expireStaleRuns();
+
+    const where = {};
+    if (status) {
+        const statuses = String(status).split(',').map(s => s.trim()).filter(Boolean);
+        const invalid = statuses.filter(s => !SYNC_RUN_STATUSES.includes(s));
+        if (invalid.length > 0) {
+            throw new Error(`Invalid sync run status filter: ${invalid.join(', ')}. Allowed values: ${SYNC_RUN_STATUSES.join(', ')}.`);
+        }
+        where.status = { in: statuses };
+    }
+    if (trigger) {
+        if (!SYNC_TRIGGERS.includes(trigger)) {
+            throw new Error(`Invalid sync trigger filter: ${trigger}. Allowed values: ${SYNC_TRIGGERS.join(', ')}.`);
+        }
+        where.trigger = trigger;
+    }
+
+    const [runs, totalRuns] = await prisma.$transaction([
+        prisma.syncRun.findMany({
+            where,
+            orderBy: [{ startedAt: 'desc' }, { id: 'desc' }],
+            skip: (pageNum - 1) * take,
+            take,
+            omit: { failures: true, diff: true },
+        }),
+        prisma.syncRun.count({ where }),
+    ]);
+
+    return {
+        data: runs,
+        pagination: {
+            totalRuns,
+            totalPages: Math.ceil(totalRuns / take),
+            currentPage: pageNum,
+            perPage: take,
+        },
+    };
+}
+
+/**
+ * Retrieves one sync run with its per-listing failures and diff.
+ * @param {string} runId
+ * @returns {Promise<object>}
+ * @throws {Error} If the run does not exist.
+ */
+async function getSyncRun(runId) {
+    await expireStaleRuns();
+    const run = await prisma.syncRun.findUnique({ where: { id: runId } });
+    if (!run) {
+        throw new Error('Sync run not found.');
+    }
+    return run;
+}
+
+module.exports = {
+    SYNC_TRIGGERS,
+    startSyncRun,
+    recordSyncProgress,
+    finishSyncRun,
+    claimPendingDiff,
+    restorePendingDiff,
+    listSyncRuns,
+    getSyncRun,
+};
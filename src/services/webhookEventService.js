@@ -0,0 +1,260 @@
+const prisma = require('../lib/prisma');
+const { parsePagination } = require('../lib/pagination');
+const webhookService = require('./webhookService');
+
+// Retry schedule for events that failed processing: 1 min, 2 min, 4 min, ... capped at 6 hours
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10);
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const RETRY_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+// An event stuck in 'processing' this long was interrupted (e.g. the process died) and can be picked up again
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+const DEFAULT_EVENTS_PER_PAGE = 20;
+const MAX_EVENTS_PER_PAGE = 100;
+const WEBHOOK_STATUSES = ['received', 'processing', 'processed', 'error', 'failed'];
+
+/**
+ * Returns when the next retry of an event should run.
+ * @param {number} attempts - Number of attempts made so far.
+ * @returns {Date}
+ */
+function getNextRetryAt(attempts) {
+    const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_DELAY_MS);
+    // Up to 10% jitter so a batch of failures doesn't retry in lockstep
+    const jitter = Math.floor(Math.random() * delay * 0.1);
+    return new Date(Date.now() + delay + jitter);
+}
+
+/**
+ * Stores a verified Stripe event. Deliveries of an event that is already stored are reported as duplicates.
+ * @param {Stripe.Event} event - The verified Stripe event object.
+ * @returns {Promise<{log: object, duplicate: boolean}>} The stored WebhookLog row.
+ */
+async function recordStripeEvent(event) {
+    try {
+        const log = await prisma.webhookLog.create({
+            data: {
+                source: 'stripe',
+                eventId: event.id,
+                eventType: event.type,
+                payload: event, // Store the whole event
+                processingStatus: 'received',
+            },
+        });
+        return { log, duplicate: false };
+    } catch (error) {
+        if (error.code === 'P2002') { // Unique constraint on eventId: Stripe delivered this event before
+            const log = await prisma.webhookLog.findUnique({ where: { eventId: event.id } });
+            return { log, duplicate: true };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Claims a stored event and runs it through handleStripeEvent, recording the outcome.
+ * Only one worker can claim an event at a time; an event that is already processed or being
+ * processed elsewhere is skipped.
+ * @param {string} logId - The ID of the WebhookLog row.
+ * @returns {Promise<{status: string, error?: string}>} 'processed', 'error', 'failed' or 'skipped'.
+ */
+async function processWebhookLog(logId) {
+    const staleBefore = new Date(Date.now() - STALE_PROCESSING_MS);
+    const claim = await prisma.webhookLog.updateMany({
+        where: {
+            id: logId,
+            OR: [
+                { processingStatus: { in: ['received', 'error'] } },
+                { processingStatus: 'processing', lastAttemptAt: { lt: staleBefore } },
+            ],
+        },
+        data: {
+            processingStatus: 'processing',
+            attempts: { increment: 1 },
+            lastAttemptAt: new Date(),
+        },
+    });
+    if (claim.count === 0) {
+        return { status: 'skipped' };
+    }
+
+    const log = await prisma.webhookLog.findUnique({ where: { id: logId } });
+
+    try {
+        await webhookService.handleStripeEvent(log.payload);
+        await prisma.webhookLog.update({
+            where: { id: logId },
+            data: {
+                processingStatus: 'processed',
+                processedAt: new Date(),
+                errorMessage: null,
+                nextRetryAt: null,
+            },
+        });
+        return { status: 'processed' };
+    } catch (error) {
+        const gaveUp = log.attempts >= MAX_ATTEMPTS;
+        await prisma.webhookLog.update({
+            where: { id: logId },
+            data: {
+                processingStatus: gaveUp ? 'failed' : 'error',
+                errorMessage: error.message,
+                nextRetryAt: gaveUp ? null : getNextRetryAt(log.attempts),
+            },
+        });
+        console.error(`Webhook event ${log.eventId || logId} (${log.eventType}) failed on attempt ${log.attempts}${gaveUp ? ', giving up' : ''}:`, error.message);
+        return { status: gaveUp ? 'failed' : 'error', error: error.message };
+    }
+}
+
+/**
+ * Lists stored webhook events, newest first.
+ * @param {object} [options]
+ * @param {string} [options.status] - Comma-separated processing statuses (e.g. "error,failed").
+ * @param {string} [options.eventType] - Exact event type (e.g. "checkout.session.completed").
+ * @param {number|string} [options.page=1] - 1-based page number.
+ * @param {number|string} [options.perPage=20] - Page size (capped at 100).
+ * @returns {Promise<{data: object[], pagination: object}>}
+ * @throws {Error} If the filters or pagination parameters are invalid.
+ */
+async function listWebhookEvents({ status, eventType, page = 1, perPage = DEFAULT_EVENTS_PER_PAGE } = {}) {
+    const { pageNum, take } = parsePagination(page, perPage, MAX_EVENTS_PER_PAGE);
+
+    const where = {};
+    if (status) {
+        const statuses = String(status).split(',').map(s => s.trim()).filter(Boolean);
+        const invalid = statuses.filter(s => !WEBHOOK_STATUSES.includes(s));
+        if (invalid.length > 0) {
+            throw new Error(`Invalid webhook status filter: ${invalid.join(', ')}. Allowed values: ${WEBHOOK_STATUSES.join(', ')}.`);
+        }
+        where.processingStatus = { in: statuses };
+    }
+    if (eventType) {
+        where.eventType = eventType;
+    }
+
+    const [events, totalEvents] = await prisma.$transaction([
+        prisma.webhookLog.findMany({
+            where,
+            orderBy: [{ receivedAt: 'desc' }, { id: 'desc' }],
+            skip: (pageNum - 1) * take,
+            take,
+            // The payload can be large; fetch a single event to see it
+            select: {
+                id: true,
+                source: true,
+                eventId: true,
+                eventType: true,
+                receivedAt: true,
+                processingStatus: true,
+                errorMessage: true,
+                attempts: true,
+                lastAttemptAt: true,
+                nextRetryAt: true,
+                processedAt: true,
+            },
+        }),
+        prisma.webhookLog.count({ where }),
+    ]);
+
+    return {
+        data: events,
+        pagination: {
+            totalEvents,
+            totalPages: Math.ceil(totalEvents / take),
+            currentPage: pageNum,
+            perPage: take,
+        },
+    };
+}
+
+/**
+ * Retrieves one stored webhook event including its payload.
+ * @param {string} logId - The ID of the WebhookLog row.
+ * @returns {Promise<object>}
+ * @throws {Error} If the event does not exist.
+ */
+async function getWebhookEvent(logId) {
+    const log = await prisma.webhookLog.findUnique({ where: { id: logId } });
+    if (!log) {
+        throw new Error('Webhook event not found.');
+    }
+    return log;
+}
+
+/**
+ * Re-runs a stored event through handleStripeEvent (admin replay).
+ * @param {string} logId - The ID of the WebhookLog row.
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - Also replay an event that was already processed successfully.
+ * @returns {Promise<object>} The WebhookLog row after the replay.
+ * @throws {Error} If the event does not exist, is being processed, or was processed and `force` is not set.
+ */
+async function replayWebhookEvent(logId, { force = false } = {}) {
+    const log = await getWebhookEvent(logId);
+
+    if (log.source !== 'stripe') {
+        throw new Error(`Cannot replay ${log.source} events.`);
+    }
+    if (log.processingStatus === 'processing') {
+        throw new Error('Webhook event is currently being processed.');
+    }
+    if (log.processingStatus === 'processed' && !force) {
+        throw new Error('Webhook event was already processed. Pass force to replay it anyway.');
+    }
+
+    // Put the event back in the queue; 'failed' events also get a fresh set of retries
+    await prisma.webhookLog.update({
+        where: { id: logId },
+        data: {
+            processingStatus: 'received',
+            nextRetryAt: null,
+            ...(log.processingStatus === 'failed' ? { attempts: 0 } : {}),
+        },
+    });
+    console.log(`Replaying webhook event ${log.eventId || logId} (${log.eventType}).`);
+
+    await processWebhookLog(logId);
+    return getWebhookEvent(logId);
+}
+
+/**
+ * Retries events whose retry time has come, and events left in 'processing' by an interrupted run.
+ * Called by the webhook retry job.
+ * @param {number} [limit=20] - Maximum number of events to retry in one run.
+ * @returns {Promise<{retried: number, processed: number}>}
+ */
+async function retryFailedEvents(limit = 20) {
+    const now = new Date();
+    const dueEvents = await prisma.webhookLog.findMany({
+        where: {
+            source: 'stripe',
+            OR: [
+                { processingStatus: 'error', nextRetryAt: { lte: now } },
+                { processingStatus: 'processing', lastAttemptAt: { lt: new Date(now.getTime() - STALE_PROCESSING_MS) } },
+            ],
+        },
+        orderBy: { receivedAt: 'asc' }, // Oldest first, so events are re-applied in the order Stripe sent them
+        take: limit,
+        select: { id: true },
+    });
+
+    let processed = 0;
+    for (const { id } of dueEvents) {
+        const result = await processWebhookLog(id);
+        if (result.status === 'processed') {
+            processed++;
+        }
+    }
+
+    return { retried: dueEvents.length, processed };
+}
+
+module.exports = {
+    recordStripeEvent,
+    processWebhookLog,
+    listWebhookEvents,
+    getWebhookEvent,
+    replayWebhookEvent,
+    retryFailedEvents,
+};
@@ -1,33 +1,273 @@
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const prisma = require('../lib/prisma');
-const { getDiscogsClient } = require('../controllers/authController'); // Assuming Discogs client helper is here
-const { sendOrderConfirmationEmail } = require('../services/emailService'); // Import the email service
+const reservationService = require('./reservationService');
+const orderService = require('./orderService');
+const promotionService = require('./promotionService');
+const outboxService = require('./outboxService');
+const { convertAmount } = require('../lib/currency');
+
+/**
+ * Flattens a Stripe name + address into the shape stored in Order.shippingAddress/billingAddress.
+ * @param {string|null} name - Recipient name.
+ * @param {object|null} address - Stripe address object.
+ * @returns {object|null}
+ */
+function toOrderAddress(name, address) {
+    if (!address) {
+        return null;
+    }
+    return {
+        name: name || null,
+        line1: address.line1 || null,
+        line2: address.line2 || null,
+        city: address.city || null,
+        state: address.state || null,
+        postalCode: address.postal_code || null,
+        country: address.country || null,
+    };
+}
+
+/**
+ * Looks up the display name of the shipping rate the customer chose in Checkout.
+ * Failures are logged and fall back to the rate ID, so the order is still created.
+ * @param {object} session - The Stripe Checkout Session object.
+ * @returns {Promise<string|null>}
+ */
+async function getShippingMethod(session) {
+    const shippingRate = session.shipping_cost?.shipping_rate;
+    if (!shippingRate) {
+        return null;
+    }
+    if (typeof shippingRate === 'object') {
+        return shippingRate.display_name || shippingRate.id;
+    }
+    try {
+        const rate = await stripe.shippingRates.retrieve(shippingRate);
+        return rate.display_name || shippingRate;
+    } catch (error) {
+        console.warn(`Webhook Warning: Could not retrieve shipping rate ${shippingRate} for session ${session.id}: ${error.message}`);
+        return shippingRate;
+    }
+}
+
+/**
+ * Creates the Order and its OrderItems (price/title snapshots) for a completed Checkout Session.
+ * Must run inside a transaction. Does not touch Record stock.
+ * @param {object} tx - Prisma transaction client.
+ * @param {object} session - The Stripe Checkout Session object.
+ * @param {object[]} lineItems - The session's line items, with `price.product` expanded.
+ * @param {string} status - Initial OrderStatus ('PAID' or 'PENDING').
+ * @param {object} [options]
+ * @param {string|null} [options.shippingMethod] - Name of the chosen shipping rate (see getShippingMethod).
+ * @returns {Promise<object>} The created order, including `items`.
+ */
+async function createOrderFromSession(tx, session, lineItems, status, { shippingMethod = null } = {}) {
+    const checkoutId = session.id;
+    const customerDetails = session.customer_details;
+    let promotionId = session.metadata?.promotionId || null;
+    // Newer Stripe API versions moved shipping_details under collected_information
+    const shippingDetails = session.collected_information?.shipping_details || session.shipping_details;
+
+    // Order.promotionId references the promotion, so keep only the code snapshot if the promotion was deleted
+    if (promotionId && !(await tx.promotion.findUnique({ where: { id: promotionId }, select: { id: true } }))) {
+        console.warn(`Webhook Warning: Promotion ${promotionId} of session ${checkoutId} no longer exists. Creating the order without it.`);
+        promotionId = null;
+    }
+
+    // 1. Create the Order
+    console.log(`Creating ${status} Order for session ${checkoutId}...`);
+    const order = await tx.order.create({
+        data: {
+            userId: session.metadata?.userId,
+            stripeCheckoutId: checkoutId,
+            stripePaymentIntentId: session.payment_intent,
+            status,
+            totalAmount: session.amount_total, // Amount in smallest currency unit (e.g. cents)
+            currency: session.currency.toUpperCase(),
+            customerName: customerDetails?.name || 'N/A',
+            customerEmail: customerDetails?.email || 'N/A',
+            shippingAddress: toOrderAddress(shippingDetails?.name, shippingDetails?.address) ?? undefined,
+            billingAddress: toOrderAddress(customerDetails?.name, customerDetails?.address) ?? undefined,
+            shippingAmount: session.shipping_cost?.amount_total ?? 0, // Included in totalAmount
+            shippingMethod,
+            promotionId,
+            promotionCode: session.metadata?.promotionCode || null,
+            discountAmount: session.total_details?.amount_discount ?? 0, // Already deducted from totalAmount
+        },
+    });
+    console.log(`Order ${order.id} created.`);
+
+    if (promotionId) {
+        await promotionService.recordRedemption(tx, order);
+    }
+
+    // 2. Create an OrderItem (snapshot of price/details) per line item
+    for (const item of lineItems) {
+        // --- RELIABLE LINKING ---
+        // The local record ID is stored in price_data.product_data.metadata when creating the session
+        const recordId = item.price?.product?.metadata?.dbRecordId;
+
+        if (!recordId) {
+            // This is critical - metadata missing or structure changed.
+            console.error(`Webhook Critical Error: Missing dbRecordId in metadata for Stripe line item: ${item.id} (Product: ${item.price?.product?.id}) in session ${checkoutId}.`);
+            throw new Error(`Missing dbRecordId metadata for line item ${item.id}`);
+        }
+
+        const record = await tx.record.findUnique({ where: { id: recordId } });
+        if (!record) {
+            // This is serious - we charged for an item we can't identify or is gone.
+            console.error(`Webhook Critical Error: Could not find matching Record in DB for Stripe line item: ${item.id} (Record ID from metadata: ${recordId}) (Order ID: ${order.id}). Manual investigation needed.`);
+            // Throwing error to rollback the transaction for safety
+            throw new Error(`Failed to find record with ID ${recordId}`);
+        }
+
+        await tx.orderItem.create({
+            data: {
+                orderId: order.id,
+                recordId: record.id,
+                title: record.title, // Snapshot title
+                artist: record.artist, // Snapshot artist
+                price: item.price?.unit_amount ?? convertAmount(record.price, record.currency, session.currency), // Snapshot the price actually charged, in the smallest currency unit
+                quantity: item.quantity,
+            },
+        });
+    }
+
+    return tx.order.findUnique({
+        where: { id: order.id },
+        include: { items: true },
+    });
+}
+
+/**
+ * Deducts the ordered quantities from Record stock, commits the checkout's stock holds and
+ * queues the Discogs listing updates (see outboxService). Must run inside a transaction.
+ * @param {object} tx - Prisma transaction client.
+ * @param {object} order - The order, including `items`.
+ * @throws {Error} If a record is no longer for sale or has insufficient stock (rolls back the transaction).
+ */
+async function commitOrderStock(tx, order) {
+    for (const item of order.items) {
+        const quantitySold = item.quantity;
+        const record = await tx.record.findUnique({ where: { id: item.recordId } });
+
+        if (!record) {
+            console.error(`Webhook Critical Error: Record ${item.recordId} for Order ${order.id} no longer exists. Manual investigation needed.`);
+            throw new Error(`Failed to find record with ID ${item.recordId}`);
+        }
+        if (record.status !== 'FOR_SALE') {
+            // Record was found but is no longer for sale (e.g., sold via another channel between checkout and webhook?)
+            console.error(`Webhook Critical Error: Record ${record.id} (${record.title}) was not FOR_SALE at time of webhook processing for Order ${order.id}. Status: ${record.status}. Manual investigation needed.`);
+            throw new Error(`Record ${record.id} was not FOR_SALE post-payment.`);
+        }
+        if (record.quantity < quantitySold) {
+            // Quantity changed between checkout and payment confirmation?
+            console.error(`Webhook Critical Error: Insufficient stock for Record ${record.id} (${record.title}) after payment confirmation for Order ${order.id}. Available: ${record.quantity}, Sold: ${quantitySold}. Manual investigation needed.`);
+            // Rollback transaction
+            throw new Error(`Insufficient stock post-payment for record ${record.id}`);
+        }
+
+        console.log(`Processing item for Order ${order.id}: Record ${record.id}, Quantity ${quantitySold}`);
+
+        // Update local Record quantity and status
+        const newQuantity = record.quantity - quantitySold;
+        const newStatus = newQuantity <= 0 ? 'SOLD' : 'FOR_SALE';
+        await tx.record.update({
+            where: { id: record.id },
+            data: {
+                quantity: newQuantity,
+                status: newStatus,
+            },
+        });
+        console.log(`Updated local Record ${record.id}: New Quantity ${newQuantity}, Status ${newStatus}`);
+
+        // The Discogs listing is updated after the commit, with retries until it matches the new quantity
+        await outboxService.enqueueOutboxEvent(tx, 'discogs.listing.sync', record.id, { reason: 'sale', orderId: order.id });
+    }
+
+    // The stock is now deducted from the records, so the checkout holds are done
+    const committed = await reservationService.commitReservationsForSession(tx, order.stripeCheckoutId);
+    console.log(`Committed ${committed} stock reservation(s) for session ${order.stripeCheckoutId}.`);
+}
+
+/**
+ * Empties the cart of the user who checked out. Must run inside a transaction.
+ * @param {object} tx - Prisma transaction client.
+ * @param {string} userId - The ID of the user.
+ */
+async function clearUserCart(tx, userId) {
+    console.log(`Clearing cart for User ID: ${userId}...`);
+    const userCart = await tx.cart.findUnique({
+        where: { userId: userId },
+        select: { id: true }
+    });
+
+    if (userCart) {
+        // Delete cart items, leave the cart itself empty
+        await tx.cartItem.deleteMany({
+            where: { cartId: userCart.id }
+        });
+        // The promotion code was redeemed with this order
+        await tx.cart.update({
+            where: { id: userCart.id },
+            data: { promotionId: null },
+        });
+        console.log(`Cleared items from Cart ID: ${userCart.id}`);
+    } else {
+        console.log(`No active cart found for User ID: ${userId} to clear.`);
+    }
+}
+
+/**
+ * Queues the effects of a paid order: the confirmation email and the 'order_paid' analytics event
+ * (see outboxService). Must run inside the transaction that makes the order PAID, so the effects are
+ * delivered if and only if it commits.
+ * @param {object} tx - Prisma transaction client.
+ * @param {object} order - The order, including `items`.
+ */
+async function enqueuePaidOrderEffects(tx, order) {
+    await outboxService.enqueueOutboxEvent(tx, 'email.order_confirmation', order.id);
+    await outboxService.enqueueOutboxEvent(tx, 'analytics.event', order.id, {
+        name: 'order_paid',
+        properties: {
+            orderId: order.id,
+            userId: order.userId,
+            totalAmount: order.totalAmount,
+            currency: order.currency,
+            discountAmount: order.discountAmount,
+            shippingAmount: order.shippingAmount,
+            promotionCode: order.promotionCode,
+            itemCount: order.items.reduce((sum, item) => sum + item.quantity, 0),
+            items: order.items.map(item => ({ recordId: item.recordId, quantity: item.quantity, price: item.price })),
+        },
+    });
+}
 
 /**
  * Handles the 'checkout.session.completed' Stripe event.
- * Creates an Order, OrderItems, updates Record quantities/status, updates Discogs listing,
- * and clears the user's cart within a transaction.
+ * For a paid session: creates the Order and OrderItems, updates Record quantities/status, queues the
+ * Discogs listing updates, confirmation email and analytics event, and clears the user's cart within
+ * a transaction. The queued effects are then delivered by the outbox.
+ * For a session paid with a delayed method (payment_status 'unpaid'): creates a PENDING order, keeps
+ * the stock held until checkout.session.async_payment_succeeded/failed arrives, and clears the cart.
  * @param {object} session - The Stripe Checkout Session object from the event.
  */
 async function handleCheckoutSessionCompleted(session) {
-    console.log(`Handling checkout.session.completed for session ID: ${session.id}`);
+    console.log(`Handling checkout.session.completed for session ID: ${session.id} (payment_status: ${session.payment_status})`);
 
     const userId = session.metadata?.userId;
     const cartId = session.metadata?.cartId;
     const checkoutId = session.id;
-    const paymentIntentId = session.payment_intent;
-    const customerDetails = session.customer_details;
-    const amountTotal = session.amount_total; // Amount in smallest currency unit (cents)
-    const currency = session.currency;
+    const isPaid = session.payment_status === 'paid' || session.payment_status === 'no_payment_required';
 
     if (!userId) {
         console.error(`Webhook Error: Missing userId in metadata for session ${checkoutId}`);
-        // Consider logging this to a more persistent error tracking system
-        return; // Cannot proceed without userId
+        // Thrown so the stored event is marked failed and shows up for replay instead of counting as processed
+        throw new Error(`Missing userId metadata for session ${checkoutId}`);
     }
     if (!cartId) {
         console.error(`Webhook Error: Missing cartId in metadata for session ${checkoutId}`);
-        // We might be able to proceed without cartId if we fetch line items, but it's good for reference
+        // We can proceed without cartId because we fetch line items, but it's good for reference
     }
 
     // --- Idempotency Check: Prevent processing the same event multiple times ---
@@ -41,314 +281,220 @@ async function handleCheckoutSessionCompleted(session) {
         return;
     }
 
-    // --- Retrieve line items associated with the session --- 
-    // This is more reliable than relying solely on cartId from metadata, 
+    // --- Retrieve line items associated with the session ---
+    // This is more reliable than relying solely on cartId from metadata,
     // as cart could theoretically change between session creation and completion.
     let lineItems;
     try {
         // Expand the product data to access metadata
-        lineItems = await stripe.checkout.sessions.listLineItems(checkoutId, { 
+        lineItems = await stripe.checkout.sessions.listLineItems(checkoutId, {
             limit: 100, // Adjust limit if needed
             expand: ['data.price.product'] // Expand product data within price object
-        }); 
+        });
         if (!lineItems || !lineItems.data || lineItems.data.length === 0) {
             throw new Error('No line items found for session.');
         }
     } catch (error) {
         console.error(`Webhook Error: Failed to retrieve line items for session ${checkoutId}:`, error);
-        return; // Cannot create order without line items
+        // Cannot create the order without line items; rethrown so the retry job picks the event up again
+        throw error;
     }
+    const shippingMethod = await getShippingMethod(session);
 
-    // --- Main Order Processing Transaction --- 
+    // --- Main Order Processing Transaction ---
     let createdOrderId = null; // Variable to store the order ID outside the transaction
     try {
         await prisma.$transaction(async (tx) => {
-
-            // 1. Create the Order
-            console.log(`Creating Order for session ${checkoutId}...`);
-            const order = await tx.order.create({
-                data: {
-                    userId: userId,
-                    stripeCheckoutId: checkoutId,
-                    stripePaymentIntentId: paymentIntentId,
-                    status: 'PAID', // Assuming payment is confirmed by this event
-                    totalAmount: amountTotal,
-                    currency: currency.toUpperCase(),
-                    customerName: customerDetails?.name || 'N/A',
-                    customerEmail: customerDetails?.email || 'N/A',
-                    // TODO: Add shipping/billing address if collected
-                    // shippingAddress: session.shipping_details?.address,
-                    // billingAddress: customerDetails?.address,
-                },
-            });
-            console.log(`Order ${order.id} created.`);
+            const order = await createOrderFromSession(tx, session, lineItems.data, isPaid ? 'PAID' : 'PENDING', { shippingMethod });
             createdOrderId = order.id; // Store the ID for use after transaction
 
-            // Prepare for Discogs updates
-            let discogsClient;
-            try {
-                 discogsClient = await getDiscogsClient();
-            } catch (discogsError) {
-                 console.error(`Webhook Warning: Failed to initialize Discogs client for Order ${order.id}. Discogs updates will be skipped. Error:`, discogsError.message);
-                 // Decide if this should fail the transaction or just log a warning
-                 // For now, we log and continue creating the local order
-                 discogsClient = null;
-            }
-
-            // 2. Process each item: Create OrderItem, Update Record, Update Discogs
-            for (const item of lineItems.data) {
-                const quantitySold = item.quantity;
-                // We need to link the Stripe line item back to our Record ID.
-                // This relies on having stored it accurately during session creation.
-                // Option A: Retrieve from Price/Product metadata (if set during session create)
-                // const recordId = item.price.product.metadata?.localRecordId;
-                // Option B: Re-query based on product name/description (less reliable)
-                // For now, let's assume we need to map based on product name (requires improvement)
-                // THIS IS A SIMPLIFICATION - A robust solution needs a better link.
-                // We should ideally store `recordId` in the price_data.product_data.metadata
-                // when creating the checkout session.
-                
-                // TEMPORARY: Fetch record based on name - Needs improvement!
-                //  const productName = item.description; // Stripe uses description for product_data.name
-                //  const [artist, title] = productName.split(' - '); // Basic split
-                
-                 // --- RELIABLE LINKING --- 
-                 const recordId = item.price?.product?.metadata?.dbRecordId;
-
-                 if (!recordId) {
-                     // This is critical - metadata missing or structure changed.
-                     console.error(`Webhook Critical Error: Missing dbRecordId in metadata for Stripe line item: ${item.id} (Product: ${item.price?.product?.id}) in session ${checkoutId}.`);
-                     throw new Error(`Missing dbRecordId metadata for line item ${item.id}`);
-                 }
-
-                 const record = await tx.record.findUnique({ // Use findUnique now that we have the ID
-                    where: { 
-                         id: recordId
-                     },
-                 });
-
-                if (!record) {
-                    // This is serious - we charged for an item we can't identify or is gone.
-                    // Should we throw to rollback? Or log and potentially refund manually?
-                    console.error(`Webhook Critical Error: Could not find matching Record in DB for Stripe line item: ${item.id} (Record ID from metadata: ${recordId}) (Order ID: ${order.id}). Manual investigation needed.`);
-                    // Throwing error to rollback the transaction for safety
-                    // throw new Error(`Failed to find matching record for ${productName}`);
-                     throw new Error(`Failed to find record with ID ${recordId}`);
-                }
-                
-                 if (record.status !== 'FOR_SALE') {
-                    // Record was found but is no longer for sale (e.g., sold via another channel between checkout and webhook?)
-                    console.error(`Webhook Critical Error: Record ${record.id} (${record.title}) was not FOR_SALE at time of webhook processing for Order ${order.id}. Status: ${record.status}. Manual investigation needed.`);
-                    throw new Error(`Record ${record.id} was not FOR_SALE post-payment.`);
-                 }
-                 
-                 if (record.quantity < quantitySold) {
-                    // Quantity changed between checkout and payment confirmation?
-                    console.error(`Webhook Critical Error: Insufficient stock for Record ${record.id} (${record.title}) after payment confirmation for Order ${order.id}. Available: ${record.quantity}, Sold: ${quantitySold}. Manual investigation needed.`);
-                     // Rollback transaction
-                     throw new Error(`Insufficient stock post-payment for record ${record.id}`);
-                 }
-
-                console.log(`Processing item for Order ${order.id}: Record ${record.id}, Quantity ${quantitySold}`);
-
-                // Create OrderItem (snapshot of price/details)
-                await tx.orderItem.create({
-                    data: {
-                        orderId: order.id,
-                        recordId: record.id,
-                        title: record.title, // Snapshot title
-                        artist: record.artist, // Snapshot artist
-                        price: Math.round(record.price * 100), // Snapshot price in cents
-                        quantity: quantitySold,
-                    },
-                });
-
-                // Update local Record quantity and status
-                const newQuantity = record.quantity - quantitySold;
-                const newStatus = newQuantity <= 0 ? 'SOLD' : 'FOR_SALE';
-                await tx.record.update({
-                    where: { id: record.id },
-                    data: {
-                        quantity: newQuantity,
-                        status: newStatus,
-                    },
-                });
-                console.log(`Updated local Record ${record.id}: New Quantity ${newQuantity}, Status ${newStatus}`);
-
-                // Update Discogs Listing - only if client initialized and listing ID exists
-                if (discogsClient && record.discogsListingId) {
-                    const listingId = record.discogsListingId;
-                    const releaseId = record.discogsReleaseId;
-                    const appUsername = process.env.DISCOGS_USERNAME; // Get username for relisting endpoint
-
-                    try {
-                        console.log(`Processing Discogs update for Listing ID: ${listingId} (Record ${record.id}, Release ${releaseId})`);
-
-                         if (newQuantity > 0) {
-                            // --- Delete + Relist Strategy --- 
-                            console.log(`Deleting Discogs listing ${listingId} before relisting with quantity ${newQuantity}...`);
-                            
-                            // 1. Delete the old listing
-                            try {
-                                await discogsClient.delete(`/marketplace/listings/${listingId}`);
-                                console.log(`Successfully deleted old Discogs listing ${listingId}.`);
-                            } catch (deleteError) {
-                                console.error(
-                                    `Webhook Warning: Failed to DELETE old Discogs listing ${listingId} before relist for Order ${order.id}, Record ${record.id}. Error: ${deleteError.response?.data?.message || deleteError.message}. Attempting relist anyway, but might cause duplicates.`
-                                );
-                                // Decide whether to continue or stop if delete fails. Continuing might be okay.
-                            }
-
-                            // 2. Add a new listing with the updated quantity
-                            const addListingPayload = {
-                                release_id: releaseId,
-                                condition: record.condition,
-                                sleeve_condition: record.sleeveCondition,
-                                price: record.price, // Assumes price is stored in the correct format/currency base
-                                status: 'For Sale',
-                                comments: record.notes,
-                                // location: record.location, // Optional
-                            };
-                            
-                            console.log(`Relisting item for Release ID ${releaseId} (implicit quantity 1)... Payload:`, addListingPayload);
-
-                            try {
-                                // Endpoint corrected to standard marketplace listings endpoint
-                                // if (!appUsername) throw new Error('DISCOGS_USERNAME not set in env for relisting.'); // Username not needed in path
-                                const newListResponse = await discogsClient.post(`/marketplace/listings`, addListingPayload);
-                                const newListingId = newListResponse?.data?.listing_id; // Adjust based on actual response structure
-
-                                if (!newListingId) {
-                                     console.error(`Webhook Warning: Successfully added new listing for Release ${releaseId}, but failed to get new listing_id from response. Local record needs manual update. Response:`, newListResponse?.data);
-                                     throw new Error('Failed to retrieve new listing ID after relisting.'); // Throw to potentially retry or flag
-                                }
-                                
-                                console.log(`Successfully relisted Release ${releaseId} as new Listing ID: ${newListingId}.`);
-
-                                // 3. Update local record with the NEW listing ID
-                                await tx.record.update({
-                                    where: { id: record.id },
-                                    data: { discogsListingId: newListingId },
-                                });
-                                console.log(`Updated local Record ${record.id} with new discogsListingId: ${newListingId}`);
-
-                            } catch (addError) {
-                                console.error(
-                                    `Webhook Critical Error: Failed to RELIST item on Discogs for Release ${releaseId} (Order ${order.id}, Record ${record.id}) after deleting old listing ${listingId}. Error: ${addError.response?.data?.message || addError.message}. Inventory potentially out of sync!`
-                                );
-                                // This is more critical - we deleted but couldn't relist. Requires manual intervention.
-                                // Should this fail the whole transaction?
-                                throw addError; // Fail the transaction if relist fails
-                            }
-
-                         } else {
-                            // --- Delete Listing (Quantity is Zero) --- 
-                             console.log(`Deleting Discogs listing ${listingId} as quantity is zero.`);
-                            await discogsClient.delete(`/marketplace/listings/${listingId}`);
-                            console.log(`Successfully deleted Discogs listing ${listingId}.`);
-                         }
-
-                    } catch (discogsError) {
-                        // Log error but don't fail the transaction?
-                        console.error(
-                            `Webhook Warning: Failed during overall Discogs operation for listing ${listingId} (Order ${order.id}, Record ${record.id}). Error: ${discogsError.response?.data?.message || discogsError.message}. Manual update may be needed.`
-                        );
-                         // If we threw inside the try block (e.g., on relist failure), this won't be reached.
-                         // If an error occurred outside the critical relist path (e.g., initial delete failed but we continued),
-                         // we might end up here. Decide if these errors should also fail the transaction.
-                         // For now, only critical relist failure stops the process.
-                    }
-                } else if (!record.discogsListingId) {
-                    console.warn(`Webhook Warning: Cannot update Discogs for Record ${record.id}, missing discogsListingId.`);
-                } else if (!discogsClient) {
-                     console.warn(`Webhook Warning: Skipping Discogs update for Record ${record.id} due to client initialization failure.`);
-                }
-            }
-
-            // 4. Clear the user's cart (associated with the userId)
-            // We use userId from metadata which should be reliable
-            console.log(`Clearing cart for User ID: ${userId}...`);
-            const userCart = await tx.cart.findUnique({
-                where: { userId: userId },
-                select: { id: true }
-            });
-
-            if (userCart) {
-                // Delete cart items first
-                await tx.cartItem.deleteMany({
-                    where: { cartId: userCart.id }
-                });
-                // Could also delete the cart itself, or just leave it empty
-                // await tx.cart.delete({ where: { id: userCart.id } }); 
-                console.log(`Cleared items from Cart ID: ${userCart.id}`);
+            if (isPaid) {
+                await commitOrderStock(tx, order);
+                await enqueuePaidOrderEffects(tx, order);
             } else {
-                console.log(`No active cart found for User ID: ${userId} to clear.`);
+                // Delayed payment: keep the stock held until the payment settles or fails
+                const extended = await reservationService.extendReservationsForAsyncPayment(tx, checkoutId);
+                console.log(`Order ${order.id} awaits a delayed payment. Extended ${extended} stock reservation(s).`);
             }
 
+            await clearUserCart(tx, userId);
         }, {
-             timeout: 20000 // Increase transaction timeout if needed (default 5s)
-         }); // End Prisma Transaction
+            timeout: 20000 // Increase transaction timeout if needed (default 5s)
+        }); // End Prisma Transaction
 
         console.log(`Successfully completed transaction for Order ID: ${createdOrderId}`);
-
-        // --- Post-Transaction Actions (like sending email) --- 
-        if (createdOrderId) {
-            try {
-                // Fetch the complete order details needed for the email
-                const completeOrder = await prisma.order.findUnique({
-                    where: { id: createdOrderId },
-                    include: {
-                        orderItems: true, // Include items for the email body
-                        // user: { select: { email: true, name: true } } // Optionally include user details if needed and not already on order
-                    }
-                });
-
-                if (completeOrder) {
-                    await sendOrderConfirmationEmail(completeOrder);
-                } else {
-                    console.error(`Webhook Post-Tx Error: Failed to fetch complete order details for ID ${createdOrderId} to send confirmation email.`);
-                }
-
-            } catch (emailError) {
-                // Log email sending errors but don't fail the webhook response
-                console.error(`Webhook Post-Tx Error: Failed to send order confirmation email for Order ID ${createdOrderId}:`, emailError);
-            }
-        } else {
-             console.error(`Webhook Post-Tx Error: createdOrderId was null after transaction, cannot send email.`);
-        }
-
     } catch (error) {
         console.error(`Webhook Critical Error: Transaction failed for session ${checkoutId}. Error:`, error);
-        // Depending on the error, you might want specific handling or alerts
-        // No email will be sent if the transaction fails.
-        // Respond to Stripe to signal failure? Usually a 500 status is sufficient.
-        // Rethrow the error if the calling context needs to handle it (e.g., send 500 response)
+        // Nothing was queued if the transaction fails.
         throw error; // Rethrow to ensure the webhook endpoint knows processing failed
     }
+
+    // --- Post-Transaction: deliver the queued effects now rather than on the next outbox job run ---
+    if (isPaid) {
+        outboxService.processOutboxSoon(`Order ${createdOrderId}`);
+    }
 }
 
+/**
+ * Handles 'checkout.session.async_payment_succeeded': the delayed payment of a PENDING order settled.
+ * Moves the order to PAID, deducts the stock and queues the same effects as a paid checkout.
+ * @param {object} session - The Stripe Checkout Session object from the event.
+ */
+async function handleAsyncPaymentSucceeded(session) {
+    console.log(`Handling checkout.session.async_payment_succeeded for session ID: ${session.id}`);
+
+    const order = await prisma.order.findUnique({
+        where: { stripeCheckoutId: session.id },
+        include: { items: true },
+    });
+
+    if (!order) {
+        // checkout.session.completed hasn't been processed yet: the session is paid now, so process it as a paid checkout
+        console.warn(`Webhook Warning: No order yet for session ${session.id}. Processing it as a completed, paid checkout.`);
+        await handleCheckoutSessionCompleted(session);
+        return;
+    }
+    if (order.status !== 'PENDING') {
+        console.log(`Webhook Info: Order ${order.id} is already ${order.status}. Skipping async payment success.`);
+        return;
+    }
+    orderService.assertTransition(order, 'PAID');
+
+    await prisma.$transaction(async (tx) => {
+        await commitOrderStock(tx, order);
+        await enqueuePaidOrderEffects(tx, order);
+        await tx.order.update({
+            where: { id: order.id },
+            data: {
+                status: 'PAID',
+                stripePaymentIntentId: order.stripePaymentIntentId || session.payment_intent,
+            },
+        });
+    }, {
+        timeout: 20000
+    });
+    console.log(`Order ${order.id} is now PAID after delayed payment.`);
+
+    outboxService.processOutboxSoon(`Order ${order.id}`);
+}
+
+/**
+ * Handles 'checkout.session.async_payment_failed': the delayed payment of a PENDING order failed.
+ * Cancels the order and releases its stock holds and promotion redemption.
+ * @param {object} session - The Stripe Checkout Session object from the event.
+ */
+async function handleAsyncPaymentFailed(session) {
+    console.log(`Handling checkout.session.async_payment_failed for session ID: ${session.id}`);
+
+    const order = await prisma.order.findUnique({
+        where: { stripeCheckoutId: session.id },
+        select: { id: true, status: true },
+    });
+
+    await prisma.$transaction(async (tx) => {
+        await reservationService.releaseReservationsForSession(session.id, tx);
+
+        if (!order) {
+            console.warn(`Webhook Warning: No order found for failed session ${session.id}. Released its reservations only.`);
+            return;
+        }
+        if (order.status !== 'PENDING') {
+            console.log(`Webhook Info: Order ${order.id} is already ${order.status}. Not cancelling after async payment failure.`);
+            return;
+        }
+        orderService.assertTransition(order, 'CANCELLED');
+
+        await promotionService.releaseRedemptionForOrder(tx, order.id);
+        await tx.order.update({
+            where: { id: order.id },
+            data: {
+                status: 'CANCELLED',
+                cancelledAt: new Date(),
+                cancelReason: 'Delayed payment failed',
+            },
+        });
+        console.log(`Order ${order.id} cancelled after its delayed payment failed.`);
+    });
+}
+
+/**
+ * Handles 'checkout.session.expired': the customer never completed checkout.
+ * Releases the stock and the promotion code use held for the session.
+ * @param {object} session - The Stripe Checkout Session object from the event.
+ */
+async function handleCheckoutSessionExpired(session) {
+    console.log(`Handling checkout.session.expired for session ID: ${session.id}`);
+    await promotionService.releaseRedemptionsForSession(session.id);
+    const released = await reservationService.releaseReservationsForSession(session.id);
+    if (released === 0) {
+        console.log(`Webhook Info: No active reservations left for expired session ${session.id}.`);
+    }
+}
+
+/**
+ * Handles 'charge.refunded': records refunds issued outside our admin endpoints (e.g. the Stripe Dashboard).
+ * Refunds created by refundOrder/cancelOrder carry `metadata.orderId` and are recorded by those, so they are ignored here.
+ * @param {object} charge - The Stripe Charge object from the event.
+ */
+async function handleChargeRefunded(charge) {
+    console.log(`Handling charge.refunded for charge ID: ${charge.id} (refunded ${charge.amount_refunded} of ${charge.amount})`);
+    if (!charge.payment_intent) {
+        console.warn(`Webhook Warning: Refunded charge ${charge.id} has no payment intent. Skipping.`);
+        return;
+    }
+
+    let externalRefunded = 0;
+    for await (const refund of stripe.refunds.list({ charge: charge.id, limit: 100 })) {
+        if (!refund.metadata?.orderId && refund.status !== 'failed' && refund.status !== 'canceled') {
+            externalRefunded += refund.amount;
+        }
+    }
+    if (externalRefunded === 0) {
+        console.log(`Webhook Info: All refunds on charge ${charge.id} were issued through the admin endpoints. Nothing to record.`);
+        return;
+    }
+    await orderService.recordStripeRefund(charge.payment_intent, externalRefunded);
+}
+
+/**
+ * Handles 'charge.dispute.created': flags the order so staff can respond to the dispute.
+ * @param {object} dispute - The Stripe Dispute object from the event.
+ */
+async function handleDisputeCreated(dispute) {
+    console.log(`Handling charge.dispute.created for dispute ID: ${dispute.id}`);
+    if (!dispute.payment_intent) {
+        console.warn(`Webhook Warning: Dispute ${dispute.id} has no payment intent. Skipping.`);
+        return;
+    }
+    await orderService.recordDispute(dispute.payment_intent, dispute);
+}
 
 /**
  * Main handler to switch based on Stripe event type.
  * @param {Stripe.Event} event - The verified Stripe event object.
  */
 async function handleStripeEvent(event) {
+    const object = event.data.object;
+
     switch (event.type) {
         case 'checkout.session.completed':
-            const session = event.data.object;
-            await handleCheckoutSessionCompleted(session);
+            await handleCheckoutSessionCompleted(object);
+            break;
+        case 'checkout.session.async_payment_succeeded':
+            await handleAsyncPaymentSucceeded(object);
+            break;
+        case 'checkout.session.async_payment_failed':
+            await handleAsyncPaymentFailed(object);
+            break;
+        case 'checkout.session.expired':
+            await handleCheckoutSessionExpired(object);
+            break;
+        case 'charge.refunded':
+            await handleChargeRefunded(object);
+            break;
+        case 'charge.dispute.created':
+            await handleDisputeCreated(object);
             break;
-        // case 'payment_intent.succeeded':
-        //     const paymentIntent = event.data.object;
-        //     // Handle successful payment intent if needed (e.g., for non-Checkout flows)
-        //     console.log('PaymentIntent succeeded:', paymentIntent.id);
-        //     break;
-        // case 'payment_intent.payment_failed':
-        //     const failedPaymentIntent = event.data.object;
-        //     // Handle failed payment intent
-        //     console.log('PaymentIntent failed:', failedPaymentIntent.id);
-        //     break;
-        // ... handle other event types as needed
         default:
             console.log(`Webhook Info: Unhandled event type ${event.type}`);
     }
@@ -356,4 +502,4 @@ async function handleStripeEvent(event) {
 
 module.exports = {
     handleStripeEvent,
-}; 
\ No newline at end of file
+};